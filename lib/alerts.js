@@ -0,0 +1,147 @@
+// alerts.js - Reglas de aviso sobre el historial de mediciones (sin DOM)
+// Cada perfil elige qué reglas vigilar y con qué umbrales. evaluateAlerts recorre sus
+// mediciones comparables y devuelve las alertas que se cumplen ahora; cada una lleva una
+// clave estable (regla, tarea/mano y día) para que el registro de alertas no la repita.
+import { baselineKey, handAsymmetry } from './profiles.js';
+import { HANDS, TASKS } from './protocol.js';
+import { formatDate, formatNumber, t } from './i18n.js';
+
+export const ALERT_RULES = {
+    get trend() { return t('alerts.rule.trend'); },
+    get frequency() { return t('alerts.rule.frequency'); },
+    get missed() { return t('alerts.rule.missed'); },
+    get asymmetry() { return t('alerts.rule.asymmetry'); },
+};
+
+export const ALERT_DEFAULTS = {
+    trend: true,
+    trendPercent: 30, // Subida del desplazamiento medio sobre la línea basal (%)
+    trendDays: 3, // Ventana de la media móvil (días)
+    frequency: true,
+    frequencyShift: 1.5, // Hz de diferencia con la frecuencia basal
+    missed: true,
+    missedDays: 2, // Días seguidos sin medir
+    asymmetry: true,
+    asymmetryPoints: 2, // Cambio de la diferencia izquierda - derecha (puntos de 0-10)
+    caregiverName: '',
+    caregiverEmail: '',
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+// Por debajo de 0,1 cm (UPDRS 0) el desplazamiento es casi ruido: una basal tan pequeña
+// convertiría cualquier variación en un porcentaje enorme
+const MIN_BASELINE_CM = 0.1;
+
+export function alertSettings(profile) {
+    return { ...ALERT_DEFAULTS, ...profile.alerts };
+}
+
+// Alertas que se cumplen en 'now'. Recibe las mediciones comparables del perfil (todo su
+// historial, ordenadas o no) y sus líneas basales (computeBaselines).
+export function evaluateAlerts(measurements, baselines, settings, now = Date.now()) {
+    const day = dayKey(now);
+    const alerts = [];
+    const windowStart = startOfDay(now) - (settings.trendDays - 1) * DAY;
+    const recent = measurements.filter(m => m.timestamp >= windowStart && m.timestamp <= now);
+
+    Object.entries(baselines).forEach(([key, baseline]) => {
+        if (!baseline.complete) return;
+        // La ventana empieza después de la basal: sus propias sesiones no cuentan
+        const list = recent.filter(m => baselineKey(m) === key && m.timestamp > baseline.until);
+        if (list.length === 0) return;
+        const target = { task: baseline.task, hand: baseline.hand };
+
+        if (settings.trend) {
+            const displacement = mean(list.map(m => m.displacementCm));
+            const change = (displacement / Math.max(baseline.displacementCm, MIN_BASELINE_CM) - 1) * 100;
+            if (change > settings.trendPercent) {
+                alerts.push(createAlert('trend', `${key}@${day}`, now, {
+                    ...target, percent: change, days: settings.trendDays, count: list.length
+                }));
+            }
+        }
+
+        // La frecuencia solo tiene sentido con temblor visible (UPDRS 1 o más)
+        const tremor = list.filter(m => m.updrsItem > 0);
+        if (settings.frequency && tremor.length > 0) {
+            const frequency = mean(tremor.map(m => m.dominantFrequency));
+            if (Math.abs(frequency - baseline.frequency) > settings.frequencyShift) {
+                alerts.push(createAlert('frequency', `${key}@${day}`, now, {
+                    ...target, frequency, baseline: baseline.frequency
+                }));
+            }
+        }
+    });
+
+    if (settings.asymmetry) {
+        const before = handAsymmetry(measurements.filter(m => m.timestamp < windowStart));
+        handAsymmetry(recent).forEach(current => {
+            const previous = before.find(a => a.task === current.task);
+            if (!previous) return;
+            const change = current.difference - previous.difference;
+            if (Math.abs(change) > settings.asymmetryPoints) {
+                alerts.push(createAlert('asymmetry', `${current.task || ''}@${day}`, now, {
+                    task: current.task, difference: current.difference, previous: previous.difference
+                }));
+            }
+        });
+    }
+
+    // Un solo aviso por cada hueco: la clave es el día de la última medición
+    if (settings.missed && measurements.length > 0) {
+        const last = Math.max(...measurements.map(m => m.timestamp));
+        const days = Math.round((startOfDay(now) - startOfDay(last)) / DAY) - 1;
+        if (days >= settings.missedDays) {
+            alerts.push(createAlert('missed', dayKey(last), now, { days, last }));
+        }
+    }
+    return alerts;
+}
+
+// Texto de una alerta en el idioma actual (los parámetros se guardan como números)
+export function describeAlert(alert) {
+    const p = alert.params;
+    // Una tarea o mano desconocida (registro importado o de otra versión) se muestra tal cual
+    const task = p.task ? (TASKS[p.task] ? TASKS[p.task].label : p.task) : null;
+    const hand = p.hand ? (HANDS[p.hand] || p.hand) : null;
+    const target = [task, hand].filter(Boolean).join(' · ');
+    switch (alert.rule) {
+    case 'trend':
+        return t('alerts.text.trend', { target, percent: formatNumber(p.percent, 0), days: p.days });
+    case 'frequency':
+        return t('alerts.text.frequency', { target, frequency: formatNumber(p.frequency, 1), baseline: formatNumber(p.baseline, 1) });
+    case 'asymmetry':
+        return t('alerts.text.asymmetry', {
+            target: target || t('report.noTask'),
+            difference: formatSigned(p.difference),
+            previous: formatSigned(p.previous)
+        });
+    case 'missed':
+        return t('alerts.text.missed', { count: p.days, date: formatDate(p.last) });
+    default:
+        return alert.rule;
+    }
+}
+
+function createAlert(rule, target, now, params) {
+    return { key: `${rule}:${target}`, rule, timestamp: now, params };
+}
+
+function formatSigned(value) {
+    return `${value > 0 ? '+' : ''}${formatNumber(value, 1)}`;
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function startOfDay(timestamp) {
+    const day = new Date(timestamp);
+    day.setHours(0, 0, 0, 0);
+    return day.getTime();
+}
+
+function dayKey(timestamp) {
+    const day = new Date(timestamp);
+    return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
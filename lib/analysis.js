@@ -0,0 +1,444 @@
+// analysis.js - Análisis de la señal de temblor
+// Biblioteca sin DOM: la usan la app, el reanálisis de registros importados
+// y cualquier herramienta externa (p. ej. un script de Node).
+import { calculateSeverity } from './severity.js';
+
+export const ANALYSIS_VERSION = 'welch-pca-1'; // Se guarda con cada medición y en las exportaciones
+export const ANALYSIS_RATE = 50; // Hz de la rejilla uniforme sobre la que se analiza
+export const WELCH_SEGMENT = 256; // Muestras por segmento de Welch (~5 s a 50 Hz)
+export const TREMOR_BANDS = {
+    rest: [3, 7],      // Temblor de reposo (Parkinson)
+    postural: [7, 12], // Temblor postural / esencial
+};
+export const TREMOR_SEARCH_BAND = [3, 12]; // Rango donde se busca el pico dominante
+export const PEAK_HALF_WIDTH = 1; // Hz alrededor del pico para medir su nitidez
+export const GRAVITY_CUTOFF = 0.3; // Hz, filtro complementario cuando no hay event.acceleration
+export const SAMPLE_RATE = 100; // Hz nominal, solo si no hay timestamps medidos
+const DROPPED_SAMPLE_FACTOR = 1.5; // Un intervalo mayor a 1.5x el nominal indica muestras perdidas
+
+// options.noiseFloor: { amplitudeRMS, displacementCm } del perfil de calibración del
+// teléfono (lib/calibration.js); sin él no se resta nada
+export function calculateTremorMetrics(sampleData, timestamps, { noiseFloor = null } = {}) {
+    // Llevar la señal a una rejilla temporal uniforme
+    const times = timestamps && timestamps.length === sampleData.length
+        ? timestamps
+        : sampleData.map((_, i) => (i * 1000) / SAMPLE_RATE);
+
+    // Señal principal: aceleración lineal proyectada sobre el eje principal de movimiento.
+    // Las muestras sin aceleración lineal usan la magnitud menos su media (gravedad).
+    let filtered;
+    let motion = null;
+    if (sampleData.length > 0 && sampleData[0].lx !== undefined) {
+        motion = analyzeAxes({
+            x: sampleData.map(s => s.lx),
+            y: sampleData.map(s => s.ly),
+            z: sampleData.map(s => s.lz)
+        }, times);
+        filtered = motion.principal;
+    } else {
+        filtered = removeMean(resampleUniform(times, sampleData.map(s => s.magnitude), ANALYSIS_RATE));
+    }
+
+    // Calcular RMS (amplitud), sin el ruido de fondo del sensor
+    const rms = subtractNoise(signalRMS(filtered), noiseFloor && noiseFloor.amplitudeRMS);
+
+    // Análisis espectral (densidad espectral de Welch)
+    const spectral = findDominantFrequency(filtered, ANALYSIS_RATE);
+
+    // Componente rotacional (giroscopio)
+    let rotation = null;
+    if (sampleData.length > 0 && sampleData[0].rotAlpha !== undefined) {
+        rotation = analyzeAxes({
+            alpha: sampleData.map(s => s.rotAlpha),
+            beta: sampleData.map(s => s.rotBeta),
+            gamma: sampleData.map(s => s.rotGamma)
+        }, times);
+    }
+
+    // Desplazamiento pico a pico (cm) de la banda de temblor, sin el ruido de fondo
+    const displacementCm = subtractNoise(
+        spectral.displacementRMS * 2 * Math.SQRT2 * 100,
+        noiseFloor && noiseFloor.displacementCm
+    );
+
+    // Calcular severidad (0-10 y equivalente MDS-UPDRS 0-4)
+    const severity = calculateSeverity({
+        displacementCm,
+        dominantFrequency: spectral.frequency,
+        peakSharpness: spectral.sharpness
+    });
+
+    return {
+        amplitudeRMS: rms,
+        dominantFrequency: spectral.frequency,
+        tremorPower: spectral.power,
+        restBandPower: spectral.restPower,
+        posturalBandPower: spectral.posturalPower,
+        peakSharpness: spectral.sharpness,
+        axisMetrics: motion ? motion.perAxis : null,
+        principalAxis: motion ? motion.direction : null,
+        rotationRMS: rotation ? rotation.summary.rms : null,
+        rotationFrequency: rotation ? rotation.summary.frequency : null,
+        rotationAxisMetrics: rotation ? rotation.perAxis : null,
+        displacementCm,
+        severityLevel: severity.score,
+        updrsItem: severity.updrsItem,
+        severityModel: severity.model,
+        noiseFloorCm: noiseFloor ? noiseFloor.displacementCm : null
+    };
+}
+
+// El ruido del sensor y el temblor son independientes: sus potencias se suman, así que
+// el ruido se resta en potencia (cuadrados) y el resultado nunca baja de cero
+export function subtractNoise(value, noise) {
+    if (!(noise > 0)) return value;
+    return Math.sqrt(Math.max(0, value * value - noise * noise));
+}
+
+// Solo la señal que se analiza (rejilla uniforme a ANALYSIS_RATE), para las vistas de
+// espectro y espectrograma: misma selección que calculateTremorMetrics
+export function tremorSignal(sampleData, timestamps) {
+    const times = timestamps && timestamps.length === sampleData.length
+        ? timestamps
+        : sampleData.map((_, i) => (i * 1000) / SAMPLE_RATE);
+
+    if (sampleData.length > 0 && sampleData[0].lx !== undefined) {
+        return analyzeAxes({
+            x: sampleData.map(s => s.lx),
+            y: sampleData.map(s => s.ly),
+            z: sampleData.map(s => s.lz)
+        }, times).principal;
+    }
+    return removeMean(resampleUniform(times, sampleData.map(s => s.magnitude), ANALYSIS_RATE));
+}
+
+// Amplitud y frecuencia por eje y a lo largo del eje principal de movimiento (PCA)
+export function analyzeAxes(axes, times) {
+    const names = Object.keys(axes);
+    const uniform = names.map(name => removeMean(resampleUniform(times, axes[name], ANALYSIS_RATE)));
+    const direction = principalDirection(uniform);
+
+    const principal = uniform[0].map((_, i) =>
+        uniform.reduce((sum, signal, k) => sum + signal[i] * direction[k], 0)
+    );
+
+    const perAxis = {};
+    names.forEach((name, k) => {
+        perAxis[name] = summarizeSignal(uniform[k]);
+    });
+
+    return {
+        perAxis,
+        direction,
+        principal,
+        summary: summarizeSignal(principal)
+    };
+}
+
+function summarizeSignal(signal) {
+    return {
+        rms: signalRMS(signal),
+        frequency: findDominantFrequency(signal, ANALYSIS_RATE).frequency
+    };
+}
+
+// Vector propio dominante de la covarianza entre ejes (iteración de potencia)
+export function principalDirection(signals) {
+    const d = signals.length;
+    const cov = Array.from({ length: d }, () => new Array(d).fill(0));
+    for (let i = 0; i < signals[0].length; i++) {
+        for (let a = 0; a < d; a++) {
+            for (let b = 0; b < d; b++) {
+                cov[a][b] += signals[a][i] * signals[b][i];
+            }
+        }
+    }
+
+    // Partir de la columna con mayor varianza evita empezar ortogonal al eje buscado
+    let start = 0;
+    for (let a = 1; a < d; a++) {
+        if (cov[a][a] > cov[start][start]) start = a;
+    }
+    if (cov[start][start] === 0) return cov.map((_, a) => (a === 0 ? 1 : 0));
+
+    let v = cov.map(row => row[start]);
+    for (let iter = 0; iter < 50; iter++) {
+        const next = cov.map(row => row.reduce((sum, c, k) => sum + c * v[k], 0));
+        const norm = Math.sqrt(next.reduce((sum, c) => sum + c * c, 0));
+        if (norm === 0) break;
+        v = next.map(c => c / norm);
+    }
+
+    return v;
+}
+
+export function removeMean(signal) {
+    if (signal.length === 0) return signal;
+    const mean = signal.reduce((a, b) => a + b, 0) / signal.length;
+    return signal.map(v => v - mean);
+}
+
+export function signalRMS(signal) {
+    if (signal.length === 0) return 0;
+    return Math.sqrt(signal.reduce((sum, val) => sum + val * val, 0) / signal.length);
+}
+
+export function findDominantFrequency(data, rate = ANALYSIS_RATE) {
+    const empty = { frequency: 0, power: 0, restPower: 0, posturalPower: 0, sharpness: 0, displacementRMS: 0 };
+    if (data.length < 32) return empty;
+
+    const spectrum = welchPSD(data, rate);
+    const peak = findSpectralPeak(spectrum, TREMOR_SEARCH_BAND[0], TREMOR_SEARCH_BAND[1]);
+    if (peak.power <= 0) return empty;
+
+    // Nitidez: fracción de la potencia de temblor concentrada cerca del pico
+    const power = bandPower(spectrum, TREMOR_SEARCH_BAND[0], TREMOR_SEARCH_BAND[1]);
+    const peakPower = bandPower(
+        spectrum,
+        peak.frequency - PEAK_HALF_WIDTH,
+        peak.frequency + PEAK_HALF_WIDTH
+    );
+
+    return {
+        frequency: peak.frequency,
+        power,
+        restPower: bandPower(spectrum, TREMOR_BANDS.rest[0], TREMOR_BANDS.rest[1]),
+        posturalPower: bandPower(spectrum, TREMOR_BANDS.postural[0], TREMOR_BANDS.postural[1]),
+        sharpness: power > 0 ? Math.min(1, peakPower / power) : 0,
+        displacementRMS: displacementRMS(spectrum, TREMOR_SEARCH_BAND[0], TREMOR_SEARCH_BAND[1])
+    };
+}
+
+// Frecuencia de muestreo efectiva, muestras perdidas y jitter a partir de los timestamps
+export function estimateSamplingStats(timestamps, reportedInterval) {
+    const intervals = [];
+    for (let i = 1; i < timestamps.length; i++) {
+        intervals.push(timestamps[i] - timestamps[i - 1]);
+    }
+
+    if (intervals.length === 0) {
+        return { sampleRate: 0, droppedSamples: 0, timingJitter: 0 };
+    }
+
+    const duration = (timestamps[timestamps.length - 1] - timestamps[0]) / 1000;
+    const sorted = [...intervals].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const nominal = reportedInterval > 0 ? reportedInterval : median;
+
+    const meanInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+    const jitter = Math.sqrt(
+        intervals.reduce((sum, dt) => sum + (dt - meanInterval) ** 2, 0) / intervals.length
+    );
+
+    let dropped = 0;
+    if (nominal > 0) {
+        intervals.forEach(dt => {
+            if (dt > nominal * DROPPED_SAMPLE_FACTOR) dropped += Math.round(dt / nominal) - 1;
+        });
+    }
+
+    return {
+        sampleRate: duration > 0 ? intervals.length / duration : 0,
+        droppedSamples: dropped,
+        timingJitter: jitter
+    };
+}
+
+// Interpolación lineal de la señal sobre una rejilla uniforme (timestamps en ms)
+export function resampleUniform(times, values, rate) {
+    const n = Math.min(times.length, values.length);
+    if (n < 2) return values.slice(0, n);
+
+    const t0 = times[0];
+    const count = Math.floor(((times[n - 1] - t0) / 1000) * rate) + 1;
+    const output = new Array(count);
+
+    let j = 0;
+    for (let i = 0; i < count; i++) {
+        const t = t0 + (i * 1000) / rate;
+        while (j < n - 2 && times[j + 1] < t) j++;
+
+        const span = times[j + 1] - times[j];
+        const frac = span > 0 ? Math.min(1, Math.max(0, (t - times[j]) / span)) : 0;
+        output[i] = values[j] + (values[j + 1] - values[j]) * frac;
+    }
+
+    return output;
+}
+
+function nextPowerOfTwo(n) {
+    let p = 1;
+    while (p < n) p <<= 1;
+    return p;
+}
+
+export function hannWindow(n) {
+    if (n === 1) return [1];
+    return Array.from({ length: n }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+}
+
+// FFT radix-2 iterativa, en el lugar (re.length debe ser potencia de 2)
+export function fft(re, im) {
+    const n = re.length;
+
+    // Reordenamiento por inversión de bits
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const half = len >> 1;
+        const angle = (-2 * Math.PI) / len;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+
+        for (let i = 0; i < n; i += len) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < half; k++) {
+                const a = i + k;
+                const b = a + half;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+// Densidad espectral de potencia por el método de Welch (ventana Hann, 50% solapamiento)
+export function welchPSD(signal, rate, segmentLength = WELCH_SEGMENT) {
+    const segment = Math.min(segmentLength, signal.length);
+    const nfft = nextPowerOfTwo(segment);
+    const stepSize = Math.max(1, Math.floor(segment / 2));
+    const window = hannWindow(segment);
+    const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+    const bins = nfft / 2 + 1;
+    const psd = new Array(bins).fill(0);
+    let segments = 0;
+
+    for (let start = 0; start + segment <= signal.length; start += stepSize) {
+        const re = new Array(nfft).fill(0);
+        const im = new Array(nfft).fill(0);
+
+        let mean = 0;
+        for (let i = 0; i < segment; i++) mean += signal[start + i];
+        mean /= segment;
+
+        for (let i = 0; i < segment; i++) {
+            re[i] = (signal[start + i] - mean) * window[i];
+        }
+
+        fft(re, im);
+
+        for (let k = 0; k < bins; k++) {
+            let p = (re[k] * re[k] + im[k] * im[k]) / (rate * windowPower);
+            if (k > 0 && k < nfft / 2) p *= 2; // Espectro de un solo lado
+            psd[k] += p;
+        }
+        segments++;
+    }
+
+    const df = rate / nfft;
+    return {
+        freqs: psd.map((_, k) => k * df),
+        psd: psd.map(p => p / segments),
+        df
+    };
+}
+
+// Espectrograma: densidad espectral de ventanas deslizantes (una ventana Hann por columna)
+export function computeSpectrogram(signal, rate = ANALYSIS_RATE, windowLength = 128, step = 12) {
+    const frames = [];
+    let freqs = [];
+    for (let start = 0; start + windowLength <= signal.length; start += step) {
+        const spectrum = welchPSD(signal.slice(start, start + windowLength), rate, windowLength);
+        freqs = spectrum.freqs;
+        frames.push({ time: (start + windowLength / 2) / rate, psd: spectrum.psd });
+    }
+    return { freqs, frames };
+}
+
+// Pico espectral con interpolación parabólica entre bins
+export function findSpectralPeak(spectrum, fMin, fMax) {
+    const { freqs, psd, df } = spectrum;
+    let peakIndex = -1;
+
+    for (let k = 1; k < psd.length - 1; k++) {
+        if (freqs[k] < fMin || freqs[k] > fMax) continue;
+        if (peakIndex === -1 || psd[k] > psd[peakIndex]) peakIndex = k;
+    }
+
+    if (peakIndex === -1) return { frequency: 0, power: 0 };
+
+    const a = psd[peakIndex - 1];
+    const b = psd[peakIndex];
+    const c = psd[peakIndex + 1];
+    const denom = a - 2 * b + c;
+    const delta = denom !== 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom)) : 0;
+
+    return {
+        frequency: (peakIndex + delta) * df,
+        power: b
+    };
+}
+
+// Desplazamiento RMS (m) en la banda, integrando dos veces en frecuencia: D(f) = A(f) / (2πf)²
+export function displacementRMS(spectrum, fLow, fHigh) {
+    const { freqs, psd, df } = spectrum;
+    let power = 0;
+    for (let k = 1; k < psd.length; k++) {
+        if (freqs[k] >= fLow && freqs[k] < fHigh) {
+            power += (psd[k] * df) / Math.pow(2 * Math.PI * freqs[k], 4);
+        }
+    }
+    return Math.sqrt(power);
+}
+
+// Potencia integrada en una banda [fLow, fHigh) en (m/s²)²
+export function bandPower(spectrum, fLow, fHigh) {
+    const { freqs, psd, df } = spectrum;
+    let power = 0;
+    for (let k = 0; k < psd.length; k++) {
+        if (freqs[k] >= fLow && freqs[k] < fHigh) power += psd[k] * df;
+    }
+    return power;
+}
+
+// Filtro complementario: paso bajo para estimar la gravedad, el resto es aceleración lineal.
+// Cada grabación crea el suyo porque guarda la gravedad estimada entre muestras.
+export function createGravityFilter(cutoff = GRAVITY_CUTOFF) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    let gravity = null;
+
+    return (x, y, z, dt) => {
+        const alpha = tau / (tau + dt);
+
+        if (!gravity) {
+            gravity = { x, y, z };
+        } else {
+            gravity.x = alpha * gravity.x + (1 - alpha) * x;
+            gravity.y = alpha * gravity.y + (1 - alpha) * y;
+            gravity.z = alpha * gravity.z + (1 - alpha) * z;
+        }
+
+        return {
+            lx: x - gravity.x,
+            ly: y - gravity.y,
+            lz: z - gravity.z
+        };
+    };
+}
@@ -0,0 +1,71 @@
+// calibration.js - Calibración del teléfono en reposo y perfil del sensor (sin DOM)
+// Con el teléfono quieto sobre una mesa se registra lo que mide el sensor sin ningún
+// temblor: ruido de fondo de cada eje, frecuencia de muestreo real y magnitud de la
+// gravedad. El perfil se guarda una vez por dispositivo (clave: user agent), se adjunta
+// a cada medición y el análisis resta su ruido de fondo (calculateTremorMetrics).
+import { calculateTremorMetrics, estimateSamplingStats, removeMean, signalRMS } from './analysis.js';
+
+export const CALIBRATION_VERSION = 'rest-table-1';
+export const CALIBRATION_DURATION = 10000; // ms registrados tras el acomodo
+// Paso para lib/recorder.js: la calibración se graba con el mismo ciclo que una tarea
+export const CALIBRATION_STEP = { task: 'calibration', hand: null, duration: CALIBRATION_DURATION };
+
+const STANDARD_GRAVITY = 9.81; // m/s²
+const MAX_REST_NOISE = 0.15; // m/s² RMS en algún eje: el teléfono no estaba quieto
+const MAX_GRAVITY_ERROR = 2; // m/s²: fuera de este margen el sensor no da la gravedad
+
+// Opción analyse de createRecorder: devuelve { profile, sampling } o { failure }.
+// 'moved' si el teléfono se movió, 'no-gravity' si el sensor no incluye la gravedad.
+export function characterizeSensor({ samples, timestamps, reportedInterval }, { userAgent = '', now = Date.now() } = {}) {
+    const axis = key => samples.map(s => s[key]);
+    const noiseRMS = {
+        x: signalRMS(removeMean(axis('lx'))),
+        y: signalRMS(removeMean(axis('ly'))),
+        z: signalRMS(removeMean(axis('lz')))
+    };
+    if (Math.max(noiseRMS.x, noiseRMS.y, noiseRMS.z) > MAX_REST_NOISE) {
+        return { failure: 'moved' };
+    }
+
+    const gravity = mean(axis('magnitude'));
+    if (Math.abs(gravity - STANDARD_GRAVITY) > MAX_GRAVITY_ERROR) {
+        return { failure: 'no-gravity' };
+    }
+
+    // El sesgo de cada eje no se guarda: el análisis quita la media de cada eje
+    // (analyzeAxes), así que un desplazamiento constante no cambia ninguna métrica
+    const sampling = estimateSamplingStats(timestamps, reportedInterval);
+    const floor = calculateTremorMetrics(samples, timestamps);
+
+    return {
+        sampling,
+        profile: {
+            version: CALIBRATION_VERSION,
+            userAgent,
+            calibratedAt: now,
+            sampleRate: sampling.sampleRate,
+            timingJitter: sampling.timingJitter,
+            droppedSamples: sampling.droppedSamples,
+            gravity,
+            noiseRMS,
+            // Lo que el análisis del temblor mide con el teléfono quieto: se resta después
+            noiseFloor: { amplitudeRMS: floor.amplitudeRMS, displacementCm: floor.displacementCm }
+        }
+    };
+}
+
+// Perfil de este dispositivo entre los guardados (settings.deviceProfiles)
+export function findDeviceProfile(deviceProfiles, userAgent) {
+    return (deviceProfiles && deviceProfiles[userAgent]) || null;
+}
+
+// Perfil que llega de fuera (registro importado): solo vale si tiene la forma de characterizeSensor
+export function isDeviceProfile(profile) {
+    if (!profile || profile.version !== CALIBRATION_VERSION || !Number.isFinite(profile.calibratedAt)) return false;
+    const floor = profile.noiseFloor;
+    return Boolean(floor) && [floor.amplitudeRMS, floor.displacementCm].every(value => Number.isFinite(value) && value >= 0);
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
@@ -0,0 +1,160 @@
+// crypto.js - Cifrado de los datos de salud con WebCrypto (sin DOM)
+// AES-GCM de 256 bits; la clave de los datos se guarda cifrada con otra derivada del código
+// del usuario (PBKDF2-SHA-256). En memoria la clave no es extraíble y solo existe mientras
+// la app está desbloqueada: sin el código no hay forma de recuperar los datos.
+export const PBKDF2_ITERATIONS = 310000;
+// Tope para las iteraciones que trae una copia: un archivo manipulado no puede dejar la
+// app calculando la clave durante minutos
+export const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+export const MIN_PASSCODE_LENGTH = 6;
+export const BACKUP_FORMAT = 'monitor-temblor-backup';
+export const BACKUP_VERSION = 1;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export function isCryptoAvailable() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+export async function deriveKey(passcode, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Cifra un valor JSON → { iv, data } en bytes (IndexedDB los guarda tal cual)
+export async function encryptJSON(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv, data: new Uint8Array(data) };
+}
+
+// Falla si la clave no es la correcta o los datos se han alterado (AES-GCM autentica)
+export async function decryptJSON(key, sealed) {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// Bloqueo: los datos se cifran con una clave aleatoria y el código solo cifra esa clave.
+// Cambiar el código no obliga a volver a cifrar los datos. Devuelve la clave de datos
+// (no extraíble) y la configuración que se guarda sin cifrar.
+export async function createLock(passcode) {
+    const rawKey = crypto.getRandomValues(new Uint8Array(32));
+    return { key: await importDataKey(rawKey), lock: await wrapDataKey(rawKey, passcode) };
+}
+
+// Clave de datos si el código es el correcto; null si no
+export async function openLock(passcode, lock) {
+    const rawKey = await unwrapDataKey(passcode, lock);
+    return rawKey ? importDataKey(rawKey) : null;
+}
+
+// Nueva configuración con otro código; null si el actual no es el correcto
+export async function changeLockPasscode(lock, currentPasscode, newPasscode) {
+    const rawKey = await unwrapDataKey(currentPasscode, lock);
+    return rawKey ? wrapDataKey(rawKey, newPasscode) : null;
+}
+
+async function wrapDataKey(rawKey, passcode) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const passcodeKey = await deriveKey(passcode, salt);
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, passcodeKey, rawKey));
+    return { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, wrappedKey: encodeSealed({ iv, data }) };
+}
+
+async function unwrapDataKey(passcode, lock) {
+    const passcodeKey = await deriveKey(passcode, fromBase64(lock.salt), lock.iterations);
+    const { iv, data } = decodeSealed(lock.wrappedKey);
+    try {
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, passcodeKey, data));
+    } catch (err) {
+        // AES-GCM no autentica con otra clave: el código no es el correcto
+        return null;
+    }
+}
+
+function importDataKey(rawKey) {
+    return crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+// Copia de seguridad: archivo JSON autocontenido, cifrado con su propio código
+export async function encryptBackup(passcode, payload) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveKey(passcode, salt);
+    const sealed = await encryptJSON(key, payload);
+
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(sealed.iv) },
+        data: toBase64(sealed.data)
+    });
+}
+
+// Los errores llevan 'code': 'not-backup', 'newer-version', 'unsupported-kdf' o
+// 'wrong-passcode' (la interfaz pone el texto)
+export async function decryptBackup(passcode, text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (err) {
+        file = null;
+    }
+    if (!file || file.format !== BACKUP_FORMAT) throw backupError('not-backup');
+    if (file.version > BACKUP_VERSION) throw backupError('newer-version');
+
+    const { kdf } = file;
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+        !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+        throw backupError('unsupported-kdf');
+    }
+
+    const key = await deriveKey(passcode, fromBase64(kdf.salt), kdf.iterations);
+    try {
+        return await decryptJSON(key, { iv: fromBase64(file.cipher.iv), data: fromBase64(file.data) });
+    } catch (err) {
+        throw backupError('wrong-passcode');
+    }
+}
+
+function backupError(code) {
+    return Object.assign(new Error(`Copia de seguridad no válida: ${code}`), { code });
+}
+
+// Datos cifrados en texto (para localStorage)
+export function encodeSealed(sealed) {
+    return { iv: toBase64(sealed.iv), data: toBase64(sealed.data) };
+}
+
+export function decodeSealed(encoded) {
+    return { iv: fromBase64(encoded.iv), data: fromBase64(encoded.data) };
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    // Por bloques: String.fromCharCode no admite millones de argumentos
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -0,0 +1,62 @@
+// diary.js - Diario breve de síntomas de cada sesión (sin DOM)
+// Se guarda en el campo 'diary' de todas las mediciones de la sesión para dar contexto
+// a las puntuaciones: cómo durmió, estrés, cafeína y cómo nota el temblor la persona.
+import { t } from './i18n.js';
+
+// Textos en el catálogo del idioma: diary.<campo> y diary.<campo>.<valor>
+function diaryField(key, values, extra = {}) {
+    const field = { get label() { return t(`diary.${key}`); } };
+    if (values) {
+        field.options = {};
+        values.forEach(value => Object.defineProperty(field.options, value, {
+            get: () => t(`diary.${key}.${value}`),
+            enumerable: true
+        }));
+    }
+    return Object.assign(field, extra);
+}
+
+export const DIARY_FIELDS = {
+    sleep: diaryField('sleep', [1, 2, 3]),
+    stress: diaryField('stress', [1, 2, 3]),
+    caffeine: diaryField('caffeine', [0, 1, 2, 3]),
+    rating: diaryField('rating', null, { min: 0, max: 10 }),
+};
+
+// Valores del formulario → diario (los campos sin responder quedan en null)
+export function normalizeDiary(values) {
+    const diary = {};
+    Object.entries(DIARY_FIELDS).forEach(([key, field]) => {
+        const value = values[key] === '' || values[key] === undefined || values[key] === null
+            ? NaN
+            : Number(values[key]);
+        const valid = field.options
+            ? String(value) in field.options
+            : value >= field.min && value <= field.max;
+        diary[key] = Number.isFinite(value) && valid ? value : null;
+    });
+    diary.note = (values.note || '').trim().slice(0, 280);
+    return diary;
+}
+
+export function isDiaryEmpty(diary) {
+    return !diary || (Object.keys(DIARY_FIELDS).every(key => diary[key] === null) && !diary.note);
+}
+
+// Texto de un campo del diario, p. ej. "Bueno" o "6/10" (vacío si no se respondió)
+export function diaryValueLabel(key, diary) {
+    const field = DIARY_FIELDS[key];
+    const value = diary ? diary[key] : null;
+    if (value === null || value === undefined) return '';
+    return field.options ? field.options[value] : `${value}/${field.max}`;
+}
+
+// Resumen de una línea: "Sueño anoche: Bueno · Estrés: Alto · …"
+export function formatDiary(diary) {
+    if (isDiaryEmpty(diary)) return '';
+    const parts = Object.entries(DIARY_FIELDS)
+        .filter(([key]) => diary[key] !== null && diary[key] !== undefined)
+        .map(([key, field]) => `${field.label}: ${diaryValueLabel(key, diary)}`);
+    if (diary.note) parts.push(`“${diary.note}”`);
+    return parts.join(' · ');
+}
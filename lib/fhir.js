@@ -0,0 +1,175 @@
+// fhir.js - Exportación HL7 FHIR R4 para la historia clínica electrónica (sin DOM)
+// Un Bundle de tipo collection con el Patient del perfil, el Device (el teléfono), una
+// Observation por medición válida y un MedicationStatement por toma registrada.
+// Los textos legibles van en el idioma de la app (Bundle.language); los códigos no cambian.
+import { localeTag, t } from './i18n.js';
+import { TASKS } from './protocol.js';
+import { QUALITY_ISSUES } from './quality.js';
+import { getSeverityModel, interpretLevel, measurementModel } from './severity.js';
+
+export const FHIR_MIME_TYPE = 'application/fhir+json; fhirVersion=4.0';
+const UCUM = 'http://unitsofmeasure.org';
+const SNOMED = 'http://snomed.info/sct';
+const LOCAL_CODES = 'urn:monitor-temblor:codes'; // Códigos propios de la app
+const LOCAL_IDS = 'urn:monitor-temblor:id';
+
+// Mano medida (SNOMED CT, estructura anatómica)
+const HAND_SITES = {
+    left: { code: '85151006', display: 'Structure of left hand' },
+    right: { code: '78791008', display: 'Structure of right hand' },
+};
+
+// measurements: mediciones válidas y reales (el filtro lo hace quien llama)
+// device: { userAgent, platform }
+export function buildFHIRBundle({ profile, measurements, doses = [], device = {}, analysisVersion = null }) {
+    const patient = entry(patientResource(profile));
+    const phone = entry(deviceResource(device, analysisVersion));
+
+    return {
+        resourceType: 'Bundle',
+        meta: { lastUpdated: new Date().toISOString() },
+        language: localeTag(),
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        entry: [
+            patient,
+            phone,
+            ...measurements.map(m => entry(observationResource(m, patient.fullUrl, phone.fullUrl))),
+            ...doses.map(dose => entry(medicationStatementResource(dose, patient.fullUrl)))
+        ]
+    };
+}
+
+function entry(resource) {
+    return { fullUrl: `urn:uuid:${uuid()}`, resource };
+}
+
+function uuid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.floor(Math.random() * 16);
+        return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+}
+
+function patientResource(profile) {
+    const resource = { resourceType: 'Patient', active: true };
+    if (profile.patientId) {
+        resource.identifier = [{ use: 'usual', value: profile.patientId }];
+    }
+    if (profile.name) {
+        resource.name = [{ text: profile.name }];
+    }
+    return resource;
+}
+
+function deviceResource(device, analysisVersion) {
+    const resource = {
+        resourceType: 'Device',
+        status: 'active',
+        type: { text: t('fhir.device') }
+    };
+    if (device.userAgent) {
+        resource.deviceName = [{ name: device.userAgent, type: 'user-friendly-name' }];
+    }
+    if (device.platform) {
+        resource.modelNumber = device.platform;
+    }
+    if (analysisVersion) {
+        resource.version = [{ type: { text: t('fhir.algorithm') }, value: analysisVersion }];
+    }
+    // Calibración en reposo de este teléfono (lib/calibration.js). Device.property solo
+    // admite cantidades y códigos: la fecha va en una nota (Annotation.time es dateTime)
+    if (device.calibration) {
+        const { calibration } = device;
+        resource.note = [{ time: new Date(calibration.calibratedAt).toISOString(), text: t('fhir.calibrated') }];
+        resource.property = [
+            { type: localCode('sample-rate', t('fhir.sampleRate')), valueQuantity: [{ value: Number(calibration.sampleRate.toFixed(2)), unit: 'Hz', system: UCUM, code: 'Hz' }] },
+            { type: localCode('noise-floor', t('fhir.noiseFloor')), valueQuantity: [{ value: Number(calibration.noiseFloor.displacementCm.toFixed(4)), unit: 'cm', system: UCUM, code: 'cm' }] }
+        ];
+    }
+    return resource;
+}
+
+function observationResource(m, patientUrl, deviceUrl) {
+    const resource = {
+        resourceType: 'Observation',
+        identifier: [{ system: LOCAL_IDS, value: `measurement-${m.id}` }],
+        status: 'final',
+        category: [{
+            coding: [{
+                system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+                code: 'exam',
+                display: 'Exam'
+            }]
+        }],
+        code: {
+            coding: [{ system: SNOMED, code: '26079004', display: 'Tremor' }],
+            text: t('fhir.observation')
+        },
+        subject: { reference: patientUrl },
+        effectiveDateTime: new Date(m.timestamp).toISOString(),
+        device: { reference: deviceUrl },
+        method: { text: t('fhir.method', { version: m.analysisVersion ? ` ${m.analysisVersion}` : '', model: measurementModel(m) }) },
+        // Las mediciones antiguas pueden no tener todos los campos
+        component: [
+            quantityComponent('dominant-frequency', t('fhir.frequency'), m.dominantFrequency, 'Hz', 'Hz'),
+            quantityComponent('amplitude-rms', t('fhir.amplitude'), m.amplitudeRMS, 'm/s²', 'm/s2'),
+            quantityComponent('severity-level', t('fhir.level'), m.severityLevel, 'score', '{score}'),
+            quantityComponent('displacement', t('fhir.displacement'), m.displacementCm, 'cm', 'cm'),
+            quantityComponent('noise-floor', t('fhir.noiseFloor'), m.noiseFloorCm, 'cm', 'cm')
+        ].filter(Boolean)
+    };
+
+    if (typeof m.updrsItem === 'number') {
+        resource.component.push({ code: localCode('updrs-item', t('fhir.updrs')), valueInteger: m.updrsItem });
+    }
+    if (m.task) {
+        resource.component.push({
+            code: localCode('task', t('fhir.task')),
+            valueCodeableConcept: {
+                coding: [{ system: LOCAL_CODES, code: m.task, display: TASKS[m.task] ? TASKS[m.task].label : m.task }]
+            }
+        });
+    }
+    if (HAND_SITES[m.hand]) {
+        resource.bodySite = { coding: [{ system: SNOMED, ...HAND_SITES[m.hand] }] };
+    }
+    if (typeof m.severityLevel === 'number') {
+        resource.interpretation = [{ text: interpretLevel(m.severityLevel, getSeverityModel(measurementModel(m))) }];
+    }
+
+    const issues = (m.qualityIssues || []).map(code => (QUALITY_ISSUES[code] ? QUALITY_ISSUES[code].message : code));
+    if (issues.length) {
+        resource.note = [{ text: t('fhir.quality', { score: m.qualityScore, issues: issues.join('; ') }) }];
+    }
+    return resource;
+}
+
+function medicationStatementResource(dose, patientUrl) {
+    const resource = {
+        resourceType: 'MedicationStatement',
+        identifier: [{ system: LOCAL_IDS, value: `dose-${dose.id}` }],
+        status: 'completed',
+        medicationCodeableConcept: { text: dose.name },
+        subject: { reference: patientUrl },
+        effectiveDateTime: new Date(dose.timestamp).toISOString(),
+        dateAsserted: new Date(dose.timestamp).toISOString()
+    };
+    if (dose.dose) {
+        resource.dosage = [{ text: dose.dose }];
+    }
+    return resource;
+}
+
+function quantityComponent(code, display, value, unit, ucum) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    return {
+        code: localCode(code, display),
+        valueQuantity: { value: Number(value.toFixed(4)), unit, system: UCUM, code: ucum }
+    };
+}
+
+function localCode(code, display) {
+    return { coding: [{ system: LOCAL_CODES, code, display }], text: display };
+}
@@ -0,0 +1,195 @@
+// formats.js - Formatos de la señal cruda: CSV, paquete JSON y EDF+ (sin DOM)
+// La exportación y la importación para reanálisis comparten estas funciones.
+import { GRAVITY_CUTOFF, SAMPLE_RATE, resampleUniform } from './analysis.js';
+import { HANDS, MOTOR_STATES, TASKS } from './protocol.js';
+import { measurementModel } from './severity.js';
+
+export const RAW_FORMAT = 'monitor-temblor-raw';
+export const RAW_FORMAT_VERSION = 1;
+export const RAW_CHANNELS = [
+    { key: 'x', label: 'Acc X', unit: 'm/s2' },
+    { key: 'y', label: 'Acc Y', unit: 'm/s2' },
+    { key: 'z', label: 'Acc Z', unit: 'm/s2' },
+    { key: 'lx', label: 'AccLin X', unit: 'm/s2' },
+    { key: 'ly', label: 'AccLin Y', unit: 'm/s2' },
+    { key: 'lz', label: 'AccLin Z', unit: 'm/s2' },
+    { key: 'rotAlpha', label: 'Gyro alpha', unit: 'deg/s' },
+    { key: 'rotBeta', label: 'Gyro beta', unit: 'deg/s' },
+    { key: 'rotGamma', label: 'Gyro gamma', unit: 'deg/s' },
+];
+const EDF_ANNOTATION_SAMPLES = 16; // 32 bytes por registro para la anotación de tiempo
+
+export function presentChannels(samples) {
+    return RAW_CHANNELS.filter(channel => samples.length > 0 && typeof samples[0][channel.key] === 'number');
+}
+
+// Una fila por muestra; tiempo en ms desde la primera muestra
+export function buildRawCSV(raw) {
+    const channels = presentChannels(raw.samples);
+    const t0 = raw.timestamps[0];
+    const rows = raw.samples.map((sample, i) =>
+        [(raw.timestamps[i] - t0).toFixed(2), ...channels.map(c => sample[c.key])].join(',')
+    );
+    return `t_ms,${channels.map(c => c.key).join(',')}\n${rows.join('\n')}\n`;
+}
+
+export function buildRawBundle(measurement, raw, device = null) {
+    const channels = presentChannels(raw.samples);
+    const t0 = raw.timestamps[0];
+    const { id, ...summary } = measurement;
+
+    return {
+        format: RAW_FORMAT,
+        formatVersion: RAW_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        device,
+        algorithmVersion: measurement.analysisVersion || null,
+        severityModel: measurementModel(measurement),
+        recording: {
+            recordedAt: measurement.timestamp,
+            durationMs: raw.timestamps[raw.timestamps.length - 1] - t0,
+            sampleRate: measurement.sampleRate || null,
+            droppedSamples: measurement.droppedSamples || 0,
+            timingJitter: measurement.timingJitter || null,
+            linearSource: measurement.linearSource || null
+        },
+        measurement: summary,
+        channels,
+        timestamps: raw.timestamps.map(t => t - t0),
+        data: Object.fromEntries(channels.map(c => [c.key, raw.samples.map(s => s[c.key])]))
+    };
+}
+
+// EDF+ continuo: registros de 1 s, señal remuestreada a la frecuencia efectiva
+export function buildEDF(measurement, raw, patientId = '') {
+    const channels = presentChannels(raw.samples);
+    const times = raw.timestamps;
+    const durationMs = times[times.length - 1] - times[0];
+    const rate = Math.max(1, Math.round(measurement.sampleRate || SAMPLE_RATE));
+    const records = Math.max(1, Math.ceil(durationMs / 1000));
+    const total = records * rate;
+
+    // Señales uniformes, completando el último registro con el último valor
+    const signals = channels.map(c => {
+        const uniform = resampleUniform(times, raw.samples.map(s => s[c.key]), rate).slice(0, total);
+        while (uniform.length < total) uniform.push(uniform[uniform.length - 1] || 0);
+        let min = uniform.reduce((a, b) => Math.min(a, b), Infinity);
+        let max = uniform.reduce((a, b) => Math.max(a, b), -Infinity);
+        if (max - min < 0.01) {
+            min -= 1;
+            max += 1;
+        }
+        return { ...c, values: uniform, min: Math.floor(min * 100) / 100, max: Math.ceil(max * 100) / 100 };
+    });
+
+    const ns = signals.length + 1;
+    const headerBytes = 256 * (ns + 1);
+    const start = new Date(measurement.timestamp - durationMs);
+    const pad2 = n => String(n).padStart(2, '0');
+    const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+    const patientCode = (patientId || 'X').replace(/\s+/g, '_');
+    const field = (value, length) => String(value).slice(0, length).padEnd(length, ' ');
+    const perSignal = (getter) => signals.map(getter).concat(getter(null));
+
+    let header = field('0', 8)
+        + field(`${patientCode} X X X`, 80)
+        + field(`Startdate ${pad2(start.getDate())}-${months[start.getMonth()]}-${start.getFullYear()} X X monitor-temblor`, 80)
+        + field(`${pad2(start.getDate())}.${pad2(start.getMonth() + 1)}.${pad2(start.getFullYear() % 100)}`, 8)
+        + field(`${pad2(start.getHours())}.${pad2(start.getMinutes())}.${pad2(start.getSeconds())}`, 8)
+        + field(headerBytes, 8)
+        + field('EDF+C', 44)
+        + field(records, 8)
+        + field(1, 8)
+        + field(ns, 4);
+
+    header += perSignal(sig => field(sig ? sig.label : 'EDF Annotations', 16)).join('');
+    header += perSignal(sig => field(sig ? 'Smartphone IMU' : '', 80)).join('');
+    header += perSignal(sig => field(sig ? sig.unit : '', 8)).join('');
+    header += perSignal(sig => field(sig ? sig.min : -1, 8)).join('');
+    header += perSignal(sig => field(sig ? sig.max : 1, 8)).join('');
+    header += perSignal(() => field(-32768, 8)).join('');
+    header += perSignal(() => field(32767, 8)).join('');
+    header += perSignal(sig => field(sig && sig.key.startsWith('l') ? `HP:${GRAVITY_CUTOFF}Hz` : '', 80)).join('');
+    header += perSignal(sig => field(sig ? rate : EDF_ANNOTATION_SAMPLES, 8)).join('');
+    header += perSignal(() => field('', 32)).join('');
+
+    const recordBytes = 2 * (signals.length * rate + EDF_ANNOTATION_SAMPLES);
+    const buffer = new ArrayBuffer(headerBytes + records * recordBytes);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < header.length; i++) {
+        bytes[i] = header.charCodeAt(i) & 0x7f;
+    }
+
+    let offset = headerBytes;
+    for (let r = 0; r < records; r++) {
+        signals.forEach(sig => {
+            const scale = 65535 / (sig.max - sig.min);
+            for (let i = 0; i < rate; i++) {
+                const digital = Math.round((sig.values[r * rate + i] - sig.min) * scale - 32768);
+                view.setInt16(offset, Math.max(-32768, Math.min(32767, digital)), true);
+                offset += 2;
+            }
+        });
+
+        // Anotación de tiempo obligatoria del registro: "+<inicio>\x14\x14\x00"
+        const tal = `+${r}\x14\x14\x00`;
+        for (let i = 0; i < EDF_ANNOTATION_SAMPLES * 2; i++) {
+            bytes[offset + i] = i < tal.length ? tal.charCodeAt(i) : 0;
+        }
+        offset += EDF_ANNOTATION_SAMPLES * 2;
+    }
+
+    return buffer;
+}
+
+export function parseRawBundle(bundle) {
+    if (bundle.format !== RAW_FORMAT) throw new Error('Formato desconocido');
+
+    const keys = bundle.channels.map(c => c.key);
+    const samples = bundle.timestamps.map((_, i) => withMagnitude(
+        Object.fromEntries(keys.map(key => [key, bundle.data[key][i]]))
+    ));
+    const m = bundle.measurement || {};
+
+    return {
+        samples,
+        timestamps: bundle.timestamps,
+        recordedAt: bundle.recording && bundle.recording.recordedAt,
+        linearSource: bundle.recording && bundle.recording.linearSource,
+        deviceProfile: m.deviceProfile || null,
+        // Las etiquetas del archivo acaban en la interfaz: solo se aceptan valores conocidos
+        tags: {
+            sessionId: typeof m.sessionId === 'string' && /^[\w-]+$/.test(m.sessionId) ? m.sessionId : null,
+            task: knownKey(TASKS, m.task),
+            hand: knownKey(HANDS, m.hand),
+            motorState: knownKey(MOTOR_STATES, m.motorState)
+        }
+    };
+}
+
+function knownKey(table, value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(table, value) ? value : null;
+}
+
+export function parseRawCSV(text) {
+    const lines = text.trim().split(/\r?\n/);
+    const keys = lines[0].split(',').map(k => k.trim());
+    if (keys[0] !== 't_ms') throw new Error('Cabecera desconocida');
+
+    const timestamps = [];
+    const samples = [];
+    lines.slice(1).forEach(line => {
+        const values = line.split(',').map(Number);
+        timestamps.push(values[0]);
+        samples.push(withMagnitude(Object.fromEntries(keys.slice(1).map((key, i) => [key, values[i + 1]]))));
+    });
+
+    return { samples, timestamps, tags: {} };
+}
+
+function withMagnitude(sample) {
+    sample.magnitude = Math.sqrt((sample.x || 0) ** 2 + (sample.y || 0) ** 2 + (sample.z || 0) ** 2);
+    return sample;
+}
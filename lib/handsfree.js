@@ -0,0 +1,72 @@
+// handsfree.js - Empezar la medición sin tocar la pantalla (sin DOM)
+// Dos disparadores: mantener el teléfono quieto en posición después de cogerlo (la
+// orientación de la gravedad deja de cambiar) o decir una orden de voz reconocida.
+export const HANDS_FREE_MODES = ['off', 'still', 'voice'];
+
+export const STILL_DURATION = 2000; // ms en posición antes de empezar
+const GRAVITY_SMOOTHING = 0.1; // Media exponencial: deja fuera el temblor (3-12 Hz) y conserva la orientación
+const MOVE_ANGLE = 20; // grados: el teléfono se ha cogido o recolocado
+const STILL_ANGLE = 6; // grados de margen mientras se mantiene la posición
+
+// Alimentado con accelerationIncludingGravity; update() devuelve true una sola vez,
+// cuando el teléfono lleva `duration` ms en la misma posición tras haberse movido.
+// Exigir el movimiento previo evita que empiece solo si está apoyado en la mesa.
+export function createStillnessDetector({ moveAngle = MOVE_ANGLE, stillAngle = STILL_ANGLE, duration = STILL_DURATION } = {}) {
+    let gravity = null;
+    let origin = null;
+    let reference = null;
+    let referenceTime = 0;
+    let moved = false;
+    let fired = false;
+
+    return {
+        update(acceleration, timestamp) {
+            if (fired || !acceleration) return false;
+            const current = [acceleration.x, acceleration.y, acceleration.z];
+            if (!current.every(Number.isFinite)) return false;
+
+            gravity = gravity
+                ? gravity.map((g, i) => g + GRAVITY_SMOOTHING * (current[i] - g))
+                : current;
+            if (!origin) origin = gravity;
+
+            if (!moved) {
+                moved = angleBetween(origin, gravity) > moveAngle;
+                if (!moved) return false;
+            }
+            if (!reference || angleBetween(reference, gravity) > stillAngle) {
+                reference = gravity;
+                referenceTime = timestamp;
+                return false;
+            }
+            fired = timestamp - referenceTime >= duration;
+            return fired;
+        },
+    };
+}
+
+function angleBetween(a, b) {
+    const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const norms = Math.hypot(...a) * Math.hypot(...b);
+    if (norms === 0) return 0;
+    return (Math.acos(Math.min(1, Math.max(-1, dot / norms))) * 180) / Math.PI;
+}
+
+// Orden de voz: alguna de las palabras aparece en lo reconocido (sin tildes ni mayúsculas)
+export function matchesCommand(transcript, words) {
+    const text = normalizeSpeech(transcript);
+    return words
+        .map(normalizeSpeech)
+        .filter(Boolean)
+        .some(word => new RegExp(`(^|\\s)${word}(\\s|$)`).test(text));
+}
+
+function normalizeSpeech(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
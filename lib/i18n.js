@@ -0,0 +1,79 @@
+// i18n.js - Idioma de la interfaz: catálogos de mensajes y formato de números y fechas (sin DOM)
+// Los textos se piden por clave con t('clave', { valor }). Si falta una traducción se usa
+// el español y, en último caso, la propia clave. Los mensajes con plural son objetos
+// { one, other } que se eligen con Intl.PluralRules según params.count.
+import { messages as es } from './locales/es.js';
+import { messages as en } from './locales/en.js';
+
+export const LOCALES = {
+    es: { name: 'Español', tag: 'es-ES', messages: es },
+    en: { name: 'English', tag: 'en-US', messages: en },
+};
+export const DEFAULT_LOCALE = 'es';
+
+let current = DEFAULT_LOCALE;
+
+// Primer idioma del navegador que tenga catálogo (p. ej. 'en-GB' → 'en')
+export function detectLocale(languages = []) {
+    for (const language of languages) {
+        const code = String(language).toLowerCase().split('-')[0];
+        if (LOCALES[code]) return code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+export function setLocale(locale) {
+    current = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+    return current;
+}
+
+export function getLocale() {
+    return current;
+}
+
+// Etiqueta BCP 47 para Intl, la síntesis de voz y <html lang>
+export function localeTag() {
+    return LOCALES[current].tag;
+}
+
+export function t(key, params = {}) {
+    let message = LOCALES[current].messages[key];
+    if (message === undefined) message = LOCALES[DEFAULT_LOCALE].messages[key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(localeTag()).select(Number(params.count) || 0);
+        message = message[category] !== undefined ? message[category] : message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] === undefined ? match : String(params[name]));
+}
+
+// Número con los decimales indicados y el separador del idioma ("3,5" / "3.5")
+export function formatNumber(value, digits = 0) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '';
+    return new Intl.NumberFormat(localeTag(), {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(value);
+}
+
+// Fechas y horas: aceptan un timestamp (ms) o un Date
+export function formatDate(time, options = {}) {
+    return new Date(time).toLocaleDateString(localeTag(), options);
+}
+
+export function formatTime(time, options = {}) {
+    return new Date(time).toLocaleTimeString(localeTag(), options);
+}
+
+export function formatDateTime(time, options = {}) {
+    return new Date(time).toLocaleString(localeTag(), options);
+}
+
+// Separadores del CSV: con coma decimal (español) las columnas se separan con ';'
+// para que la hoja de cálculo del mismo idioma lo abra sin asistente de importación
+export function csvFormat() {
+    const decimal = formatNumber(1.5, 1).charAt(1);
+    return { delimiter: decimal === ',' ? ';' : ',', decimal };
+}
@@ -0,0 +1,588 @@
+// en.js - Mensajes en inglés (mismas claves que es.js)
+export const messages = {
+    'common.notSpecified': 'Not specified',
+    'common.remove': 'Remove',
+    'common.noData': 'No data',
+    'common.save': 'Save',
+
+    'monitor.noReplayLoaded': '❌ Load a recording to replay first',
+    'monitor.noSensor': '❌ Your device does not support the accelerometer',
+    'monitor.requestingPermission': 'Requesting permission...',
+    'monitor.start': 'Start Measurement',
+    'monitor.permissionDenied': '❌ Permission is needed to access the accelerometer',
+    'monitor.permissionError': '❌ Something went wrong while requesting permission.',
+    'monitor.cancel': 'Cancel',
+    'monitor.stop': 'Stop',
+    'monitor.taskHeading': 'Task {position}: {heading}',
+    'monitor.sessionDone': 'Session complete',
+    'monitor.sessionSaved': { one: 'Session complete: {count} task saved', other: 'Session complete: {count} tasks saved' },
+    'monitor.sessionCancelled': 'Session cancelled',
+    'monitor.instructionsTitle': 'Instructions:',
+    'monitor.instructionsTiming': 'Each task takes about {seconds} seconds; the first {settle} are discarded while you settle.',
+    'monitor.settling': 'Settling into position...',
+    'monitor.recording': { one: 'Recording... {count} second left', other: 'Recording... {count} seconds left' },
+    'monitor.invalidSignal': 'Invalid signal, please repeat the measurement',
+    'monitor.tooShort': 'Measurement too short. Please try again.',
+    'monitor.measurementDone': 'Measurement complete',
+    'monitor.level': 'Tremor Level',
+    'monitor.frequency': 'Frequency (Hz)',
+    'monitor.amplitude': 'Amplitude',
+    'monitor.samples': 'Samples',
+    'monitor.patient': 'Patient',
+    'monitor.protocol': 'Protocol',
+    'monitor.hand': 'Hand',
+    'monitor.voiceCues': 'Spoken prompts and results',
+    'monitor.storeRaw': 'Save raw signal',
+    'monitor.idle': 'Press "Start" to begin',
+    'monitor.analysing': 'Analysing the signal...',
+    'monitor.paused': 'Measurement paused: when you return to the app the task restarts from the beginning (discarded after {seconds} s away)',
+    'monitor.resumed': 'Restarting the task from the beginning',
+    'monitor.noSignal': 'The sensor stopped sending data. Please try again.',
+    'monitor.pauseTimeout': 'The app was in the background for too long: the measurement was stopped',
+    'monitor.wakeLockLost': 'The screen could not be kept on: the task was interrupted',
+    'monitor.analysisError': 'The signal could not be analysed. Please try again.',
+
+    'diary.saved': 'Diary saved',
+    'diary.sleep': 'Sleep last night',
+    'diary.sleep.1': 'Poor',
+    'diary.sleep.2': 'Fair',
+    'diary.sleep.3': 'Good',
+    'diary.stress': 'Stress',
+    'diary.stress.1': 'Low',
+    'diary.stress.2': 'Medium',
+    'diary.stress.3': 'High',
+    'diary.caffeine': 'Caffeine today',
+    'diary.caffeine.0': 'None',
+    'diary.caffeine.1': '1 cup',
+    'diary.caffeine.2': '2 cups',
+    'diary.caffeine.3': '3 or more',
+    'diary.rating': 'Perceived tremor',
+    'diary.title': '📝 Session diary',
+    'diary.save': 'Save diary',
+    'diary.skip': 'Skip',
+    'diary.note': 'Note (optional)',
+
+    'measurement.errorQuality': 'Error: Insufficient signal quality',
+    'measurement.errorShort': 'Error: Measurement too short',
+    'measurement.errorNoSignal': 'Error: No sensor data',
+    'measurement.errorInterrupted': 'Error: Measurement interrupted',
+    'measurement.errorAnalysis': 'Error: Analysis failed',
+
+    'source.live': 'Phone sensor',
+    'source.synthetic': 'Synthetic signal',
+    'source.replay': 'Replay',
+    'source.import': 'Imported',
+
+    'replay.loaded': { one: '{count} sample, {seconds} s', other: '{count} samples, {seconds} s' },
+
+    'recording.invalidFile': '❌ The file is not a valid recording',
+
+    'detail.title': 'Measurement of {time}',
+    'detail.rawSummary': { one: '{count} sample · {seconds} s', other: '{count} samples · {seconds} s' },
+    'detail.noRaw': 'This measurement did not store the raw signal; only the summary is shown.',
+    'detail.frequency': 'Dominant frequency',
+    'detail.bandPower': 'Band power',
+    'detail.bandSplit': 'Rest 3-7 Hz {rest}% · Postural 7-12 Hz {postural}%',
+    'detail.sharpness': 'Peak sharpness',
+    'detail.sharpnessValue': '{percent}% of the power near the peak',
+    'detail.displacement': 'Estimated displacement',
+    'detail.displacementValue': '{cm} cm peak to peak',
+    'detail.updrs': 'UPDRS item',
+    'detail.updrsValue': '{item}/4 (thresholds {thresholds} cm)',
+    'detail.score': 'Score',
+    'detail.displacementRatio': 'displacement ×{ratio}',
+    'detail.baseline': 'Baseline',
+    'detail.partOfBaseline': 'Part of the baseline ({severity}/10)',
+    'detail.change': 'change {change}',
+    'detail.quality': 'Signal quality',
+    'detail.diary': 'Session diary',
+    'detail.heading': '🔍 Measurement',
+    'detail.close': 'Close detail',
+    'detail.noiseFloor': 'Noise floor subtracted',
+    'detail.noiseFloorValue': '{cm} cm (calibrated on {date})',
+
+    'history.firstMeasurement': 'Take your first measurement',
+    'history.excludedLegacy': { one: '{count} measurement on an earlier scale is not included in the statistics', other: '{count} measurements on an earlier scale are not included in the statistics' },
+    'history.excludedSimulated': { one: '{count} simulated or imported measurement is not included in the statistics', other: '{count} simulated or imported measurements are not included in the statistics' },
+    'history.legacyScale': 'Earlier scale',
+    'history.detail': 'Details',
+    'history.rawSignal': 'Signal',
+    'history.day.title': 'Today\'s Summary',
+    'history.day.list': 'Today\'s Measurements',
+    'history.day.empty': 'No measurements today',
+    'history.week.title': 'Last 7 days',
+    'history.week.list': 'This week\'s measurements',
+    'history.week.empty': 'No measurements this week',
+    'history.month.title': 'Last 30 days',
+    'history.month.list': 'This month\'s measurements',
+    'history.month.empty': 'No measurements this month',
+    'history.custom.title': 'Selected period',
+    'history.custom.list': 'Measurements in the period',
+    'history.custom.empty': 'No measurements in this period',
+    'history.session': 'Session {time}',
+    'history.quality': 'Quality {score}/100',
+    'history.sinceDose': '{time} since {name}',
+    'history.bandSplit': 'Rest {rest}% · Postural {postural}%',
+    'history.rotation': 'Rotation {rms} °/s · {frequency} Hz',
+    'history.dropped': { one: '{count} dropped', other: '{count} dropped' },
+    'history.baselineTitle': 'Baseline and asymmetry',
+    'history.dailyTitle': 'Daily trend',
+    'history.heatmapTitle': 'Severity by time of day',
+    'history.report': 'Report for the Doctor',
+    'history.exportCsv': 'Export CSV',
+    'history.exportFhir': 'Export FHIR',
+    'history.exportNote': 'The report opens ready to print or save as PDF. The CSV is copied to the clipboard and downloaded. FHIR downloads an HL7 FHIR R4 Bundle (JSON) for the hospital health record.',
+    'history.researchTitle': 'Research data',
+    'history.rawFormat': 'Raw signal format',
+    'history.rawCsv': 'CSV (per recording)',
+    'history.rawJson': 'JSON with metadata',
+    'history.import': 'Import recording',
+    'history.rawNote': 'Use "⬇ Signal" on each measurement to download its raw signal. Imported recordings are reanalysed with the current algorithm.',
+    'history.interruptions': { one: 'Restarted after {count} interruption', other: 'Restarted after {count} interruptions' },
+
+    'stats.average': 'Average',
+    'stats.max': 'Maximum',
+    'stats.min': 'Minimum',
+    'stats.measurements': 'Measurements',
+
+    'daily.day': 'Day',
+    'daily.mean': 'Mean',
+    'daily.max': 'Max.',
+
+    'motor.placeholder': 'State…',
+    'motor.label': 'Motor state',
+    'motor.dyskinesia': 'Dyskinesia',
+
+    'export.noData': 'There is no data to export',
+    'export.noValidData': 'There are no valid measurements to export',
+    'export.copied': '✅ Data copied to the clipboard.\n\nYou can paste it into an email or document for your doctor.',
+    'export.copyPrompt': 'Copy this data for your doctor:',
+    'export.noRaw': 'This measurement has no stored raw signal',
+
+    'import.tooShort': '⚠️ The recording is too short to analyse',
+    'import.lowQuality': '⚠️ The recording quality is too low to analyse it:',
+    'import.done': 'Recording imported and reanalysed',
+
+    'csv.date': 'Date',
+    'csv.time': 'Time',
+    'csv.session': 'Session',
+    'csv.task': 'Task',
+    'csv.hand': 'Hand',
+    'csv.level': 'Tremor Level (0-10)',
+    'csv.frequency': 'Frequency (Hz)',
+    'csv.amplitude': 'Amplitude',
+    'csv.restPower': 'Power 3-7 Hz',
+    'csv.posturalPower': 'Power 7-12 Hz',
+    'csv.sharpness': 'Peak sharpness',
+    'csv.sampleRate': 'Sampling rate (Hz)',
+    'csv.dropped': 'Dropped samples',
+    'csv.jitter': 'Jitter (ms)',
+    'csv.rotationRMS': 'Rotation RMS (°/s)',
+    'csv.rotationFrequency': 'Rotation frequency (Hz)',
+    'csv.linear': 'Linear acceleration',
+    'csv.displacement': 'Displacement (cm)',
+    'csv.updrs': 'UPDRS item (0-4)',
+    'csv.severityModel': 'Severity model',
+    'csv.baselineChange': 'Change vs baseline',
+    'csv.baselineRatio': 'Displacement vs baseline (×)',
+    'csv.source': 'Source',
+    'csv.quality': 'Quality (0-100)',
+    'csv.qualityIssues': 'Quality issues',
+    'csv.motorState': 'Motor state',
+    'csv.minutesSinceDose': 'Minutes since dose',
+    'csv.lastDose': 'Last dose',
+    'csv.sleep': 'Sleep',
+    'csv.stress': 'Stress',
+    'csv.caffeine': 'Caffeine',
+    'csv.rating': 'Perceived tremor (0-10)',
+    'csv.diaryNote': 'Diary note',
+    'csv.interpretation': 'Interpretation',
+    'csv.statsTitle': 'Statistics for the period:',
+    'csv.patient': 'Patient',
+    'csv.total': 'Total measurements',
+    'csv.baselineTitle': 'Baseline (first {count} sessions):',
+    'csv.dosesTitle': 'Medication doses:',
+    'csv.medication': 'Medication',
+    'csv.dose': 'Dose',
+    'csv.calibration': 'Phone calibration',
+    'csv.noiseFloor': 'Noise floor (cm)',
+
+    'medication.took': 'I took {name}',
+    'medication.empty': 'Add your medication to the schedule',
+    'medication.noTimes': 'No set times',
+    'medication.noDosesToday': 'No doses logged today',
+    'medication.reminder': 'Time to take {name}',
+    'medication.logDose': 'Log dose',
+    'medication.notificationTitle': 'Medication',
+    'medication.title': '💊 Medication',
+    'medication.todayTitle': 'Today\'s Doses',
+    'medication.scheduleTitle': 'Schedule',
+    'medication.add': 'Add to schedule',
+    'medication.name': 'Medicine (e.g. Levodopa)',
+    'medication.dose': 'Dose (e.g. 100 mg)',
+    'medication.times': 'Times: 08:00, 14:00, 20:00',
+
+    'reminders.noTimes': 'No times: add times to the schedule',
+    'reminders.empty': 'No measurement reminders',
+    'reminders.unsupported': 'This browser does not support notifications: reminders only show while the app is open.',
+    'reminders.blocked': 'Notifications are blocked: allow them in the browser settings to receive reminders.',
+    'reminders.scheduled': 'Reminders arrive even when the app is closed. Tapping one opens the measurement directly.',
+    'reminders.openOnly': 'Reminders arrive while the app is open or in the background; this browser cannot schedule them with the app closed. Tapping one opens the measurement directly.',
+    'reminders.invalid': '❌ Enter how many hours apart and a valid time window (from before to)',
+    'reminders.measureNow': 'Measure now',
+    'reminders.notificationTitle': 'Time to measure your tremor',
+    'reminders.notificationBody': 'Tap to start a measurement',
+    'reminders.pressStart': 'Time to measure: press "Start Measurement"',
+    'reminders.title': '⏰ Measurement reminders',
+    'reminders.when': 'When',
+    'reminders.everyHours': 'Every (hours)',
+    'reminders.offset': 'Minutes relative to each dose (negative: before)',
+    'reminders.add': 'Add reminder',
+
+    'report.noData': 'There is no data for the report',
+    'report.title': 'Tremor report',
+    'report.patient': 'Patient',
+    'report.diagnosis': 'Diagnosis',
+    'report.affectedSide': 'Most affected side',
+    'report.schedule': 'Medication schedule',
+    'report.period': 'Period',
+    'report.generated': 'Generated',
+    'report.measurements': { one: '<strong>{count}</strong> measurement', other: '<strong>{count}</strong> measurements' },
+    'report.mean': 'Mean',
+    'report.max': 'Maximum',
+    'report.scale': 'Scale',
+    'report.evolution': 'Trend',
+    'report.chartAlt': 'Severity chart for the period',
+    'report.daily': 'Daily statistics',
+    'report.byTask': 'Results by task',
+    'report.baselineChange': 'Change from baseline',
+    'report.baselineNote': 'Baseline: mean of the first {count} sessions of each task and hand.',
+    'report.asymmetry': 'Asymmetry between hands',
+    'report.frequencies': 'Frequency distribution',
+    'report.medication': 'Medication and motor state',
+    'report.diary': 'Symptom diary',
+    'report.diary.session': 'Session',
+    'report.diary.sleep': 'Sleep',
+    'report.diary.stress': 'Stress',
+    'report.diary.caffeine': 'Caffeine',
+    'report.diary.perceived': 'Perceived',
+    'report.diary.measured': 'Measured',
+    'report.diary.note': 'Note',
+    'report.dataQuality': 'Data quality',
+    'report.disclaimer': 'Indicative measurement with the phone\'s accelerometer; it does not replace a clinical examination.',
+    'report.noTask': 'No task',
+    'report.state': 'State',
+    'report.doses': 'Logged doses',
+
+    'quality.note.sampling': { one: 'Mean sampling {rate} Hz, jitter {jitter} ms, {count} dropped sample in total.', other: 'Mean sampling {rate} Hz, jitter {jitter} ms, {count} dropped samples in total.' },
+    'quality.note.filtered': { one: '{count} measurement without the sensor\'s linear acceleration; gravity was separated by filtering.', other: '{count} measurements without the sensor\'s linear acceleration; gravity was separated by filtering.' },
+    'quality.note.legacy': { one: '{count} measurement on an earlier severity scale excluded from the analysis.', other: '{count} measurements on an earlier severity scale excluded from the analysis.' },
+    'quality.note.simulated': { one: '{count} simulated or imported measurement (synthetic signal, replay or imported recording) excluded from the analysis.', other: '{count} simulated or imported measurements (synthetic signal, replay or imported recording) excluded from the analysis.' },
+    'quality.note.flagged': { one: '{count} measurement with quality issues: {issues}.', other: '{count} measurements with quality issues: {issues}.' },
+    'quality.note.rejected': { one: '{count} measurement rejected for signal quality: {issues}.', other: '{count} measurements rejected for signal quality: {issues}.' },
+    'quality.note.failed': { one: '{count} failed measurement attempt.', other: '{count} failed measurement attempts.' },
+    'quality.note.none': 'No quality issues.',
+    'quality.low-rate.message': 'Low sampling rate',
+    'quality.low-rate.guidance': 'Close other apps and keep the screen on during the measurement',
+    'quality.gaps.message': 'Gaps in the recording',
+    'quality.gaps.guidance': 'Do not switch apps or lock the screen while measuring',
+    'quality.sensor-dropout.message': 'The sensor returned empty readings',
+    'quality.sensor-dropout.guidance': 'Restart the browser; if it happens again, the phone sensor may be unavailable',
+    'quality.flatline.message': 'Frozen signal (repeated values)',
+    'quality.flatline.guidance': 'The sensor stopped updating: repeat the measurement',
+    'quality.clipping.message': 'Clipped signal',
+    'quality.clipping.guidance': 'The movement exceeded the sensor range: avoid knocks or sudden shakes',
+    'quality.voluntary-movement.message': 'Large voluntary movement (walking, gesturing)',
+    'quality.voluntary-movement.guidance': 'Stay seated and keep your arm still in the task position',
+    'quality.orientation-change.message': 'The phone changed orientation',
+    'quality.orientation-change.guidance': 'Hold the phone in the same position throughout the task',
+    'quality.no-contact.message': 'No hand movement: the phone seems to be resting on something',
+    'quality.no-contact.guidance': 'Hold the phone in your hand instead of leaving it on a surface',
+    'quality.note.calibrated': { one: '{count} measurement with the phone\'s noise floor subtracted (calibrated on {date}: {cm} cm).', other: '{count} measurements with the phone\'s noise floor subtracted (calibrated on {date}: {cm} cm).' },
+    'quality.note.uncalibrated': { one: '{count} measurement without phone calibration: it includes the sensor noise floor.', other: '{count} measurements without phone calibration: they include the sensor noise floor.' },
+
+    'profile.unnamed': 'Unnamed',
+    'profile.finishFirst': 'Finish the measurement before switching profile',
+    'profile.noBaseline': 'There are no valid measurements for this profile yet',
+    'profile.title': '👤 Patient profile',
+    'profile.side': 'Most affected side',
+    'profile.baselineSessions': 'Sessions for the baseline',
+    'profile.save': 'Save profile',
+    'profile.new': 'New profile',
+    'profile.note': 'Each profile has its own history, medication schedule and baseline. Choose the patient on the measurement screen before starting.',
+    'profile.name': 'Patient name',
+    'profile.patientId': 'ID / Record number',
+    'profile.diagnosis': 'Diagnosis (e.g. Parkinson\'s, 2019)',
+
+    'baseline.task': 'Task',
+    'baseline.hand': 'Hand',
+    'baseline.baseline': 'Baseline',
+    'baseline.period': 'Period',
+    'baseline.change': 'Change',
+    'baseline.sessions': 'Sessions',
+    'baseline.progress': '{sessions}/{required} sessions',
+    'baseline.pending': 'The baseline is set from the first {count} sessions of each task and hand',
+    'baseline.vs': '{change} vs baseline',
+    'baseline.title': '📏 Baseline',
+    'baseline.note': 'The baseline for each task and hand is the average of its first valid sessions. Later measurements are compared with it.',
+
+    'asymmetry.task': 'Task',
+    'asymmetry.left': 'Left',
+    'asymmetry.right': 'Right',
+    'asymmetry.difference': 'Difference',
+
+    'sync.disabled': 'Sync is off: the data is only on this phone.',
+    'sync.pending': { one: '{count} upload pending', other: '{count} uploads pending' },
+    'sync.allSent': 'Everything sent',
+    'sync.offline': 'last attempt {time} could not reach the server',
+    'sync.last': 'last sync {time}: {sent}',
+    'sync.sent': { one: '{count} sent', other: '{count} sent' },
+    'sync.conflicts': { one: '{count} conflict resolved', other: '{count} conflicts resolved' },
+    'sync.rejected': { one: '{count} rejected by the server', other: '{count} rejected by the server' },
+    'sync.notes': { one: '{count} new note', other: '{count} new notes' },
+    'sync.noNotes': 'No notes from the clinic',
+    'sync.clinic': 'Clinic',
+    'sync.title': '🏥 Share with the clinic',
+    'sync.enable': 'Sync measurements and doses',
+    'sync.backend': 'Service',
+    'sync.now': 'Sync now',
+    'sync.notesTitle': 'Notes from the clinic',
+    'sync.note': 'While offline, uploads wait on the phone and go out by themselves once the connection is back. Simulated or imported measurements are not sent.',
+    'sync.endpoint': 'Server address (https://…)',
+    'sync.token': 'Access token (optional)',
+
+    'app.install': 'Install as App',
+    'app.noAccelerometer': '⚠️ Your browser does not support the accelerometer.<br>Try Chrome or Safari.',
+    'app.title': 'Parkinson Tremor Monitor',
+    'app.heading': '📱 Tremor Monitor',
+    'app.subtitle': 'Parkinson\'s care',
+    'app.language': 'Language',
+
+    'lock.checking': 'Checking…',
+    'lock.wrongPasscode': '❌ Wrong passcode',
+    'lock.decryptFailed': '❌ The data could not be decrypted',
+    'lock.confirmErase': 'Encrypted data cannot be recovered without the passcode.\n\nErase all the data on this phone and start again? If you have a backup you can restore it afterwards.',
+    'lock.finishFirst': 'Finish the measurement or calibration before locking',
+    'lock.title': '🔒 Tremor Monitor',
+    'lock.prompt': 'Enter your passcode to see the data',
+    'lock.unlock': 'Unlock',
+    'lock.forgot': 'Forgotten your passcode?',
+    'lock.passcode': 'Passcode',
+
+    'privacy.unavailable': '⚠️ Encryption needs a secure connection (https) and an up-to-date browser.',
+    'privacy.enabled': '✅ The data on this phone is encrypted. The app asks for the passcode when it opens.',
+    'privacy.disabled': 'Data is stored unencrypted. With a passcode, measurements, doses, notes and profiles are encrypted on the phone (AES-GCM) and the app locks after a period of inactivity.',
+    'privacy.changePasscode': 'Change passcode',
+    'privacy.enable': 'Turn on encryption',
+    'privacy.tooShort': '❌ The passcode must be at least {count} characters long',
+    'privacy.mismatch': '❌ The passcodes do not match',
+    'privacy.wrongCurrent': '❌ The current passcode is not correct',
+    'privacy.changed': '✅ Passcode changed',
+    'privacy.encrypting': '⏳ Encrypting the data…',
+    'privacy.encrypted': '✅ Data encrypted. The app will ask for the passcode when it opens.',
+    'privacy.failed': '❌ Encryption could not be completed',
+    'privacy.currentRequired': 'Enter the current passcode to turn off encryption',
+    'privacy.confirmDisable': 'Data will be stored unencrypted on this phone again. Continue?',
+    'privacy.disabledDone': 'Encryption turned off',
+    'privacy.disableFailed': '❌ Encryption could not be turned off',
+    'privacy.title': '🔒 Privacy',
+    'privacy.autoLock': 'Automatic lock',
+    'privacy.after1': 'After 1 minute of inactivity',
+    'privacy.after5': 'After 5 minutes of inactivity',
+    'privacy.after15': 'After 15 minutes of inactivity',
+    'privacy.after30': 'After 30 minutes of inactivity',
+    'privacy.never': 'Never',
+    'privacy.lockNow': 'Lock now',
+    'privacy.disable': 'Turn off encryption',
+    'privacy.current': 'Current passcode',
+    'privacy.new': 'New passcode (at least 6 characters)',
+    'privacy.confirm': 'Repeat the new passcode',
+
+    'backup.tooShort': '❌ Enter a backup passcode of at least {count} characters',
+    'backup.failed': '❌ The backup could not be created',
+    'backup.passcodeRequired': 'Enter the backup passcode before choosing the file',
+    'backup.finishFirst': 'Finish the measurement before restoring a backup',
+    'backup.confirmRestore': 'All the data on this phone will be replaced with the backup. Continue?',
+    'backup.restored': '✅ Backup restored: {measurements} and {doses}',
+    'backup.measurements': { one: '{count} measurement', other: '{count} measurements' },
+    'backup.doses': { one: '{count} dose', other: '{count} doses' },
+    'backup.notBackup': 'The file is not a backup',
+    'backup.newerVersion': 'The backup comes from a newer version of the app',
+    'backup.wrongPasscode': 'Wrong passcode or damaged backup',
+    'backup.unsupportedKdf': 'The backup uses an encryption this app does not support',
+    'backup.restoreFailed': 'The backup could not be restored',
+    'backup.title': 'Backup',
+    'backup.download': 'Download encrypted backup',
+    'backup.restore': 'Restore backup',
+    'backup.note': 'The backup includes measurements, signals, doses, notes, alerts and profiles, encrypted with the passcode you enter (AES-GCM). Keep it safe: without it the backup cannot be opened.',
+    'backup.passcode': 'Backup passcode',
+
+    'update.available': 'A new version is available',
+    'update.reload': 'Reload',
+    'update.finishFirst': 'Finish the measurement before updating',
+
+    'task.rest': 'Rest',
+    'task.rest.instructions': 'Rest the hand holding the phone on your lap and relax it completely',
+    'task.postural': 'Postural',
+    'task.postural.instructions': 'Stretch your arm out in front with the phone in the palm of your hand',
+    'task.kinetic': 'Kinetic',
+    'task.kinetic.instructions': 'Slowly move the phone from your knee to your nose and back, without stopping',
+
+    'hand.left': 'Left hand',
+    'hand.right': 'Right hand',
+    'hand.both': 'Both',
+    'hand.leftShort': 'Left',
+    'hand.rightShort': 'Right',
+
+    'protocol.quick': 'Quick measurement (postural)',
+    'protocol.rest': 'Rest tremor',
+    'protocol.full': 'Full examination',
+
+    'severity.minimal': '✅ Minimal or no tremor',
+    'severity.mild': '🟡 Mild tremor',
+    'severity.moderate': '🟠 Moderate tremor',
+    'severity.significant': '🔴 Significant tremor',
+
+    'side.unknown': 'Not specified',
+    'side.left': 'Left',
+    'side.right': 'Right',
+    'side.both': 'Both',
+
+    'reminderKind.interval': 'At regular intervals',
+    'reminderKind.medication': 'Around medication',
+    'reminderKind.atDose': 'At each dose',
+    'reminderKind.beforeDose': '{minutes} min before each dose',
+    'reminderKind.afterDose': '{minutes} min after each dose',
+    'reminderKind.every': 'Every {hours} h from {from} to {to}',
+
+    'view.waves': 'Waves',
+    'view.spectrum': 'Spectrum',
+    'view.spectrogram': 'Spectrogram',
+    'view.collecting': 'Collecting data…',
+    'view.label': 'Signal view',
+
+    'fhir.device': 'Mobile phone with accelerometer',
+    'fhir.algorithm': 'Analysis algorithm',
+    'fhir.observation': 'Tremor measured with the phone accelerometer',
+    'fhir.method': 'Spectral analysis{version}, scale {model}',
+    'fhir.frequency': 'Dominant frequency',
+    'fhir.amplitude': 'RMS amplitude',
+    'fhir.level': 'Tremor level (0-10)',
+    'fhir.displacement': 'Peak-to-peak displacement',
+    'fhir.updrs': 'Estimated UPDRS item (0-4)',
+    'fhir.task': 'Examination task',
+    'fhir.quality': 'Signal quality {score}/100: {issues}',
+    'fhir.noiseFloor': 'Sensor noise floor subtracted',
+    'fhir.calibrated': 'Calibrated at rest',
+    'fhir.sampleRate': 'Sampling rate',
+
+    'tab.monitor': 'Monitor',
+    'tab.history': 'History',
+    'tab.medication': 'Medication',
+    'tab.profile': 'Profile',
+
+    'dev.title': '🧪 Test tools',
+    'dev.source': 'Data source',
+    'dev.replayRecording': 'Replay a recording',
+    'dev.frequency': 'Frequency (Hz)',
+    'dev.amplitude': 'Amplitude (m/s²)',
+    'dev.noise': 'Noise (m/s²)',
+    'dev.tilt': 'Tilt (°)',
+    'dev.rate': 'Sampling (Hz)',
+    'dev.jitter': 'Jitter (ms)',
+    'dev.linear': 'Sensor linear acceleration',
+    'dev.chooseRecording': 'Choose recording',
+    'dev.simulatedNote': 'Simulated measurements are marked in the history and are left out of the statistics.',
+    'dev.noRecording': 'No recording loaded',
+
+    'range.day': 'Day',
+    'range.week': 'Week',
+    'range.month': 'Month',
+    'range.custom': 'Other',
+    'range.from': 'From',
+    'range.to': 'To',
+
+    'dialog.ok': 'OK',
+    'dialog.cancel': 'Cancel',
+    'dialog.accept': 'Confirm',
+    'dialog.erase': 'Erase everything',
+
+    'a11y.largeTheme': 'Large text and high contrast',
+    'a11y.progress': 'Measurement progress',
+    'a11y.progressValue': '{percent}%, level {level}',
+    'a11y.liveCanvas': 'Live signal; frequency and amplitude are shown below',
+    'a11y.chartData': 'Show the chart data',
+    'a11y.historyChart': { one: 'Tremor over time: {count} measurement, mean level {mean}, max {max}', other: 'Tremor over time: {count} measurements, mean level {mean}, max {max}' },
+    'a11y.heatmap': { one: 'Map by hour of day: {count} slot with data; the highest, {day} at {hour}:00 (level {level})', other: 'Map by hour of day: {count} slots with data; the highest, {day} at {hour}:00 (level {level})' },
+    'a11y.chartEmpty': 'Chart with no data for this period',
+    'a11y.hour': 'Hour of day',
+
+    'handsFree.label': 'Hands-free start',
+    'handsFree.off': 'Off',
+    'handsFree.still': 'When held still',
+    'handsFree.voice': 'By voice',
+    'handsFree.words': 'start,begin,measure,go',
+    'handsFree.stillHint': '🤚 Pick up the phone and hold it still in position: the measurement will start by itself',
+    'handsFree.voiceHint': '🎙️ Say “start” to begin the measurement',
+    'handsFree.unsupported': 'This browser does not support the selected hands-free start',
+    'handsFree.blocked': '🎙️ No microphone permission: voice start is off',
+
+    'speech.result': 'Level {level}. {label}',
+
+    'calibration.title': '📐 Phone calibration',
+    'calibration.start': 'Calibrate this phone',
+    'calibration.note': 'Leave the phone still on a table for about 12 seconds. The sensor\'s own noise is measured and subtracted from every measurement. Once per phone is enough.',
+    'calibration.hint': '📐 This phone is not calibrated: do it once under Profile → Calibration to subtract the sensor noise',
+    'calibration.none': 'This phone has not been calibrated yet',
+    'calibration.settling': 'Put the phone on the table and do not touch it...',
+    'calibration.running': { one: 'Calibrating: do not touch the phone... {count} second', other: 'Calibrating: do not touch the phone... {count} seconds' },
+    'calibration.paused': 'Calibration paused: it will restart when you return to the app',
+    'calibration.done': 'Calibration saved',
+    'calibration.failed.moved': 'The phone moved during calibration. Put it on a table and try again.',
+    'calibration.failed.noGravity': 'This browser\'s sensor does not report gravity: it cannot be calibrated.',
+    'calibration.failed.generic': 'Calibration could not be completed. Please try again.',
+    'calibration.property': 'Property',
+    'calibration.value': 'Value',
+    'calibration.date': 'Calibrated',
+    'calibration.gravity': 'Measured gravity',
+    'calibration.noise': 'Accelerometer noise (x/y/z)',
+    'calibration.noiseFloor': 'Noise floor in the tremor band',
+
+    'alerts.title': '🔔 Worsening alerts',
+    'alerts.rule.trend': 'Trend above baseline',
+    'alerts.rule.frequency': 'Frequency shift',
+    'alerts.rule.missed': 'Missed measurement days',
+    'alerts.rule.asymmetry': 'Left/right asymmetry',
+    'alerts.form.trend': 'Alert when the recent mean rises above the baseline',
+    'alerts.form.trendPercent': 'Displacement increase (%)',
+    'alerts.form.trendDays': 'Rolling mean days',
+    'alerts.form.frequency': 'Alert when the frequency leaves the usual band',
+    'alerts.form.frequencyShift': 'Difference from the baseline frequency (Hz)',
+    'alerts.form.missed': 'Alert when measurements are missed',
+    'alerts.form.missedDays': 'Days in a row without measuring',
+    'alerts.form.asymmetry': 'Alert on a sudden change between hands',
+    'alerts.form.asymmetryPoints': 'Change in the left - right difference (points)',
+    'alerts.form.caregiverName': 'Caregiver name (optional)',
+    'alerts.form.caregiverEmail': 'Caregiver email (optional)',
+    'alerts.note': 'Rules are checked when the app opens and after every session, using only valid sensor measurements. With a caregiver email, "Tell the caregiver" prepares an email; without one the phone\'s share option is used.',
+    'alerts.text.trend': '{target}: the mean displacement over the last {days} days is {percent}% above the baseline',
+    'alerts.text.frequency': '{target}: frequency of {frequency} Hz, outside the usual band (baseline {baseline} Hz)',
+    'alerts.text.asymmetry': '{target}: the left - right difference went from {previous} to {difference} points',
+    'alerts.text.missed': { one: '{count} day without measuring since {date}', other: '{count} days without measuring since {date}' },
+    'alerts.bannerTitle': { one: 'New alert', other: '{count} new alerts' },
+    'alerts.notificationTitle': 'Tremor change',
+    'alerts.seen': 'Got it',
+    'alerts.share': 'Tell the caregiver',
+    'alerts.noShare': 'This browser cannot share: add the caregiver\'s email under Profile → Alerts.',
+    'alerts.summaryTitle': 'Tremor Monitor: alerts for {name}',
+    'alerts.summaryGreeting': 'Hello {name},',
+    'alerts.summaryIntro': '{name}\'s tremor monitoring app has detected:',
+    'alerts.summaryFooter': 'Message generated by Tremor Monitor. It does not replace a medical assessment.',
+    'alerts.logTitle': 'Alert log',
+    'alerts.logEmpty': 'No alert has been triggered yet',
+    'alerts.pending': 'Not reviewed',
+    'alerts.acknowledged': 'Seen on {time}',
+    'alerts.shared': 'sent to the caregiver ({via}) on {time}',
+    'alerts.via.email': 'email',
+    'alerts.via.share': 'share',
+};
@@ -0,0 +1,589 @@
+// es.js - Mensajes en español: idioma por defecto y respaldo de las claves sin traducir
+// {nombre} se sustituye por el parámetro del mismo nombre; { one, other } son plurales.
+export const messages = {
+    'common.notSpecified': 'Sin indicar',
+    'common.remove': 'Quitar',
+    'common.noData': 'Sin datos',
+    'common.save': 'Guardar',
+
+    'monitor.noReplayLoaded': '❌ Cargue primero un registro para reproducir',
+    'monitor.noSensor': '❌ Tu dispositivo no soporta el acelerómetro',
+    'monitor.requestingPermission': 'Solicitando permisos...',
+    'monitor.start': 'Iniciar Medición',
+    'monitor.permissionDenied': '❌ Se necesitan permisos para acceder al acelerómetro',
+    'monitor.permissionError': '❌ Ocurrió un error al solicitar permisos.',
+    'monitor.cancel': 'Cancelar',
+    'monitor.stop': 'Detener',
+    'monitor.taskHeading': 'Tarea {position}: {heading}',
+    'monitor.sessionDone': 'Sesión completada',
+    'monitor.sessionSaved': { one: 'Sesión completada: {count} tarea guardada', other: 'Sesión completada: {count} tareas guardadas' },
+    'monitor.sessionCancelled': 'Sesión cancelada',
+    'monitor.instructionsTitle': 'Instrucciones:',
+    'monitor.instructionsTiming': 'Cada tarea dura unos {seconds} segundos; los primeros {settle} se descartan mientras se acomoda.',
+    'monitor.settling': 'Acomodando la posición...',
+    'monitor.recording': { one: 'Monitoreando... {count} segundo restante', other: 'Monitoreando... {count} segundos restantes' },
+    'monitor.invalidSignal': 'Señal no válida, repita la medición',
+    'monitor.tooShort': 'Medición muy corta. Intente de nuevo.',
+    'monitor.measurementDone': 'Medición completada',
+    'monitor.level': 'Nivel de Temblor',
+    'monitor.frequency': 'Frecuencia (Hz)',
+    'monitor.amplitude': 'Amplitud',
+    'monitor.samples': 'Muestras',
+    'monitor.patient': 'Paciente',
+    'monitor.protocol': 'Protocolo',
+    'monitor.hand': 'Mano',
+    'monitor.voiceCues': 'Indicaciones y resultado por voz',
+    'monitor.storeRaw': 'Guardar señal cruda',
+    'monitor.idle': 'Presione "Iniciar" para comenzar',
+    'monitor.analysing': 'Analizando la señal...',
+    'monitor.paused': 'Medición en pausa: al volver a la app la tarea se repetirá desde el principio (se descarta tras {seconds} s fuera)',
+    'monitor.resumed': 'Repitiendo la tarea desde el principio',
+    'monitor.noSignal': 'El sensor dejó de enviar datos. Intente de nuevo.',
+    'monitor.pauseTimeout': 'La app estuvo demasiado tiempo en segundo plano: la medición se ha detenido',
+    'monitor.wakeLockLost': 'No se pudo mantener la pantalla encendida: la tarea se ha interrumpido',
+    'monitor.analysisError': 'No se pudo analizar la señal. Intente de nuevo.',
+
+    'diary.saved': 'Diario guardado',
+    'diary.sleep': 'Sueño anoche',
+    'diary.sleep.1': 'Malo',
+    'diary.sleep.2': 'Regular',
+    'diary.sleep.3': 'Bueno',
+    'diary.stress': 'Estrés',
+    'diary.stress.1': 'Bajo',
+    'diary.stress.2': 'Medio',
+    'diary.stress.3': 'Alto',
+    'diary.caffeine': 'Cafeína hoy',
+    'diary.caffeine.0': 'Nada',
+    'diary.caffeine.1': '1 taza',
+    'diary.caffeine.2': '2 tazas',
+    'diary.caffeine.3': '3 o más',
+    'diary.rating': 'Temblor percibido',
+    'diary.title': '📝 Diario de la sesión',
+    'diary.save': 'Guardar diario',
+    'diary.skip': 'Omitir',
+    'diary.note': 'Nota (opcional)',
+
+    'measurement.errorQuality': 'Error: Calidad de señal insuficiente',
+    'measurement.errorShort': 'Error: Medición muy corta',
+    'measurement.errorNoSignal': 'Error: Sin datos del sensor',
+    'measurement.errorInterrupted': 'Error: Medición interrumpida',
+    'measurement.errorAnalysis': 'Error: Fallo del análisis',
+
+    'source.live': 'Sensor del teléfono',
+    'source.synthetic': 'Señal sintética',
+    'source.replay': 'Reproducción',
+    'source.import': 'Importada',
+
+    'replay.loaded': { one: '{count} muestra, {seconds} s', other: '{count} muestras, {seconds} s' },
+
+    'recording.invalidFile': '❌ El archivo no es un registro válido',
+
+    'detail.title': 'Medición del {time}',
+    'detail.rawSummary': { one: '{count} muestra · {seconds} s', other: '{count} muestras · {seconds} s' },
+    'detail.noRaw': 'Esta medición no guardó la señal cruda; solo se muestra el resumen.',
+    'detail.frequency': 'Frecuencia dominante',
+    'detail.bandPower': 'Potencia por banda',
+    'detail.bandSplit': 'Reposo 3-7 Hz {rest}% · Postural 7-12 Hz {postural}%',
+    'detail.sharpness': 'Nitidez del pico',
+    'detail.sharpnessValue': '{percent}% de la potencia cerca del pico',
+    'detail.displacement': 'Desplazamiento estimado',
+    'detail.displacementValue': '{cm} cm pico a pico',
+    'detail.updrs': 'Ítem UPDRS',
+    'detail.updrsValue': '{item}/4 (umbrales {thresholds} cm)',
+    'detail.score': 'Puntuación',
+    'detail.displacementRatio': 'desplazamiento ×{ratio}',
+    'detail.baseline': 'Línea basal',
+    'detail.partOfBaseline': 'Forma parte de la línea basal ({severity}/10)',
+    'detail.change': 'cambio {change}',
+    'detail.quality': 'Calidad de la señal',
+    'detail.diary': 'Diario de la sesión',
+    'detail.heading': '🔍 Medición',
+    'detail.close': 'Cerrar detalle',
+    'detail.noiseFloor': 'Ruido de fondo restado',
+    'detail.noiseFloorValue': '{cm} cm (calibración del {date})',
+
+    'history.firstMeasurement': 'Realice su primera medición',
+    'history.excludedLegacy': { one: '{count} medición con una escala anterior no se incluye en las estadísticas', other: '{count} mediciones con una escala anterior no se incluyen en las estadísticas' },
+    'history.excludedSimulated': { one: '{count} medición simulada o importada no se incluye en las estadísticas', other: '{count} mediciones simuladas o importadas no se incluyen en las estadísticas' },
+    'history.legacyScale': 'Escala anterior',
+    'history.detail': 'Detalle',
+    'history.rawSignal': 'Señal',
+    'history.day.title': 'Resumen del Día',
+    'history.day.list': 'Mediciones de Hoy',
+    'history.day.empty': 'No hay mediciones hoy',
+    'history.week.title': 'Últimos 7 días',
+    'history.week.list': 'Mediciones de la semana',
+    'history.week.empty': 'No hay mediciones esta semana',
+    'history.month.title': 'Últimos 30 días',
+    'history.month.list': 'Mediciones del mes',
+    'history.month.empty': 'No hay mediciones este mes',
+    'history.custom.title': 'Periodo seleccionado',
+    'history.custom.list': 'Mediciones del periodo',
+    'history.custom.empty': 'No hay mediciones en este periodo',
+    'history.session': 'Sesión {time}',
+    'history.quality': 'Calidad {score}/100',
+    'history.sinceDose': '{time} desde {name}',
+    'history.bandSplit': 'Reposo {rest}% · Postural {postural}%',
+    'history.rotation': 'Giro {rms} °/s · {frequency} Hz',
+    'history.dropped': { one: '{count} perdida', other: '{count} perdidas' },
+    'history.baselineTitle': 'Línea basal y asimetría',
+    'history.dailyTitle': 'Tendencia diaria',
+    'history.heatmapTitle': 'Severidad por hora del día',
+    'history.report': 'Informe para el Médico',
+    'history.exportCsv': 'Exportar CSV',
+    'history.exportFhir': 'Exportar FHIR',
+    'history.exportNote': 'El informe se abre listo para imprimir o guardar como PDF. El CSV se copiará al portapapeles y se descargará. FHIR descarga un Bundle HL7 FHIR R4 (JSON) para la historia clínica del hospital.',
+    'history.researchTitle': 'Datos para investigación',
+    'history.rawFormat': 'Formato de la señal cruda',
+    'history.rawCsv': 'CSV (por registro)',
+    'history.rawJson': 'JSON con metadatos',
+    'history.import': 'Importar registro',
+    'history.rawNote': 'Use "⬇ Señal" en cada medición para descargar su señal cruda. Los registros importados se reanalizan con el algoritmo actual.',
+    'history.interruptions': { one: 'Repetida tras {count} interrupción', other: 'Repetida tras {count} interrupciones' },
+
+    'stats.average': 'Promedio',
+    'stats.max': 'Máximo',
+    'stats.min': 'Mínimo',
+    'stats.measurements': 'Mediciones',
+
+    'daily.day': 'Día',
+    'daily.mean': 'Media',
+    'daily.max': 'Máx.',
+
+    'motor.placeholder': 'Estado…',
+    'motor.label': 'Estado motor',
+    'motor.dyskinesia': 'Discinesia',
+
+    'export.noData': 'No hay datos para exportar',
+    'export.noValidData': 'No hay mediciones válidas para exportar',
+    'export.copied': '✅ Datos copiados al portapapeles.\n\nPuedes pegarlos en un correo o documento para tu médico.',
+    'export.copyPrompt': 'Copia estos datos para tu médico:',
+    'export.noRaw': 'Esta medición no tiene la señal cruda guardada',
+
+    'import.tooShort': '⚠️ El registro es demasiado corto para analizarlo',
+    'import.lowQuality': '⚠️ El registro no tiene calidad suficiente para analizarlo:',
+    'import.done': 'Registro importado y reanalizado',
+
+    'csv.date': 'Fecha',
+    'csv.time': 'Hora',
+    'csv.session': 'Sesión',
+    'csv.task': 'Tarea',
+    'csv.hand': 'Mano',
+    'csv.level': 'Nivel de Temblor (0-10)',
+    'csv.frequency': 'Frecuencia (Hz)',
+    'csv.amplitude': 'Amplitud',
+    'csv.restPower': 'Potencia 3-7 Hz',
+    'csv.posturalPower': 'Potencia 7-12 Hz',
+    'csv.sharpness': 'Nitidez del pico',
+    'csv.sampleRate': 'Frecuencia de muestreo (Hz)',
+    'csv.dropped': 'Muestras perdidas',
+    'csv.jitter': 'Jitter (ms)',
+    'csv.rotationRMS': 'Rotación RMS (°/s)',
+    'csv.rotationFrequency': 'Frecuencia rotación (Hz)',
+    'csv.linear': 'Aceleración lineal',
+    'csv.displacement': 'Desplazamiento (cm)',
+    'csv.updrs': 'Ítem UPDRS (0-4)',
+    'csv.severityModel': 'Modelo de severidad',
+    'csv.baselineChange': 'Cambio vs basal',
+    'csv.baselineRatio': 'Desplazamiento vs basal (×)',
+    'csv.source': 'Fuente',
+    'csv.quality': 'Calidad (0-100)',
+    'csv.qualityIssues': 'Incidencias de calidad',
+    'csv.motorState': 'Estado motor',
+    'csv.minutesSinceDose': 'Minutos desde dosis',
+    'csv.lastDose': 'Última dosis',
+    'csv.sleep': 'Sueño',
+    'csv.stress': 'Estrés',
+    'csv.caffeine': 'Cafeína',
+    'csv.rating': 'Temblor percibido (0-10)',
+    'csv.diaryNote': 'Nota del diario',
+    'csv.interpretation': 'Interpretación',
+    'csv.statsTitle': 'Estadísticas del periodo:',
+    'csv.patient': 'Paciente',
+    'csv.total': 'Total de mediciones',
+    'csv.baselineTitle': 'Línea basal (primeras {count} sesiones):',
+    'csv.dosesTitle': 'Tomas de medicación:',
+    'csv.medication': 'Medicamento',
+    'csv.dose': 'Dosis',
+    'csv.calibration': 'Calibración del teléfono',
+    'csv.noiseFloor': 'Ruido de fondo (cm)',
+
+    'medication.took': 'Tomé {name}',
+    'medication.empty': 'Añada su medicación a la pauta',
+    'medication.noTimes': 'Sin horario',
+    'medication.noDosesToday': 'Sin tomas registradas hoy',
+    'medication.reminder': 'Hora de tomar {name}',
+    'medication.logDose': 'Registrar toma',
+    'medication.notificationTitle': 'Medicación',
+    'medication.title': '💊 Medicación',
+    'medication.todayTitle': 'Tomas de Hoy',
+    'medication.scheduleTitle': 'Pauta',
+    'medication.add': 'Añadir a la pauta',
+    'medication.name': 'Medicamento (p. ej. Levodopa)',
+    'medication.dose': 'Dosis (p. ej. 100 mg)',
+    'medication.times': 'Horas: 08:00, 14:00, 20:00',
+
+    'reminders.noTimes': 'Sin horas: añada horarios a la pauta',
+    'reminders.empty': 'Sin recordatorios para medir',
+    'reminders.unsupported': 'Este navegador no admite notificaciones: los recordatorios solo se ven con la app abierta.',
+    'reminders.blocked': 'Las notificaciones están bloqueadas: actívelas en los ajustes del navegador para recibir los recordatorios.',
+    'reminders.scheduled': 'Los recordatorios llegan aunque la app esté cerrada. Al tocar el aviso se abre directamente la medición.',
+    'reminders.openOnly': 'Los recordatorios llegan con la app abierta o en segundo plano; este navegador no permite programarlos con la app cerrada. Al tocar el aviso se abre directamente la medición.',
+    'reminders.invalid': '❌ Indique cada cuántas horas y un horario válido (desde antes que hasta)',
+    'reminders.measureNow': 'Medir ahora',
+    'reminders.notificationTitle': 'Hora de medir el temblor',
+    'reminders.notificationBody': 'Toque para empezar una medición',
+    'reminders.pressStart': 'Hora de medir: presione "Iniciar Medición"',
+    'reminders.title': '⏰ Recordatorios para medir',
+    'reminders.when': 'Cuándo',
+    'reminders.everyHours': 'Cada (horas)',
+    'reminders.offset': 'Minutos respecto a cada toma (negativo: antes)',
+    'reminders.add': 'Añadir recordatorio',
+
+    'report.noData': 'No hay datos para el informe',
+    'report.title': 'Informe de temblor',
+    'report.patient': 'Paciente',
+    'report.diagnosis': 'Diagnóstico',
+    'report.affectedSide': 'Lado más afectado',
+    'report.schedule': 'Pauta',
+    'report.period': 'Periodo',
+    'report.generated': 'Generado',
+    'report.measurements': { one: '<strong>{count}</strong> medición', other: '<strong>{count}</strong> mediciones' },
+    'report.mean': 'Media',
+    'report.max': 'Máximo',
+    'report.scale': 'Escala',
+    'report.evolution': 'Evolución',
+    'report.chartAlt': 'Gráfico de severidad del periodo',
+    'report.daily': 'Estadísticas diarias',
+    'report.byTask': 'Resultados por tarea',
+    'report.baselineChange': 'Cambio respecto a la línea basal',
+    'report.baselineNote': 'Basal: media de las primeras {count} sesiones de cada tarea y mano.',
+    'report.asymmetry': 'Asimetría entre manos',
+    'report.frequencies': 'Distribución de frecuencias',
+    'report.medication': 'Medicación y estado motor',
+    'report.diary': 'Diario de síntomas',
+    'report.diary.session': 'Sesión',
+    'report.diary.sleep': 'Sueño',
+    'report.diary.stress': 'Estrés',
+    'report.diary.caffeine': 'Cafeína',
+    'report.diary.perceived': 'Percibido',
+    'report.diary.measured': 'Medido',
+    'report.diary.note': 'Nota',
+    'report.dataQuality': 'Calidad de los datos',
+    'report.disclaimer': 'Medición orientativa con el acelerómetro del teléfono; no sustituye la exploración clínica.',
+    'report.noTask': 'Sin tarea',
+    'report.state': 'Estado',
+    'report.doses': 'Tomas registradas',
+
+    'quality.note.sampling': { one: 'Muestreo medio {rate} Hz, jitter {jitter} ms, {count} muestra perdida en total.', other: 'Muestreo medio {rate} Hz, jitter {jitter} ms, {count} muestras perdidas en total.' },
+    'quality.note.filtered': { one: '{count} medición sin aceleración lineal del sensor; la gravedad se separó por filtrado.', other: '{count} mediciones sin aceleración lineal del sensor; la gravedad se separó por filtrado.' },
+    'quality.note.legacy': { one: '{count} medición con una escala de severidad anterior excluida del análisis.', other: '{count} mediciones con una escala de severidad anterior excluidas del análisis.' },
+    'quality.note.simulated': { one: '{count} medición simulada o importada (señal sintética, reproducción o registro importado) excluida del análisis.', other: '{count} mediciones simuladas o importadas (señal sintética, reproducción o registro importado) excluidas del análisis.' },
+    'quality.note.flagged': { one: '{count} medición con incidencias de calidad: {issues}.', other: '{count} mediciones con incidencias de calidad: {issues}.' },
+    'quality.note.rejected': { one: '{count} medición rechazada por calidad de señal: {issues}.', other: '{count} mediciones rechazadas por calidad de señal: {issues}.' },
+    'quality.note.failed': { one: '{count} intento de medición fallido.', other: '{count} intentos de medición fallidos.' },
+    'quality.note.none': 'Sin incidencias de calidad.',
+    'quality.low-rate.message': 'Frecuencia de muestreo baja',
+    'quality.low-rate.guidance': 'Cierre otras apps y mantenga la pantalla encendida durante la medición',
+    'quality.gaps.message': 'Huecos en el registro',
+    'quality.gaps.guidance': 'No cambie de app ni bloquee la pantalla mientras mide',
+    'quality.sensor-dropout.message': 'El sensor devolvió lecturas vacías',
+    'quality.sensor-dropout.guidance': 'Reinicie el navegador; si se repite, el sensor del teléfono puede no estar disponible',
+    'quality.flatline.message': 'Señal congelada (valores repetidos)',
+    'quality.flatline.guidance': 'El sensor dejó de actualizarse: repita la medición',
+    'quality.clipping.message': 'Señal saturada',
+    'quality.clipping.guidance': 'El movimiento superó el rango del sensor: evite golpes o sacudidas bruscas',
+    'quality.voluntary-movement.message': 'Movimiento voluntario amplio (caminar, gesticular)',
+    'quality.voluntary-movement.guidance': 'Permanezca sentado y mantenga el brazo quieto en la posición de la tarea',
+    'quality.orientation-change.message': 'El teléfono cambió de orientación',
+    'quality.orientation-change.guidance': 'Sujete el teléfono siempre en la misma posición durante la tarea',
+    'quality.no-contact.message': 'Sin movimiento de la mano: el teléfono parece apoyado',
+    'quality.no-contact.guidance': 'Sostenga el teléfono en la mano en lugar de dejarlo sobre una superficie',
+    'quality.note.calibrated': { one: '{count} medición con el ruido de fondo del teléfono restado (calibración del {date}: {cm} cm).', other: '{count} mediciones con el ruido de fondo del teléfono restado (calibración del {date}: {cm} cm).' },
+    'quality.note.uncalibrated': { one: '{count} medición sin calibración del teléfono: incluye su ruido de fondo.', other: '{count} mediciones sin calibración del teléfono: incluyen su ruido de fondo.' },
+
+    'profile.unnamed': 'Sin nombre',
+    'profile.finishFirst': 'Termine la medición antes de cambiar de perfil',
+    'profile.noBaseline': 'Aún no hay mediciones válidas de este perfil',
+    'profile.title': '👤 Perfil del paciente',
+    'profile.side': 'Lado más afectado',
+    'profile.baselineSessions': 'Sesiones para la línea basal',
+    'profile.save': 'Guardar perfil',
+    'profile.new': 'Nuevo perfil',
+    'profile.note': 'Cada perfil tiene su propio historial, pauta de medicación y línea basal. Elija el paciente en la pantalla de medición antes de empezar.',
+    'profile.name': 'Nombre del paciente',
+    'profile.patientId': 'ID / Nº de historia',
+    'profile.diagnosis': 'Diagnóstico (p. ej. Parkinson, 2019)',
+
+    'baseline.task': 'Tarea',
+    'baseline.hand': 'Mano',
+    'baseline.baseline': 'Basal',
+    'baseline.period': 'Periodo',
+    'baseline.change': 'Cambio',
+    'baseline.sessions': 'Sesiones',
+    'baseline.progress': '{sessions}/{required} sesiones',
+    'baseline.pending': 'La línea basal se fija con las primeras {count} sesiones de cada tarea y mano',
+    'baseline.vs': '{change} vs basal',
+    'baseline.title': '📏 Línea basal',
+    'baseline.note': 'La línea basal de cada tarea y mano es la media de sus primeras sesiones válidas. Las mediciones posteriores se comparan con ella.',
+
+    'asymmetry.task': 'Tarea',
+    'asymmetry.left': 'Izquierda',
+    'asymmetry.right': 'Derecha',
+    'asymmetry.difference': 'Diferencia',
+
+    'sync.disabled': 'Sincronización desactivada: los datos solo están en este teléfono.',
+    'sync.pending': { one: '{count} envío pendiente', other: '{count} envíos pendientes' },
+    'sync.allSent': 'Todo enviado',
+    'sync.offline': 'último intento {time} sin conexión con el servidor',
+    'sync.last': 'última sincronización {time}: {sent}',
+    'sync.sent': { one: '{count} enviado', other: '{count} enviados' },
+    'sync.conflicts': { one: '{count} conflicto resuelto', other: '{count} conflictos resueltos' },
+    'sync.rejected': { one: '{count} rechazado por el servidor', other: '{count} rechazados por el servidor' },
+    'sync.notes': { one: '{count} nota nueva', other: '{count} notas nuevas' },
+    'sync.noNotes': 'Sin notas de la clínica',
+    'sync.clinic': 'Clínica',
+    'sync.title': '🏥 Compartir con la clínica',
+    'sync.enable': 'Sincronizar mediciones y tomas',
+    'sync.backend': 'Servicio',
+    'sync.now': 'Sincronizar ahora',
+    'sync.notesTitle': 'Notas de la clínica',
+    'sync.note': 'Sin conexión, los envíos esperan en el teléfono y salen solos al recuperarla. Las mediciones simuladas o importadas no se envían.',
+    'sync.endpoint': 'Dirección del servidor (https://…)',
+    'sync.token': 'Token de acceso (opcional)',
+
+    'app.install': 'Instalar como App',
+    'app.noAccelerometer': '⚠️ Tu navegador no soporta el acelerómetro.<br>Prueba con Chrome o Safari.',
+    'app.title': 'Monitor de Temblor Parkinson',
+    'app.heading': '📱 Monitor de Temblor',
+    'app.subtitle': 'Control de Parkinson',
+    'app.language': 'Idioma',
+
+    'lock.checking': 'Comprobando…',
+    'lock.wrongPasscode': '❌ Código incorrecto',
+    'lock.decryptFailed': '❌ No se pudieron descifrar los datos',
+    'lock.confirmErase': 'Sin el código no se pueden recuperar los datos cifrados.\n\n¿Borrar todos los datos de este teléfono y empezar de nuevo? Si tiene una copia de seguridad podrá restaurarla después.',
+    'lock.finishFirst': 'Termine la medición o la calibración antes de bloquear',
+    'lock.title': '🔒 Monitor de Temblor',
+    'lock.prompt': 'Introduzca su código para ver los datos',
+    'lock.unlock': 'Desbloquear',
+    'lock.forgot': '¿Ha olvidado el código?',
+    'lock.passcode': 'Código',
+
+    'privacy.unavailable': '⚠️ El cifrado necesita una conexión segura (https) y un navegador actual.',
+    'privacy.enabled': '✅ Los datos de este teléfono están cifrados. La app pide el código al abrirse.',
+    'privacy.disabled': 'Los datos se guardan sin cifrar. Con un código, mediciones, tomas, notas y perfiles se cifran en el teléfono (AES-GCM) y la app se bloquea tras un tiempo sin uso.',
+    'privacy.changePasscode': 'Cambiar código',
+    'privacy.enable': 'Activar cifrado',
+    'privacy.tooShort': '❌ El código debe tener al menos {count} caracteres',
+    'privacy.mismatch': '❌ Los códigos no coinciden',
+    'privacy.wrongCurrent': '❌ El código actual no es correcto',
+    'privacy.changed': '✅ Código cambiado',
+    'privacy.encrypting': '⏳ Cifrando los datos…',
+    'privacy.encrypted': '✅ Datos cifrados. La app pedirá el código al abrirse.',
+    'privacy.failed': '❌ No se pudo completar el cifrado',
+    'privacy.currentRequired': 'Escriba el código actual para desactivar el cifrado',
+    'privacy.confirmDisable': 'Los datos volverán a guardarse sin cifrar en este teléfono. ¿Continuar?',
+    'privacy.disabledDone': 'Cifrado desactivado',
+    'privacy.disableFailed': '❌ No se pudo desactivar el cifrado',
+    'privacy.title': '🔒 Privacidad',
+    'privacy.autoLock': 'Bloqueo automático',
+    'privacy.after1': 'Tras 1 minuto sin uso',
+    'privacy.after5': 'Tras 5 minutos sin uso',
+    'privacy.after15': 'Tras 15 minutos sin uso',
+    'privacy.after30': 'Tras 30 minutos sin uso',
+    'privacy.never': 'Nunca',
+    'privacy.lockNow': 'Bloquear ahora',
+    'privacy.disable': 'Desactivar cifrado',
+    'privacy.current': 'Código actual',
+    'privacy.new': 'Nuevo código (mínimo 6 caracteres)',
+    'privacy.confirm': 'Repita el nuevo código',
+
+    'backup.tooShort': '❌ Indique un código para la copia de al menos {count} caracteres',
+    'backup.failed': '❌ No se pudo crear la copia de seguridad',
+    'backup.passcodeRequired': 'Escriba el código de la copia antes de elegir el archivo',
+    'backup.finishFirst': 'Termine la medición antes de restaurar una copia',
+    'backup.confirmRestore': 'Se sustituirán todos los datos de este teléfono por los de la copia. ¿Continuar?',
+    'backup.restored': '✅ Copia restaurada: {measurements} y {doses}',
+    'backup.measurements': { one: '{count} medición', other: '{count} mediciones' },
+    'backup.doses': { one: '{count} toma', other: '{count} tomas' },
+    'backup.notBackup': 'El archivo no es una copia de seguridad',
+    'backup.newerVersion': 'La copia es de una versión más reciente de la app',
+    'backup.wrongPasscode': 'Código incorrecto o copia dañada',
+    'backup.unsupportedKdf': 'La copia usa un cifrado que esta app no admite',
+    'backup.restoreFailed': 'No se pudo restaurar la copia de seguridad',
+    'backup.title': 'Copia de seguridad',
+    'backup.download': 'Descargar copia cifrada',
+    'backup.restore': 'Restaurar copia',
+    'backup.note': 'La copia incluye mediciones, señales, tomas, notas, alertas y perfiles, cifrados con el código que indique (AES-GCM). Guárdelo: sin él la copia no se puede abrir.',
+    'backup.passcode': 'Código de la copia',
+
+    'update.available': 'Hay una nueva versión disponible',
+    'update.reload': 'Recargar',
+    'update.finishFirst': 'Termine la medición antes de actualizar',
+
+    'task.rest': 'Reposo',
+    'task.rest.instructions': 'Apoye la mano con el teléfono sobre el regazo y relájela por completo',
+    'task.postural': 'Postural',
+    'task.postural.instructions': 'Extienda el brazo al frente con el teléfono en la palma de la mano',
+    'task.kinetic': 'Cinético',
+    'task.kinetic.instructions': 'Lleve el teléfono despacio de la rodilla a la nariz y de vuelta, sin parar',
+
+    'hand.left': 'Mano izquierda',
+    'hand.right': 'Mano derecha',
+    'hand.both': 'Ambas',
+    'hand.leftShort': 'Izquierda',
+    'hand.rightShort': 'Derecha',
+
+    'protocol.quick': 'Medición rápida (postural)',
+    'protocol.rest': 'Temblor de reposo',
+    'protocol.full': 'Exploración completa',
+
+    'severity.minimal': '✅ Temblor mínimo o ausente',
+    'severity.mild': '🟡 Temblor leve',
+    'severity.moderate': '🟠 Temblor moderado',
+    'severity.significant': '🔴 Temblor significativo',
+
+    'side.unknown': 'Sin especificar',
+    'side.left': 'Izquierdo',
+    'side.right': 'Derecho',
+    'side.both': 'Ambos',
+
+    'reminderKind.interval': 'Cada cierto tiempo',
+    'reminderKind.medication': 'Según la medicación',
+    'reminderKind.atDose': 'A la hora de cada toma',
+    'reminderKind.beforeDose': '{minutes} min antes de cada toma',
+    'reminderKind.afterDose': '{minutes} min después de cada toma',
+    'reminderKind.every': 'Cada {hours} h de {from} a {to}',
+
+    'view.waves': 'Ondas',
+    'view.spectrum': 'Espectro',
+    'view.spectrogram': 'Espectrograma',
+    'view.collecting': 'Recogiendo datos…',
+    'view.label': 'Vista de la señal',
+
+    'fhir.device': 'Teléfono móvil con acelerómetro',
+    'fhir.algorithm': 'Algoritmo de análisis',
+    'fhir.observation': 'Temblor medido con el acelerómetro del teléfono',
+    'fhir.method': 'Análisis espectral{version}, escala {model}',
+    'fhir.frequency': 'Frecuencia dominante',
+    'fhir.amplitude': 'Amplitud RMS',
+    'fhir.level': 'Nivel de temblor (0-10)',
+    'fhir.displacement': 'Desplazamiento pico a pico',
+    'fhir.updrs': 'Ítem UPDRS estimado (0-4)',
+    'fhir.task': 'Tarea de exploración',
+    'fhir.quality': 'Calidad de la señal {score}/100: {issues}',
+    'fhir.noiseFloor': 'Ruido de fondo del sensor restado',
+    'fhir.calibrated': 'Calibrado en reposo',
+    'fhir.sampleRate': 'Frecuencia de muestreo',
+
+    'tab.monitor': 'Monitor',
+    'tab.history': 'Historial',
+    'tab.medication': 'Medicación',
+    'tab.profile': 'Perfil',
+
+    'dev.title': '🧪 Herramientas de prueba',
+    'dev.source': 'Fuente de datos',
+    'dev.replayRecording': 'Reproducir registro',
+    'dev.frequency': 'Frecuencia (Hz)',
+    'dev.amplitude': 'Amplitud (m/s²)',
+    'dev.noise': 'Ruido (m/s²)',
+    'dev.tilt': 'Inclinación (°)',
+    'dev.rate': 'Muestreo (Hz)',
+    'dev.jitter': 'Jitter (ms)',
+    'dev.linear': 'Aceleración lineal del sensor',
+    'dev.chooseRecording': 'Elegir registro',
+    'dev.simulatedNote': 'Las mediciones simuladas se marcan en el historial y no cuentan en las estadísticas.',
+    'dev.noRecording': 'Ningún registro cargado',
+
+    'range.day': 'Día',
+    'range.week': 'Semana',
+    'range.month': 'Mes',
+    'range.custom': 'Otro',
+    'range.from': 'Desde',
+    'range.to': 'Hasta',
+
+    'dialog.ok': 'Aceptar',
+    'dialog.cancel': 'Cancelar',
+    'dialog.accept': 'Confirmar',
+    'dialog.erase': 'Borrar todo',
+
+    'a11y.largeTheme': 'Texto grande y alto contraste',
+    'a11y.progress': 'Progreso de la medición',
+    'a11y.progressValue': '{percent} %, nivel {level}',
+    'a11y.liveCanvas': 'Señal en vivo; la frecuencia y la amplitud se muestran debajo',
+    'a11y.chartData': 'Ver los datos del gráfico',
+    'a11y.historyChart': { one: 'Evolución del temblor: {count} medición, nivel medio {mean}, máximo {max}', other: 'Evolución del temblor: {count} mediciones, nivel medio {mean}, máximo {max}' },
+    'a11y.heatmap': { one: 'Mapa por hora del día: {count} franja con datos; la más alta, {day} a las {hour} h (nivel {level})', other: 'Mapa por hora del día: {count} franjas con datos; la más alta, {day} a las {hour} h (nivel {level})' },
+    'a11y.chartEmpty': 'Gráfico sin datos en este periodo',
+    'a11y.hour': 'Hora del día',
+
+    'handsFree.label': 'Inicio sin manos',
+    'handsFree.off': 'Desactivado',
+    'handsFree.still': 'Al quedarse quieto',
+    'handsFree.voice': 'Con la voz',
+    'handsFree.words': 'empezar,iniciar,comenzar,medir',
+    'handsFree.stillHint': '🤚 Coja el teléfono y manténgalo quieto en posición: la medición empezará sola',
+    'handsFree.voiceHint': '🎙️ Diga «empezar» para iniciar la medición',
+    'handsFree.unsupported': 'Este navegador no permite el inicio sin manos elegido',
+    'handsFree.blocked': '🎙️ Sin permiso para el micrófono: el inicio por voz está desactivado',
+
+    'speech.result': 'Nivel {level}. {label}',
+
+    'calibration.title': '📐 Calibración del teléfono',
+    'calibration.start': 'Calibrar este teléfono',
+    'calibration.note': 'Deje el teléfono quieto sobre una mesa durante unos 12 segundos. Se mide el ruido propio del sensor para restarlo de cada medición. Basta con hacerlo una vez en cada teléfono.',
+    'calibration.hint': '📐 Este teléfono no está calibrado: hágalo una vez en Perfil → Calibración para restar el ruido del sensor',
+    'calibration.none': 'Este teléfono aún no está calibrado',
+    'calibration.settling': 'Deje el teléfono sobre la mesa y no lo toque...',
+    'calibration.running': { one: 'Calibrando: no toque el teléfono... {count} segundo', other: 'Calibrando: no toque el teléfono... {count} segundos' },
+    'calibration.paused': 'Calibración en pausa: se repetirá al volver a la app',
+    'calibration.done': 'Calibración guardada',
+    'calibration.failed.moved': 'El teléfono se movió durante la calibración. Déjelo sobre una mesa y repítala.',
+    'calibration.failed.noGravity': 'El sensor de este navegador no informa de la gravedad: no se puede calibrar.',
+    'calibration.failed.generic': 'No se pudo completar la calibración. Inténtelo de nuevo.',
+    'calibration.property': 'Dato',
+    'calibration.value': 'Valor',
+    'calibration.date': 'Calibrado',
+    'calibration.gravity': 'Gravedad medida',
+    'calibration.noise': 'Ruido del acelerómetro (x/y/z)',
+    'calibration.noiseFloor': 'Ruido de fondo en la banda de temblor',
+
+    'alerts.title': '🔔 Avisos de empeoramiento',
+    'alerts.rule.trend': 'Tendencia sobre la basal',
+    'alerts.rule.frequency': 'Cambio de frecuencia',
+    'alerts.rule.missed': 'Días sin medir',
+    'alerts.rule.asymmetry': 'Asimetría izquierda/derecha',
+    'alerts.form.trend': 'Avisar si la media de los últimos días sube sobre la línea basal',
+    'alerts.form.trendPercent': 'Subida del desplazamiento (%)',
+    'alerts.form.trendDays': 'Días de la media móvil',
+    'alerts.form.frequency': 'Avisar si la frecuencia sale de la banda habitual',
+    'alerts.form.frequencyShift': 'Diferencia con la frecuencia basal (Hz)',
+    'alerts.form.missed': 'Avisar si se dejan de hacer mediciones',
+    'alerts.form.missedDays': 'Días seguidos sin medir',
+    'alerts.form.asymmetry': 'Avisar de un cambio brusco entre manos',
+    'alerts.form.asymmetryPoints': 'Cambio de la diferencia izquierda - derecha (puntos)',
+    'alerts.form.caregiverName': 'Nombre del cuidador (opcional)',
+    'alerts.form.caregiverEmail': 'Correo del cuidador (opcional)',
+    'alerts.note': 'Las reglas se revisan al abrir la app y al terminar cada sesión, y solo con mediciones válidas del sensor. Con el correo del cuidador, "Avisar al cuidador" prepara un correo; sin él se usa la opción de compartir del teléfono.',
+    'alerts.text.trend': '{target}: el desplazamiento medio de los últimos {days} días está un {percent}% por encima de la línea basal',
+    'alerts.text.frequency': '{target}: frecuencia de {frequency} Hz, fuera de la banda habitual (basal {baseline} Hz)',
+    'alerts.text.asymmetry': '{target}: la diferencia izquierda - derecha pasó de {previous} a {difference} puntos',
+    'alerts.text.missed': { one: '{count} día sin medir desde el {date}', other: '{count} días sin medir desde el {date}' },
+    'alerts.bannerTitle': { one: 'Nueva alerta', other: '{count} alertas nuevas' },
+    'alerts.notificationTitle': 'Cambio en el temblor',
+    'alerts.seen': 'Entendido',
+    'alerts.share': 'Avisar al cuidador',
+    'alerts.noShare': 'Este navegador no puede compartir: añada el correo del cuidador en Perfil → Avisos.',
+    'alerts.summaryTitle': 'Monitor de Temblor: avisos de {name}',
+    'alerts.summaryGreeting': 'Hola, {name}:',
+    'alerts.summaryIntro': 'La app de control del temblor de {name} ha detectado:',
+    'alerts.summaryFooter': 'Mensaje generado por Monitor de Temblor. No sustituye la valoración médica.',
+    'alerts.logTitle': 'Registro de alertas',
+    'alerts.logEmpty': 'Todavía no se ha disparado ninguna alerta',
+    'alerts.pending': 'Sin revisar',
+    'alerts.acknowledged': 'Vista el {time}',
+    'alerts.shared': 'enviada al cuidador ({via}) el {time}',
+    'alerts.via.email': 'correo',
+    'alerts.via.share': 'compartir',
+};
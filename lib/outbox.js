@@ -0,0 +1,76 @@
+// outbox.js - Envío de la cola de sincronización (sin DOM ni dependencias)
+// Lo comparten la página (lib/sync.js, lib/storage.js) y el service worker (sw.js), que
+// repite la cola con Background Sync aunque la app esté cerrada. Por eso no importa nada:
+// en el service worker no hay localStorage ni clave de cifrado.
+
+export const SYNC_TAG = 'sync-outbox'; // Etiqueta de Background Sync
+const RETRY_BASE = 30000; // Primera espera tras un fallo temporal
+const RETRY_MAX = 60 * 60 * 1000; // Espera máxima entre reintentos
+
+// Espera antes del siguiente intento: exponencial con tope y reparto aleatorio
+export function retryDelay(attempts, random = Math.random) {
+    const delay = Math.min(RETRY_MAX, RETRY_BASE * 2 ** Math.max(0, attempts - 1));
+    return delay / 2 + random() * (delay / 2);
+}
+
+// 'accepted', 'conflict', 'retry' (fallo temporal) o 'rejected' (el servidor no lo admite)
+export function classifyResponse(status) {
+    if (status >= 200 && status < 300) return 'accepted';
+    if (status === 409) return 'conflict';
+    if (status === 408 || status === 429 || status >= 500) return 'retry';
+    return 'rejected';
+}
+
+// Repite en orden las peticiones cuyo intento ya toca. Sin conexión se detiene; un fallo
+// temporal reprograma la petición con espera exponencial. 'store' guarda el resultado:
+// reschedule(entry) vuelve a poner la petición en la cola y complete(entry, result) la
+// saca y deja la respuesta en 'syncResults'. Devuelve cuántas se han respondido.
+export async function replayEntries(entries, store, fetchFn = fetch, now = Date.now()) {
+    let sent = 0;
+
+    for (const entry of entries) {
+        let response;
+        try {
+            response = await fetchFn(entry.url, { method: entry.method, headers: entry.headers, body: entry.body });
+        } catch (err) {
+            await store.reschedule(rescheduled(entry, err.message, now));
+            break;
+        }
+
+        if (classifyResponse(response.status) === 'retry') {
+            await store.reschedule(rescheduled(entry, `HTTP ${response.status}`, now));
+            continue;
+        }
+
+        const body = await response.json().catch(() => null);
+        await store.complete(entry, {
+            key: entry.key,
+            kind: entry.kind,
+            localId: entry.localId,
+            status: response.status,
+            body,
+            receivedAt: Date.now()
+        });
+        sent++;
+    }
+    return sent;
+}
+
+function rescheduled(entry, error, now) {
+    const attempts = entry.attempts + 1;
+    return { ...entry, attempts, nextAttempt: now + retryDelay(attempts), lastError: error };
+}
+
+// Dentro de una transacción sobre 'outbox' y 'syncResults': saca la petición de la cola
+// (salvo que otra más reciente la haya sustituido) y guarda su respuesta
+export function completeOutboxEntry(tx, entry, result) {
+    const outbox = tx.objectStore('outbox');
+    const request = outbox.get(entry.key);
+    request.onsuccess = () => {
+        const current = request.result;
+        if (current && current.queuedAt === entry.queuedAt) {
+            outbox.delete(entry.key);
+        }
+    };
+    tx.objectStore('syncResults').add(result);
+}
@@ -0,0 +1,136 @@
+// profiles.js - Perfiles de paciente y línea basal por mano (sin DOM)
+// Un mismo teléfono puede llevar a varias personas: cada medición y cada toma guardan
+// el profileId del perfil activo. Las anteriores a los perfiles son del perfil por defecto.
+import { t } from './i18n.js';
+
+export const DEFAULT_PROFILE_ID = 'default';
+export const BASELINE_SESSIONS = 3; // Sesiones válidas que forman la línea basal
+
+export const AFFECTED_SIDES = {
+    get unknown() { return t('side.unknown'); },
+    get left() { return t('side.left'); },
+    get right() { return t('side.right'); },
+    get both() { return t('side.both'); },
+};
+
+export function createProfile(fields = {}) {
+    return {
+        id: `p${Date.now()}`,
+        name: '',
+        patientId: '',
+        affectedSide: 'unknown',
+        diagnosis: '',
+        medications: [],
+        reminders: [],
+        baselineSessions: BASELINE_SESSIONS,
+        ...fields
+    };
+}
+
+// Ajustes anteriores a los perfiles: el paciente y su pauta pasan al perfil por defecto
+export function migrateSettings(settings) {
+    if (settings.profiles && settings.profiles.length > 0) return settings;
+
+    const { patient = {}, medications = [], ...rest } = settings;
+    return {
+        ...rest,
+        profiles: [createProfile({
+            id: DEFAULT_PROFILE_ID,
+            name: patient.name || '',
+            patientId: patient.id || '',
+            medications
+        })],
+        activeProfileId: DEFAULT_PROFILE_ID
+    };
+}
+
+export function getActiveProfile(settings) {
+    return settings.profiles.find(p => p.id === settings.activeProfileId) || settings.profiles[0];
+}
+
+// Perfil al que pertenece una medición o una toma
+export function recordProfile(record) {
+    return record.profileId || DEFAULT_PROFILE_ID;
+}
+
+export function baselineKey(m) {
+    return `${m.task || ''}|${m.hand}`;
+}
+
+// Línea basal por tarea y mano: media de las mediciones de las primeras N sesiones
+// en que se midió esa combinación. Recibe solo mediciones válidas y comparables.
+export function computeBaselines(measurements, sessionCount = BASELINE_SESSIONS) {
+    const groups = new Map();
+
+    [...measurements]
+        .filter(m => m.hand)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(m => {
+            const key = baselineKey(m);
+            if (!groups.has(key)) groups.set(key, { task: m.task || null, hand: m.hand, sessions: [], measurements: [] });
+
+            const group = groups.get(key);
+            const session = m.sessionId || `m${m.id}`;
+            if (!group.sessions.includes(session)) {
+                if (group.sessions.length >= sessionCount) return;
+                group.sessions.push(session);
+            }
+            group.measurements.push(m);
+        });
+
+    const mean = (list, field) => list.reduce((sum, m) => sum + m[field], 0) / list.length;
+    const baselines = {};
+    groups.forEach((group, key) => {
+        baselines[key] = {
+            task: group.task,
+            hand: group.hand,
+            sessions: group.sessions.length,
+            required: sessionCount,
+            complete: group.sessions.length >= sessionCount,
+            ids: group.measurements.map(m => m.id),
+            severity: mean(group.measurements, 'severityLevel'),
+            displacementCm: mean(group.measurements, 'displacementCm'),
+            frequency: mean(group.measurements, 'dominantFrequency'),
+            until: group.measurements[group.measurements.length - 1].timestamp
+        };
+    });
+    return baselines;
+}
+
+// Cambio de una medición respecto a su línea basal (null si no hay basal completa)
+export function compareToBaseline(m, baselines) {
+    if (!m.hand) return null;
+    const baseline = baselines[baselineKey(m)];
+    if (!baseline || !baseline.complete) return null;
+
+    return {
+        baseline,
+        isBaseline: baseline.ids.includes(m.id),
+        severityChange: m.severityLevel - baseline.severity,
+        displacementRatio: baseline.displacementCm > 0 ? m.displacementCm / baseline.displacementCm : null,
+        frequencyChange: m.dominantFrequency - baseline.frequency
+    };
+}
+
+// Asimetría por tarea: severidad media de cada mano y diferencia izquierda - derecha
+export function handAsymmetry(measurements) {
+    const tasks = new Map();
+    measurements.forEach(m => {
+        if (m.hand !== 'left' && m.hand !== 'right') return;
+        const task = m.task || '';
+        if (!tasks.has(task)) tasks.set(task, { left: [], right: [] });
+        tasks.get(task)[m.hand].push(m.severityLevel);
+    });
+
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    return [...tasks.entries()]
+        .filter(([, hands]) => hands.left.length > 0 && hands.right.length > 0)
+        .map(([task, hands]) => ({
+            task: task || null,
+            left: mean(hands.left),
+            right: mean(hands.right),
+            difference: mean(hands.left) - mean(hands.right),
+            leftCount: hands.left.length,
+            rightCount: hands.right.length
+        }));
+}
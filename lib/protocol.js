@@ -0,0 +1,56 @@
+// protocol.js - Tareas, manos y protocolos de exploración del temblor (sin DOM)
+import { t } from './i18n.js';
+
+export const MONITORING_DURATION = 10000; // 10 segundos de registro por tarea
+
+// Tareas de exploración del temblor
+// (los textos son getters para que sigan el idioma elegido)
+export const TASKS = {
+    rest: {
+        get label() { return t('task.rest'); },
+        get instructions() { return t('task.rest.instructions'); },
+    },
+    postural: {
+        get label() { return t('task.postural'); },
+        get instructions() { return t('task.postural.instructions'); },
+    },
+    kinetic: {
+        get label() { return t('task.kinetic'); },
+        get instructions() { return t('task.kinetic.instructions'); },
+    },
+};
+
+export const HANDS = {
+    get left() { return t('hand.left'); },
+    get right() { return t('hand.right'); },
+};
+
+// Estado motor anotado en cada medición (fluctuaciones con la medicación)
+export const MOTOR_STATES = {
+    on: 'ON',
+    off: 'OFF',
+    get dyskinesia() { return t('motor.dyskinesia'); },
+};
+
+// Protocolos disponibles: secuencia de tareas que se repite para cada mano elegida
+export const PROTOCOLS = {
+    quick: { get name() { return t('protocol.quick'); }, tasks: ['postural'] },
+    rest: { get name() { return t('protocol.rest'); }, tasks: ['rest'] },
+    full: { get name() { return t('protocol.full'); }, tasks: ['rest', 'postural', 'kinetic'] },
+};
+export const DEFAULT_PROTOCOL = 'quick';
+
+// Secuencia de pasos (tarea + mano) del protocolo y las manos elegidas
+export function buildProtocolSteps(protocolId, handChoice) {
+    const protocol = PROTOCOLS[protocolId] || PROTOCOLS[DEFAULT_PROTOCOL];
+    const hands = handChoice === 'both' ? ['left', 'right'] : [handChoice];
+    const steps = [];
+
+    hands.forEach(hand => {
+        protocol.tasks.forEach(task => {
+            steps.push({ task, hand, duration: TASKS[task].duration || MONITORING_DURATION });
+        });
+    });
+
+    return steps;
+}
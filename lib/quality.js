@@ -0,0 +1,207 @@
+// quality.js - Calidad de la señal y detección de artefactos (sin DOM)
+// Antes de guardar una medición se comprueba que el registro sea interpretable:
+// sin saturación, sin tramos congelados, sin movimientos voluntarios grandes,
+// sin cambios de orientación, sin huecos y con frecuencia de muestreo suficiente.
+import { ANALYSIS_RATE, bandPower, removeMean, resampleUniform, welchPSD } from './analysis.js';
+import { t } from './i18n.js';
+
+// Textos de cada problema en el catálogo del idioma: quality.<código>.message/guidance
+function issueTexts(code) {
+    return {
+        get message() { return t(`quality.${code}.message`); },
+        get guidance() { return t(`quality.${code}.guidance`); },
+    };
+}
+
+export const QUALITY_ISSUES = {
+    'low-rate': issueTexts('low-rate'),
+    'gaps': issueTexts('gaps'),
+    'sensor-dropout': issueTexts('sensor-dropout'),
+    'flatline': issueTexts('flatline'),
+    'clipping': issueTexts('clipping'),
+    'voluntary-movement': issueTexts('voluntary-movement'),
+    'orientation-change': issueTexts('orientation-change'),
+    'no-contact': issueTexts('no-contact'),
+};
+
+// Umbrales
+const MIN_RATE = 20; // Hz; por debajo no se resuelve la banda postural (hasta 12 Hz)
+const LOW_RATE = 30; // Hz; funciona, pero con poco margen
+const GAP_MS = 200; // Un intervalo mayor se considera hueco
+const MAX_GAP_FRACTION = 0.2; // Fracción del registro en huecos a partir de la cual se rechaza
+const MAX_MISSING_FRACTION = 0.05; // Lecturas vacías toleradas
+const FLATLINE_RUN = 10; // Muestras idénticas seguidas que cuentan como tramo congelado
+const MAX_FLATLINE_FRACTION = 0.1;
+const CLIP_MIN = 15; // m/s²; por debajo no puede tratarse del límite del sensor
+const CLIP_RUN = 3; // Muestras seguidas en el valor extremo
+const MAX_CLIP_FRACTION = 0.01;
+const VOLUNTARY_BAND = [0.3, 2.5]; // Hz, movimiento lento: pasos, gestos
+const VOLUNTARY_RMS = 0.5; // m/s² en esa banda
+const ORIENTATION_WARNING = 40; // grados entre el primer y el último segundo
+const STILL_RMS = 0.003; // m/s²; una mano siempre tiene algo de temblor fisiológico
+const PENALTIES = { warning: 20, critical: 60 };
+const REJECT_SCORE = 50;
+
+// Devuelve { score 0-100, status: 'good' | 'flagged' | 'rejected', issues: [{ code, severity, ... }] }.
+// options: { sampleRate, missingReadings, task }. La tarea cinética incluye movimiento
+// voluntario por diseño, así que en ella no se penaliza.
+export function assessSignalQuality(samples, timestamps, options = {}) {
+    const issues = [];
+    const add = (code, severity, value) => issues.push({ code, severity, value, ...QUALITY_ISSUES[code] });
+
+    const rate = options.sampleRate || 0;
+    if (rate < MIN_RATE) {
+        add('low-rate', 'critical', rate);
+    } else if (rate < LOW_RATE) {
+        add('low-rate', 'warning', rate);
+    }
+
+    const gaps = gapFraction(timestamps);
+    if (gaps.fraction > MAX_GAP_FRACTION) {
+        add('gaps', 'critical', gaps.longest);
+    } else if (gaps.longest > 0) {
+        add('gaps', 'warning', gaps.longest);
+    }
+
+    const missing = (options.missingReadings || 0) / Math.max(1, samples.length);
+    if (missing > MAX_MISSING_FRACTION) {
+        add('sensor-dropout', 'critical', missing);
+    }
+
+    const flat = flatlineFraction(samples);
+    if (flat > MAX_FLATLINE_FRACTION) {
+        add('flatline', 'critical', flat);
+    }
+
+    const clipped = clippingFraction(samples);
+    if (clipped > MAX_CLIP_FRACTION) {
+        add('clipping', clipped > 5 * MAX_CLIP_FRACTION ? 'critical' : 'warning', clipped);
+    }
+
+    // Registros antiguos o importados pueden no traer la aceleración lineal
+    if (samples.length > 0 && typeof samples[0].lx === 'number') {
+        const linear = ['lx', 'ly', 'lz'].map(key =>
+            removeMean(resampleUniform(timestamps, samples.map(s => s[key]), ANALYSIS_RATE))
+        );
+
+        if (options.task !== 'kinetic') {
+            const slow = slowMovementRMS(linear);
+            if (slow > 2 * VOLUNTARY_RMS) {
+                add('voluntary-movement', 'critical', slow);
+            } else if (slow > VOLUNTARY_RMS) {
+                add('voluntary-movement', 'warning', slow);
+            }
+        }
+
+        const rotation = orientationChange(samples, timestamps);
+        if (rotation > ORIENTATION_WARNING) {
+            add('orientation-change', options.task === 'kinetic' ? 'warning' : 'critical', rotation);
+        }
+
+        const motion = Math.sqrt(linear.reduce((sum, axis) =>
+            sum + axis.reduce((s, v) => s + v * v, 0) / Math.max(1, axis.length), 0));
+        if (flat <= MAX_FLATLINE_FRACTION && motion < STILL_RMS) {
+            add('no-contact', 'warning', motion);
+        }
+    }
+
+    const score = Math.max(0, 100 - issues.reduce((sum, issue) => sum + PENALTIES[issue.severity], 0));
+    let status = 'good';
+    if (issues.some(issue => issue.severity === 'critical') || score < REJECT_SCORE) {
+        status = 'rejected';
+    } else if (issues.length > 0) {
+        status = 'flagged';
+    }
+
+    return { score, status, issues };
+}
+
+// Fracción del registro en huecos y el más largo (ms)
+function gapFraction(timestamps) {
+    let total = 0;
+    let longest = 0;
+    for (let i = 1; i < timestamps.length; i++) {
+        const dt = timestamps[i] - timestamps[i - 1];
+        if (dt > GAP_MS) {
+            total += dt;
+            longest = Math.max(longest, dt);
+        }
+    }
+
+    const duration = timestamps.length > 1 ? timestamps[timestamps.length - 1] - timestamps[0] : 0;
+    return { fraction: duration > 0 ? total / duration : 0, longest };
+}
+
+// Muestras dentro de tramos en los que x, y, z no cambian
+function flatlineFraction(samples) {
+    let flat = 0;
+    let run = 1;
+    for (let i = 1; i <= samples.length; i++) {
+        const same = i < samples.length
+            && samples[i].x === samples[i - 1].x
+            && samples[i].y === samples[i - 1].y
+            && samples[i].z === samples[i - 1].z;
+        if (same) {
+            run++;
+        } else {
+            if (run >= FLATLINE_RUN) flat += run;
+            run = 1;
+        }
+    }
+    return samples.length ? flat / samples.length : 0;
+}
+
+// Muestras en mesetas sobre el valor extremo de cada eje (límite del sensor)
+function clippingFraction(samples) {
+    let clipped = 0;
+    ['x', 'y', 'z'].forEach(axis => {
+        const values = samples.map(s => Math.abs(s[axis]));
+        // reduce y no Math.max(...values): una grabación larga supera el límite de argumentos
+        const peak = values.reduce((a, b) => Math.max(a, b), 0);
+        if (peak < CLIP_MIN) return;
+
+        let run = 0;
+        values.concat(-1).forEach(v => {
+            if (v >= peak * 0.995) {
+                run++;
+                return;
+            }
+            if (run >= CLIP_RUN) clipped += run;
+            run = 0;
+        });
+    });
+    return samples.length ? clipped / samples.length : 0;
+}
+
+// Aceleración lineal RMS (m/s²) en la banda lenta, sumando los tres ejes
+function slowMovementRMS(linear) {
+    if (linear[0].length < 32) return 0;
+    const power = linear.reduce((sum, axis) =>
+        sum + bandPower(welchPSD(axis, ANALYSIS_RATE), VOLUNTARY_BAND[0], VOLUNTARY_BAND[1]), 0);
+    return Math.sqrt(power);
+}
+
+// Ángulo (grados) entre la gravedad media del primer y del último segundo
+function orientationChange(samples, timestamps) {
+    if (samples.length < 2) return 0;
+    const t0 = timestamps[0];
+    const t1 = timestamps[timestamps.length - 1];
+    const gravity = (from, to) => {
+        const g = [0, 0, 0];
+        samples.forEach((s, i) => {
+            if (timestamps[i] < from || timestamps[i] > to) return;
+            g[0] += s.x - s.lx;
+            g[1] += s.y - s.ly;
+            g[2] += s.z - s.lz;
+        });
+        return g;
+    };
+
+    const a = gravity(t0, t0 + 1000);
+    const b = gravity(t1 - 1000, t1);
+    const norm = v => Math.sqrt(v[0] ** 2 + v[1] ** 2 + v[2] ** 2);
+    if (norm(a) === 0 || norm(b) === 0) return 0;
+
+    const cos = (a[0] * b[0] + a[1] * b[1] + a[2] * b[2]) / (norm(a) * norm(b));
+    return (Math.acos(Math.max(-1, Math.min(1, cos))) * 180) / Math.PI;
+}
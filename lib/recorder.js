@@ -0,0 +1,345 @@
+// recorder.js - Grabación de una tarea (sin DOM)
+// Recibe muestras con la forma de DeviceMotionEvent desde una fuente (lib/sources.js),
+// descarta el acomodo inicial, se detiene sola al cumplir la duración y analiza lo
+// registrado. Máquina de estados (TRANSITIONS):
+//   idle → requesting → idle | failed          (permiso del sensor, una vez por sesión)
+//   idle | done | failed → calibrating → recording → analysing → done | failed
+//   calibrating | recording ⇄ paused            (la tarea se repite entera al reanudar)
+// Eventos: state, started, resumed, paused, sample, progress, completed, failed.
+// failed lleva reason: 'too-short', 'low-quality' (lib/quality.js), 'no-signal',
+// 'pause-timeout', 'analysis-error' (el análisis lanzó una excepción) o la que se pase
+// a invalidate(). Las pausas se guardan en interruptions.
+// El análisis del final es intercambiable (opción analyse): por defecto analyseTask; la
+// calibración del teléfono (lib/calibration.js) usa el suyo.
+import {
+    SAMPLE_RATE,
+    calculateTremorMetrics,
+    createGravityFilter,
+    estimateSamplingStats
+} from './analysis.js';
+import { assessSignalQuality } from './quality.js';
+
+export const SETTLE_DURATION = 2000; // Periodo inicial de acomodo que se descarta
+export const MIN_SAMPLES = 100; // Por debajo, la medición se da por fallida
+export const MAX_PAUSE = 30000; // ms en pausa antes de dar la tarea por perdida
+const STALL_TIMEOUT = 3000; // ms sin muestras de una fuente continua: el sensor se ha parado
+const PROGRESS_INTERVAL = 1000; // ms entre eventos progress
+
+const TRANSITIONS = {
+    idle: ['requesting', 'calibrating'],
+    requesting: ['idle', 'failed'],
+    calibrating: ['recording', 'paused', 'analysing', 'failed'],
+    recording: ['paused', 'analysing', 'failed'],
+    paused: ['calibrating', 'analysing', 'failed'],
+    analysing: ['done', 'failed'],
+    done: ['requesting', 'calibrating'],
+    failed: ['requesting', 'calibrating'],
+};
+const ACTIVE_STATES = ['calibrating', 'recording', 'paused', 'analysing'];
+
+export function createRecorder({ settleDuration = SETTLE_DURATION, maxPause = MAX_PAUSE, analyse = analyseTask } = {}) {
+    const listeners = new Map();
+    let source = null;
+    let separateGravity = null;
+    let stopTimer = null;
+    let progressTimer = null;
+    let pauseTimer = null;
+    let lastSampleTime = 0;
+
+    const emit = (type, detail) => {
+        (listeners.get(type) || []).forEach(handler => handler(detail));
+    };
+
+    // Un cambio no previsto en TRANSITIONS es un error de programación, no del usuario
+    const transition = (next, reason = null) => {
+        const previous = recorder.state;
+        if (!TRANSITIONS[previous].includes(next)) {
+            throw new Error(`Transición no válida del grabador: ${previous} → ${next}`);
+        }
+        recorder.state = next;
+        emit('state', { state: next, previous, reason });
+    };
+
+    const clearTimers = () => {
+        clearTimeout(stopTimer);
+        clearInterval(progressTimer);
+        clearTimeout(pauseTimer);
+        stopTimer = null;
+        progressTimer = null;
+        pauseTimer = null;
+    };
+
+    // Arranca (o vuelve a arrancar tras una pausa) el acomodo y la grabación del paso
+    const begin = () => {
+        separateGravity = createGravityFilter();
+        Object.assign(recorder, {
+            samples: [],
+            timestamps: [],
+            reportedInterval: 0,
+            missingReadings: 0,
+            linearSource: null,
+            startTime: Date.now()
+        });
+        lastSampleTime = recorder.startTime;
+        transition('calibrating');
+        source.start(handleSample);
+
+        // Detener automáticamente al terminar el acomodo y la tarea
+        stopTimer = setTimeout(recorder.stop, settleDuration + recorder.step.duration);
+        progressTimer = setInterval(checkProgress, PROGRESS_INTERVAL);
+        emit('progress', recorder.progress());
+    };
+
+    const fail = (reason, extra = {}) => {
+        transition('failed', reason);
+        emit('failed', {
+            step: recorder.step,
+            reason,
+            sampleCount: recorder.samples.length,
+            interruptions: recorder.interruptions,
+            ...extra
+        });
+    };
+
+    const recorder = {
+        state: 'idle',
+        step: null,
+        samples: [],
+        timestamps: [],
+        reportedInterval: 0,
+        missingReadings: 0,
+        linearSource: null,
+        startTime: 0,
+        interruptions: [], // { reason, at } de cada pausa de la tarea en curso
+        failureReason: null, // Última causa de fallo, también la del permiso denegado
+
+        on(type, handler) {
+            if (!listeners.has(type)) listeners.set(type, []);
+            listeners.get(type).push(handler);
+            return recorder;
+        },
+
+        off(type, handler) {
+            listeners.set(type, (listeners.get(type) || []).filter(h => h !== handler));
+            return recorder;
+        },
+
+        get isActive() {
+            return ACTIVE_STATES.includes(recorder.state);
+        },
+
+        // request: función que resuelve true si se concede el acceso al sensor (iOS lo pide
+        // con DeviceMotionEvent.requestPermission). Resuelve false si se deniega o falla.
+        async requestPermission(request) {
+            if (recorder.isActive || recorder.state === 'requesting') return false;
+
+            transition('requesting');
+            let reason = null;
+            try {
+                if (!await request()) reason = 'permission-denied';
+            } catch (err) {
+                console.error('No se pudo pedir el permiso del sensor:', err);
+                reason = 'permission-error';
+            }
+            recorder.failureReason = reason;
+            transition(reason ? 'failed' : 'idle', reason);
+            return !reason;
+        },
+
+        // step: { task, hand, duration } de lib/protocol.js. Se ignora si ya hay una
+        // tarea en marcha: un segundo inicio no puede acortar ni pisar la primera.
+        start(sampleSource, step) {
+            if (recorder.isActive || recorder.state === 'requesting') return;
+
+            source = sampleSource;
+            recorder.step = step;
+            recorder.interruptions = [];
+            recorder.failureReason = null;
+            begin();
+            emit('started', { step });
+        },
+
+        // Interrupción (app en segundo plano, pantalla apagada): se deja de escuchar y la
+        // tarea queda pendiente. Una señal con un hueco no vale, así que al reanudar se
+        // repite desde el acomodo; pasado MAX_PAUSE se da por perdida.
+        pause(reason) {
+            if (recorder.state !== 'calibrating' && recorder.state !== 'recording') return;
+
+            clearTimers();
+            source.stop();
+            recorder.interruptions.push({ reason, at: Date.now() });
+            transition('paused', reason);
+            pauseTimer = setTimeout(() => recorder.invalidate('pause-timeout'), maxPause);
+            emit('paused', { step: recorder.step, reason });
+        },
+
+        resume() {
+            if (recorder.state !== 'paused') return;
+
+            clearTimers();
+            begin();
+            emit('resumed', { step: recorder.step, interruptions: recorder.interruptions });
+        },
+
+        // La tarea en curso no se puede completar: termina en failed con la causa
+        invalidate(reason) {
+            if (!recorder.isActive || recorder.state === 'analysing') return;
+
+            clearTimers();
+            source.stop();
+            recorder.failureReason = reason;
+            fail(reason);
+        },
+
+        // Termina la grabación (antes de tiempo si se llama a mano) y analiza lo registrado.
+        // En pausa se analiza lo grabado antes de la interrupción.
+        stop() {
+            if (!recorder.isActive || recorder.state === 'analysing') return;
+
+            clearTimers();
+            source.stop();
+            transition('analysing');
+
+            const { step, samples, timestamps, linearSource, interruptions } = recorder;
+            if (samples.length <= MIN_SAMPLES) {
+                recorder.failureReason = 'too-short';
+                fail('too-short');
+                return;
+            }
+
+            // Un error del análisis no puede dejar el grabador bloqueado en analysing
+            let analysis;
+            try {
+                analysis = analyse({
+                    step,
+                    samples,
+                    timestamps,
+                    reportedInterval: recorder.reportedInterval,
+                    missingReadings: recorder.missingReadings
+                });
+            } catch (err) {
+                console.error('Error al analizar la tarea:', err);
+                recorder.failureReason = 'analysis-error';
+                fail('analysis-error');
+                return;
+            }
+
+            const { failure, ...result } = analysis;
+            if (failure) {
+                recorder.failureReason = failure;
+                fail(failure, result);
+                return;
+            }
+
+            transition('done');
+            emit('completed', { step, samples, timestamps, linearSource, interruptions, ...result });
+        },
+
+        // Tiempo transcurrido y restante (ms) y fracción completada de la tarea
+        progress() {
+            const elapsed = Date.now() - recorder.startTime;
+            const duration = recorder.step ? recorder.step.duration : 0;
+            return {
+                state: recorder.state,
+                elapsed,
+                remaining: Math.max(0, settleDuration + duration - elapsed),
+                fraction: duration > 0 ? Math.min(1, Math.max(0, (elapsed - settleDuration) / duration)) : 0
+            };
+        }
+    };
+
+    // Cada segundo: progreso y, con fuentes continuas (el sensor), vigilancia de que
+    // sigan llegando muestras. Las reproducciones terminan solas antes de tiempo.
+    function checkProgress() {
+        if (!source.finite && Date.now() - lastSampleTime > STALL_TIMEOUT) {
+            recorder.invalidate('no-signal');
+            return;
+        }
+        emit('progress', recorder.progress());
+    }
+
+    function handleSample(event) {
+        if (recorder.state !== 'calibrating' && recorder.state !== 'recording') return;
+        lastSampleTime = Date.now();
+
+        const acc = event.accelerationIncludingGravity;
+        if (!acc) return;
+
+        const x = acc.x || 0;
+        const y = acc.y || 0;
+        const z = acc.z || 0;
+
+        // Calcular magnitud
+        const magnitude = Math.sqrt(x*x + y*y + z*z);
+
+        const t = event.timeStamp > 0 ? event.timeStamp : performance.now();
+        const previous = recorder.timestamps[recorder.timestamps.length - 1];
+        const dt = previous !== undefined && t > previous ? (t - previous) / 1000 : 1 / SAMPLE_RATE;
+
+        // Aceleración lineal: la del sensor si existe, si no separamos la gravedad con un filtro
+        const linear = event.acceleration;
+        let lx, ly, lz;
+        if (linear && typeof linear.x === 'number') {
+            lx = linear.x;
+            ly = linear.y || 0;
+            lz = linear.z || 0;
+            recorder.linearSource = 'sensor';
+        } else {
+            ({ lx, ly, lz } = separateGravity(x, y, z, dt));
+            recorder.linearSource = 'filter';
+        }
+
+        // Durante el acomodo solo se alimenta el filtro de gravedad; las muestras se descartan
+        if (recorder.state === 'calibrating') {
+            if (Date.now() - recorder.startTime < settleDuration) return;
+            transition('recording');
+        }
+
+        // Lecturas vacías (null) que se sustituyen por 0: cuentan para la calidad de la señal
+        if (typeof acc.x !== 'number' || typeof acc.y !== 'number' || typeof acc.z !== 'number') {
+            recorder.missingReadings++;
+        }
+
+        const sample = { x, y, z, magnitude, lx, ly, lz };
+
+        // Velocidad de giro del giroscopio (°/s), si el dispositivo lo tiene
+        const rotation = event.rotationRate;
+        if (rotation && typeof rotation.alpha === 'number') {
+            sample.rotAlpha = rotation.alpha;
+            sample.rotBeta = rotation.beta || 0;
+            sample.rotGamma = rotation.gamma || 0;
+        }
+
+        recorder.samples.push(sample);
+        recorder.timestamps.push(t);
+
+        // Intervalo declarado por el navegador (ms; algunos Safari lo dan en segundos)
+        if (event.interval > 0) {
+            recorder.reportedInterval = event.interval < 1 ? event.interval * 1000 : event.interval;
+        }
+
+        emit('sample', { sample, timestamp: t, count: recorder.samples.length });
+    }
+
+    return recorder;
+}
+
+// Análisis por defecto al terminar una tarea: calidad de la señal y métricas del temblor.
+// Devuelve { failure: 'low-quality', quality } o { metrics, sampling, quality }.
+export function analyseTask({ step, samples, timestamps, reportedInterval, missingReadings }, { noiseFloor = null } = {}) {
+    const sampling = estimateSamplingStats(timestamps, reportedInterval);
+    const quality = assessSignalQuality(samples, timestamps, {
+        sampleRate: sampling.sampleRate,
+        missingReadings,
+        task: step.task
+    });
+    if (quality.status === 'rejected') {
+        return { failure: 'low-quality', quality };
+    }
+
+    return {
+        metrics: calculateTremorMetrics(samples, timestamps, { noiseFloor }),
+        sampling,
+        quality
+    };
+}
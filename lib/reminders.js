@@ -0,0 +1,102 @@
+// reminders.js - Recordatorios para medir el temblor (sin DOM)
+// Cada perfil guarda sus pautas de recordatorio: cada N horas mientras está despierto o
+// ligadas a las horas de la pauta de medicación (p. ej. una hora después de cada toma).
+import { t } from './i18n.js';
+
+export const REMINDER_KINDS = {
+    get interval() { return t('reminderKind.interval'); },
+    get medication() { return t('reminderKind.medication'); },
+};
+
+export const REMINDER_TAG = 'measure'; // Prefijo de las notificaciones de medición
+
+export function createReminder(fields = {}) {
+    return {
+        id: `r${Date.now()}`,
+        kind: 'interval',
+        everyHours: 2,
+        from: '09:00',
+        to: '21:00',
+        offsetMinutes: 60,
+        enabled: true,
+        ...fields
+    };
+}
+
+// Horas ("HH:MM") en que toca medir según una pauta de recordatorio
+export function reminderTimes(reminder, profile) {
+    if (!reminder.enabled) return [];
+
+    if (reminder.kind === 'medication') {
+        const times = profile.medications.flatMap(med => med.times)
+            .map(time => shiftTime(time, reminder.offsetMinutes));
+        return [...new Set(times)].sort();
+    }
+
+    const from = toMinutes(reminder.from);
+    const to = toMinutes(reminder.to);
+    const step = Math.max(15, Math.round(reminder.everyHours * 60));
+    const times = [];
+    for (let minute = from; minute <= to; minute += step) {
+        times.push(fromMinutes(minute));
+    }
+    return times;
+}
+
+// Próximos avisos de todos los perfiles entre dos instantes, ordenados
+export function upcomingReminders(profiles, from, until) {
+    const reminders = [];
+
+    for (let day = startOfDay(from); day <= until; day = nextDay(day)) {
+        profiles.forEach(profile => (profile.reminders || []).forEach(reminder => {
+            reminderTimes(reminder, profile).forEach(time => {
+                const [hours, minutes] = time.split(':').map(Number);
+                const at = new Date(day).setHours(hours, minutes, 0, 0);
+                if (at < from || at > until) return;
+                reminders.push({ key: reminderKey(reminder, at), at, profileId: profile.id, reminderId: reminder.id });
+            });
+        }));
+    }
+    return reminders.sort((a, b) => a.at - b.at);
+}
+
+// Misma clave para el aviso programado y el de la app abierta: la notificación se sustituye
+export function reminderKey(reminder, at) {
+    return `${REMINDER_TAG}:${reminder.id}@${at}`;
+}
+
+export function describeReminder(reminder) {
+    if (reminder.kind === 'medication') {
+        const minutes = Math.abs(reminder.offsetMinutes);
+        if (minutes === 0) return t('reminderKind.atDose');
+        return t(reminder.offsetMinutes < 0 ? 'reminderKind.beforeDose' : 'reminderKind.afterDose', { minutes });
+    }
+    return t('reminderKind.every', { hours: reminder.everyHours, from: reminder.from, to: reminder.to });
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function fromMinutes(total) {
+    const minutes = ((total % 1440) + 1440) % 1440;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function shiftTime(time, offsetMinutes) {
+    return fromMinutes(toMinutes(time) + offsetMinutes);
+}
+
+function startOfDay(timestamp) {
+    const day = new Date(timestamp);
+    day.setHours(0, 0, 0, 0);
+    return day.getTime();
+}
+
+// Siguiente medianoche local (los días con cambio de hora no duran 24 h)
+function nextDay(day) {
+    const next = new Date(day);
+    next.setDate(next.getDate() + 1);
+    return next.getTime();
+}
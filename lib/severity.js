@@ -0,0 +1,88 @@
+// severity.js - Modelos de severidad del temblor (sin DOM)
+// Cada medición guarda la versión del modelo que la puntuó para no mezclar
+// puntuaciones de escalas distintas.
+import { t } from './i18n.js';
+
+export const SEVERITY_MODEL_VERSION = 'updrs-disp-1';
+export const LEGACY_SEVERITY_MODEL = 'legacy';
+
+export const SEVERITY_MODELS = {
+    // Desplazamiento pico a pico (cm) mapeado a los ítems 3.15/3.17 de la MDS-UPDRS
+    'updrs-disp-1': {
+        version: 'updrs-disp-1',
+        // Límite inferior (cm) de los ítems 1 a 4; por debajo del primero no hay temblor
+        updrsThresholdsCm: [0.1, 1, 3, 10],
+        // Puntos [cm, puntuación] para interpolar en escala logarítmica la puntuación 0-10
+        scoreAnchors: [[0.1, 0], [1, 4], [3, 7], [10, 10]],
+        levels: [
+            { max: 2, get label() { return t('severity.minimal'); }, color: 'var(--success-color)', className: 'level-0' },
+            { max: 4, get label() { return t('severity.mild'); }, color: '#a5d6a7', className: 'level-1' },
+            { max: 7, get label() { return t('severity.moderate'); }, color: 'var(--warning-color)', className: 'level-2' },
+            { max: Infinity, get label() { return t('severity.significant'); }, color: 'var(--accent-color)', className: 'level-4' },
+        ],
+        score(metrics) {
+            return interpolateLogScore(metrics.displacementCm, this.scoreAnchors);
+        },
+        updrs(metrics) {
+            return this.updrsThresholdsCm.filter(t => metrics.displacementCm >= t).length;
+        },
+    },
+    // Umbrales de prueba de versiones anteriores (aceleración RMS); solo para interpretar el historial
+    'legacy': {
+        version: LEGACY_SEVERITY_MODEL,
+        levels: [
+            { max: 2, get label() { return t('severity.minimal'); }, color: 'var(--success-color)', className: 'level-0' },
+            { max: 4, get label() { return t('severity.mild'); }, color: '#a5d6a7', className: 'level-1' },
+            { max: 7, get label() { return t('severity.moderate'); }, color: 'var(--warning-color)', className: 'level-2' },
+            { max: Infinity, get label() { return t('severity.significant'); }, color: 'var(--accent-color)', className: 'level-4' },
+        ],
+    },
+};
+
+export function getSeverityModel(version = SEVERITY_MODEL_VERSION) {
+    return SEVERITY_MODELS[version] || SEVERITY_MODELS[LEGACY_SEVERITY_MODEL];
+}
+
+// Versión del modelo que puntuó una medición (las anteriores a los modelos no la guardan)
+export function measurementModel(m) {
+    return m.severityModel || LEGACY_SEVERITY_MODEL;
+}
+
+export function calculateSeverity(metrics, model = getSeverityModel()) {
+    const score = Math.min(10, Math.max(0, model.score(metrics)));
+    return {
+        score,
+        updrsItem: model.updrs(metrics),
+        model: model.version
+    };
+}
+
+function interpolateLogScore(value, anchors) {
+    if (!(value > anchors[0][0])) return anchors[0][1];
+
+    for (let i = 1; i < anchors.length; i++) {
+        const [x0, y0] = anchors[i - 1];
+        const [x1, y1] = anchors[i];
+        if (value < x1) {
+            return y0 + ((y1 - y0) * Math.log(value / x0)) / Math.log(x1 / x0);
+        }
+    }
+
+    return anchors[anchors.length - 1][1];
+}
+
+function severityBand(level, model) {
+    return model.levels.find(band => level < band.max) || model.levels[model.levels.length - 1];
+}
+
+export function interpretLevel(level, model = getSeverityModel()) {
+    return severityBand(level, model).label;
+}
+
+export function getSeverityColor(level, model = getSeverityModel()) {
+    return severityBand(level, model).color;
+}
+
+export function getSeverityClass(level, model = getSeverityModel()) {
+    return severityBand(level, model).className;
+}
@@ -0,0 +1,143 @@
+// sources.js - Fuentes de muestras para la grabación
+// Todas entregan objetos con la forma de DeviceMotionEvent (timeStamp, interval,
+// acceleration, accelerationIncludingGravity, rotationRate), así el análisis es
+// idéntico con datos reales o simulados. Interfaz: { kind, finite, start(onSample), stop() };
+// finite indica que la fuente puede agotarse antes de tiempo sin que sea un fallo.
+// Los generadores (sintético y reproducción) no dependen del navegador.
+
+const SOURCE_TICK = 20; // ms entre entregas de las fuentes simuladas
+const GRAVITY = 9.81;
+export const SYNTHETIC_DEFAULTS = {
+    frequency: 5,          // Hz del temblor simulado
+    amplitude: 1,          // m/s² de pico, a lo largo del eje X del teléfono
+    noise: 0.02,           // m/s² de desviación típica del ruido del sensor
+    tilt: 30,              // grados respecto a la vertical (orientación de la gravedad)
+    sampleRate: 60,        // Hz nominales
+    jitter: 2,             // ms de desviación típica del intervalo entre muestras
+    rotationAmplitude: 20, // °/s de pico en el giroscopio (beta)
+    linearAvailable: true, // false simula navegadores sin event.acceleration
+    seed: 1,
+    startTime: 0,
+};
+
+export function createDeviceMotionSource() {
+    let listener = null;
+    return {
+        kind: 'live',
+        finite: false,
+        start(onSample) {
+            listener = onSample;
+            window.addEventListener('devicemotion', listener);
+        },
+        stop() {
+            window.removeEventListener('devicemotion', listener);
+            listener = null;
+        }
+    };
+}
+
+// Entrega en tiempo real los eventos de un generador según su timeStamp
+export function createPacedSource(kind, createGenerator) {
+    let timer = null;
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        kind,
+        finite: true,
+        start(onSample) {
+            const generator = createGenerator(performance.now());
+            let pending = generator.next();
+            timer = setInterval(() => {
+                const now = performance.now();
+                while (pending && pending.timeStamp <= now) {
+                    onSample(pending);
+                    pending = generator.next();
+                }
+                if (!pending) stop();
+            }, SOURCE_TICK);
+        },
+        stop
+    };
+}
+
+// Senoide configurable con ruido, gravedad inclinada y jitter de muestreo.
+// Determinista para una misma semilla: sirve para verificar el análisis.
+export function createSyntheticGenerator(options = {}) {
+    const o = { ...SYNTHETIC_DEFAULTS, ...options };
+    const random = seededRandom(o.seed);
+    const gaussian = () => {
+        const u = Math.max(random(), 1e-12);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+    const tilt = (o.tilt * Math.PI) / 180;
+    const gravity = { x: 0, y: GRAVITY * Math.sin(tilt), z: GRAVITY * Math.cos(tilt) };
+    const period = 1000 / o.sampleRate;
+    let t = o.startTime;
+
+    return {
+        next() {
+            t += Math.max(1, period + gaussian() * o.jitter);
+            const phase = (2 * Math.PI * o.frequency * (t - o.startTime)) / 1000;
+            const linear = {
+                x: o.amplitude * Math.sin(phase) + gaussian() * o.noise,
+                y: gaussian() * o.noise,
+                z: gaussian() * o.noise
+            };
+
+            return {
+                timeStamp: t,
+                interval: period,
+                acceleration: o.linearAvailable ? linear : null,
+                accelerationIncludingGravity: {
+                    x: linear.x + gravity.x,
+                    y: linear.y + gravity.y,
+                    z: linear.z + gravity.z
+                },
+                rotationRate: {
+                    alpha: gaussian() * o.noise,
+                    beta: o.rotationAmplitude * Math.sin(phase),
+                    gamma: gaussian() * o.noise
+                }
+            };
+        }
+    };
+}
+
+// Reproduce un registro importado ({ samples, timestamps }) con su ritmo original
+export function createReplayGenerator(recording, startTime) {
+    const { samples, timestamps } = recording;
+    let i = 0;
+
+    return {
+        next() {
+            if (i >= samples.length) return null;
+            const s = samples[i];
+            const event = {
+                timeStamp: startTime + (timestamps[i] - timestamps[0]),
+                interval: 0,
+                accelerationIncludingGravity: { x: s.x, y: s.y, z: s.z },
+                acceleration: typeof s.lx === 'number' ? { x: s.lx, y: s.ly, z: s.lz } : null,
+                rotationRate: typeof s.rotAlpha === 'number'
+                    ? { alpha: s.rotAlpha, beta: s.rotBeta, gamma: s.rotGamma }
+                    : null
+            };
+            i++;
+            return event;
+        }
+    };
+}
+
+// Generador pseudoaleatorio con semilla (mulberry32)
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
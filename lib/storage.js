@@ -0,0 +1,531 @@
+// storage.js - Almacenamiento: mediciones, señales crudas, tomas y cola de sincronización
+// en IndexedDB;
+// preferencias y perfiles en localStorage
+// Con el cifrado activado (lib/crypto.js) todo se guarda cifrado y solo se lee tras desbloquear.
+import {
+    changeLockPasscode,
+    createLock,
+    decodeSealed,
+    decryptBackup,
+    decryptJSON,
+    encodeSealed,
+    encryptBackup,
+    encryptJSON,
+    openLock
+} from './crypto.js';
+import { completeOutboxEntry } from './outbox.js';
+import { migrateSettings, recordProfile } from './profiles.js';
+
+const DB_NAME = 'monitor-temblor';
+const LEGACY_STORAGE_KEY = 'parkinson_measurements';
+const SETTINGS_KEY = 'parkinson_settings';
+const LOCK_KEY = 'parkinson_lock'; // Configuración del bloqueo (sin datos de salud)
+const LOCALE_KEY = 'parkinson_locale'; // Idioma de la interfaz, sin cifrar: la pantalla de bloqueo ya lo usa
+const THEME_KEY = 'parkinson_theme'; // Tema de texto grande, sin cifrar por el mismo motivo
+
+// Migraciones del esquema: la posición en el array es la versión de destino - 1
+const DB_MIGRATIONS = [
+    // v1: mediciones indexadas, señales crudas e importación del localStorage anterior
+    (db, tx, context) => {
+        const measurements = db.createObjectStore('measurements', { keyPath: 'id', autoIncrement: true });
+        measurements.createIndex('timestamp', 'timestamp');
+        measurements.createIndex('sessionId', 'sessionId');
+        db.createObjectStore('rawSignals', { keyPath: 'measurementId' });
+
+        const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (legacy) {
+            JSON.parse(legacy).forEach(m => measurements.add(m));
+            context.importedLegacy = true;
+        }
+    },
+    // v2: registro de tomas de medicación
+    (db) => {
+        const doses = db.createObjectStore('doses', { keyPath: 'id', autoIncrement: true });
+        doses.createIndex('timestamp', 'timestamp');
+    },
+    // v3: sincronización con la clínica (lib/sync.js). sw.js abre también estos almacenes
+    (db) => {
+        const outbox = db.createObjectStore('outbox', { keyPath: 'key' });
+        outbox.createIndex('nextAttempt', 'nextAttempt');
+        db.createObjectStore('syncResults', { keyPath: 'id', autoIncrement: true });
+        const notes = db.createObjectStore('notes', { keyPath: 'id' });
+        notes.createIndex('profileId', 'profileId');
+    },
+    // v4: registro de alertas (lib/alerts.js), una por clave de regla
+    (db) => {
+        const alerts = db.createObjectStore('alerts', { keyPath: 'key' });
+        alerts.createIndex('timestamp', 'timestamp');
+        alerts.createIndex('profileId', 'profileId');
+    },
+];
+const DB_VERSION = DB_MIGRATIONS.length;
+
+let dbPromise = null;
+
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB no disponible'));
+            return;
+        }
+
+        const context = { importedLegacy: false };
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                DB_MIGRATIONS[version](request.result, request.transaction, context);
+            }
+        };
+        request.onsuccess = () => {
+            // Los datos antiguos ya están en IndexedDB: liberar la clave
+            if (context.importedLegacy) {
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
+            }
+            resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Cifrado en reposo. Un registro cifrado es { campos indexados, sealed: { iv, data } }: solo
+// quedan en claro las claves y los índices (fechas, sesión, perfil de las notas). Los
+// registros sin 'sealed' se leen tal cual, así que los datos a medio migrar siguen legibles.
+// Se cifra antes de abrir la transacción: IndexedDB la cierra si se espera a WebCrypto.
+const INDEXED_FIELDS = {
+    measurements: ['id', 'timestamp', 'sessionId'],
+    rawSignals: ['measurementId'],
+    doses: ['id', 'timestamp'],
+    outbox: ['key', 'nextAttempt', 'queuedAt'],
+    syncResults: ['id'],
+    notes: ['id', 'profileId'],
+    alerts: ['key', 'timestamp', 'profileId'],
+};
+const BACKUP_STORES = ['measurements', 'rawSignals', 'doses', 'notes', 'alerts'];
+
+let encryptionKey = null; // Solo en memoria mientras la app está desbloqueada
+let settingsCache = null; // Ajustes descifrados
+let settingsWrite = Promise.resolve();
+
+async function seal(storeName, record, key = encryptionKey) {
+    if (!key) return record;
+
+    const indexed = {};
+    const secret = { ...record };
+    INDEXED_FIELDS[storeName].forEach(field => {
+        if (field in secret) {
+            indexed[field] = secret[field];
+            delete secret[field];
+        }
+    });
+    return { ...indexed, sealed: await encryptJSON(key, secret) };
+}
+
+async function unseal(record) {
+    if (!record || !record.sealed) return record;
+    if (!encryptionKey) throw new Error('Los datos están bloqueados');
+
+    const { sealed, ...indexed } = record;
+    return { ...indexed, ...(await decryptJSON(encryptionKey, sealed)) };
+}
+
+function unsealAll(records) {
+    return Promise.all(records.map(record => unseal(record)));
+}
+
+// Mediciones entre dos instantes (ms), ordenadas por fecha
+export async function getMeasurementsInRange(from, to) {
+    const db = await openDatabase();
+    const tx = db.transaction('measurements', 'readonly');
+    const range = IDBKeyRange.bound(from, to);
+    return unsealAll(await requestToPromise(tx.objectStore('measurements').index('timestamp').getAll(range)));
+}
+
+// Guardar medición (y opcionalmente su señal cruda en la misma transacción)
+export async function saveMeasurement(data, raw = null) {
+    const record = await seal('measurements', data);
+    const rawRecord = raw ? await seal('rawSignals', raw) : null;
+    const db = await openDatabase();
+    const tx = db.transaction(['measurements', 'rawSignals'], 'readwrite');
+    const request = tx.objectStore('measurements').add(record);
+
+    if (rawRecord) {
+        request.onsuccess = () => {
+            tx.objectStore('rawSignals').put({ measurementId: request.result, ...rawRecord });
+        };
+    }
+
+    await transactionDone(tx);
+    data.id = request.result;
+    return data.id;
+}
+
+// Actualiza campos de una medición ya guardada (p. ej. el estado motor)
+export function updateMeasurement(id, changes) {
+    return updateRecord('measurements', id, changes);
+}
+
+export async function getMeasurement(id) {
+    const db = await openDatabase();
+    return unseal(await requestToPromise(db.transaction('measurements', 'readonly').objectStore('measurements').get(id)));
+}
+
+export async function getSessionMeasurements(sessionId) {
+    const db = await openDatabase();
+    const tx = db.transaction('measurements', 'readonly');
+    return unsealAll(await requestToPromise(tx.objectStore('measurements').index('sessionId').getAll(sessionId)));
+}
+
+// Lectura y escritura en dos transacciones: entre ambas se descifra y se vuelve a cifrar
+async function updateRecord(storeName, id, changes) {
+    const db = await openDatabase();
+    const current = await unseal(await requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).get(id)));
+    const updated = { ...current, ...changes };
+    const record = await seal(storeName, updated);
+
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).put(record);
+    await transactionDone(tx);
+    return updated;
+}
+
+export async function saveDose(dose) {
+    const record = await seal('doses', dose);
+    const db = await openDatabase();
+    const tx = db.transaction('doses', 'readwrite');
+    const request = tx.objectStore('doses').add(record);
+    await transactionDone(tx);
+    return request.result;
+}
+
+export function updateDose(id, changes) {
+    return updateRecord('doses', id, changes);
+}
+
+export async function getDose(id) {
+    const db = await openDatabase();
+    return unseal(await requestToPromise(db.transaction('doses', 'readonly').objectStore('doses').get(id)));
+}
+
+export async function getDosesInRange(from, to) {
+    const db = await openDatabase();
+    const tx = db.transaction('doses', 'readonly');
+    return unsealAll(await requestToPromise(tx.objectStore('doses').index('timestamp').getAll(IDBKeyRange.bound(from, to))));
+}
+
+// Última toma registrada antes de un instante (de un perfil, si se indica). El perfil
+// puede estar cifrado, así que se filtra después de descifrar.
+export async function getLastDoseBefore(timestamp, profileId = null) {
+    const db = await openDatabase();
+    const tx = db.transaction('doses', 'readonly');
+    const doses = await unsealAll(
+        await requestToPromise(tx.objectStore('doses').index('timestamp').getAll(IDBKeyRange.upperBound(timestamp)))
+    );
+
+    for (let i = doses.length - 1; i >= 0; i--) {
+        if (!profileId || recordProfile(doses[i]) === profileId) return doses[i];
+    }
+    return null;
+}
+
+export async function getRawSignal(measurementId) {
+    const db = await openDatabase();
+    const tx = db.transaction('rawSignals', 'readonly');
+    return unseal(await requestToPromise(tx.objectStore('rawSignals').get(measurementId)));
+}
+
+// Cola de sincronización: la clave es tipo:id, así que un cambio posterior del mismo
+// registro sustituye a la petición que aún no se había enviado. Las peticiones cifradas
+// solo las puede enviar la página desbloqueada (sw.js no tiene la clave).
+export async function putSyncRequest(entry) {
+    const record = await seal('outbox', entry);
+    const db = await openDatabase();
+    const tx = db.transaction('outbox', 'readwrite');
+    tx.objectStore('outbox').put(record);
+    await transactionDone(tx);
+}
+
+// Peticiones cuyo próximo intento ya ha llegado
+export async function getDueSyncRequests(now) {
+    const db = await openDatabase();
+    const tx = db.transaction('outbox', 'readonly');
+    return unsealAll(await requestToPromise(tx.objectStore('outbox').index('nextAttempt').getAll(IDBKeyRange.upperBound(now))));
+}
+
+export async function countSyncRequests() {
+    const db = await openDatabase();
+    return requestToPromise(db.transaction('outbox', 'readonly').objectStore('outbox').count());
+}
+
+// Petición respondida: sale de la cola (salvo que otra más reciente la haya sustituido)
+// y su respuesta queda guardada hasta que la página la procese
+export async function completeSyncRequest(entry, result) {
+    const record = await seal('syncResults', result);
+    const db = await openDatabase();
+    const tx = db.transaction(['outbox', 'syncResults'], 'readwrite');
+    completeOutboxEntry(tx, entry, record);
+    await transactionDone(tx);
+}
+
+// Devuelve y vacía las respuestas pendientes de procesar
+export async function takeSyncResults() {
+    const db = await openDatabase();
+    const tx = db.transaction('syncResults', 'readwrite');
+    const store = tx.objectStore('syncResults');
+    const results = await requestToPromise(store.getAll());
+    store.clear();
+    await transactionDone(tx);
+    return unsealAll(results);
+}
+
+export async function saveNotes(notes) {
+    const records = await Promise.all(notes.map(note => seal('notes', note)));
+    const db = await openDatabase();
+    const tx = db.transaction('notes', 'readwrite');
+    records.forEach(record => tx.objectStore('notes').put(record));
+    await transactionDone(tx);
+}
+
+// Notas del equipo clínico de un perfil, ordenadas por fecha
+export async function getNotes(profileId) {
+    const db = await openDatabase();
+    const tx = db.transaction('notes', 'readonly');
+    const notes = await unsealAll(await requestToPromise(tx.objectStore('notes').index('profileId').getAll(profileId)));
+    return notes.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function saveAlerts(alerts) {
+    const records = await Promise.all(alerts.map(alert => seal('alerts', alert)));
+    const db = await openDatabase();
+    const tx = db.transaction('alerts', 'readwrite');
+    records.forEach(record => tx.objectStore('alerts').put(record));
+    await transactionDone(tx);
+}
+
+// Alertas registradas de un perfil, ordenadas por fecha
+export async function getAlerts(profileId) {
+    const db = await openDatabase();
+    const tx = db.transaction('alerts', 'readonly');
+    const alerts = await unsealAll(await requestToPromise(tx.objectStore('alerts').index('profileId').getAll(profileId)));
+    return alerts.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Deja constancia en el registro de que la alerta se vio o se compartió
+export function updateAlert(key, changes) {
+    return updateRecord('alerts', key, changes);
+}
+
+// Preferencias del usuario y perfiles de paciente (pequeños, se quedan en localStorage).
+// Los ajustes anteriores a los perfiles se convierten al leerlos (lib/profiles.js).
+// Cifrados, se leen de la copia descifrada al desbloquear y se guardan en segundo plano.
+export function loadSettings() {
+    return migrateSettings({
+        storeRawSignals: true,
+        handsFree: 'off',
+        deviceProfiles: {}, // Calibración del sensor por user agent (lib/calibration.js)
+        ...readSettings()
+    });
+}
+
+function readSettings() {
+    if (settingsCache) return JSON.parse(JSON.stringify(settingsCache));
+
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    const parsed = saved ? JSON.parse(saved) : {};
+    if (parsed.sealed) throw new Error('Los datos están bloqueados');
+    return parsed;
+}
+
+export function saveSettings(settings) {
+    if (!encryptionKey) {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        return;
+    }
+
+    const snapshot = JSON.parse(JSON.stringify(settings));
+    settingsCache = snapshot;
+    // En cola: una escritura lenta no puede pisar a otra posterior
+    settingsWrite = settingsWrite
+        .then(() => encryptJSON(encryptionKey, snapshot))
+        .then(sealed => localStorage.setItem(SETTINGS_KEY, JSON.stringify({ sealed: encodeSealed(sealed) })))
+        .catch(err => console.error('No se pudieron guardar los ajustes:', err));
+}
+
+// Idioma elegido por el usuario (null: seguir el del navegador)
+export function loadLocale() {
+    return localStorage.getItem(LOCALE_KEY);
+}
+
+export function saveLocale(locale) {
+    localStorage.setItem(LOCALE_KEY, locale);
+}
+
+// Tema de la interfaz: 'large' (texto grande y alto contraste), 'default' o null si no se eligió
+export function loadTheme() {
+    return localStorage.getItem(THEME_KEY);
+}
+
+export function saveTheme(theme) {
+    localStorage.setItem(THEME_KEY, theme);
+}
+
+// Bloqueo con código
+export function loadLockConfig() {
+    const saved = localStorage.getItem(LOCK_KEY);
+    return saved ? JSON.parse(saved) : null;
+}
+
+export function isEncryptionEnabled() {
+    return loadLockConfig() !== null;
+}
+
+export function isLocked() {
+    return isEncryptionEnabled() && !encryptionKey;
+}
+
+// Devuelve false si el código no es el correcto
+export async function unlockStorage(passcode) {
+    const key = await openLock(passcode, loadLockConfig());
+    if (!key) return false;
+
+    encryptionKey = key;
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    settingsCache = saved.sealed ? await decryptJSON(key, decodeSealed(saved.sealed)) : saved;
+    return true;
+}
+
+// Olvida la clave: hasta el próximo desbloqueo no se puede leer nada
+export function lockStorage() {
+    encryptionKey = null;
+    settingsCache = null;
+}
+
+// Activa el cifrado y migra los datos existentes. El bloqueo se guarda antes de migrar:
+// si la migración se interrumpe, los registros aún sin cifrar se siguen leyendo.
+export async function enableEncryption(passcode, autoLockMinutes) {
+    const settings = loadSettings();
+    const { key, lock } = await createLock(passcode);
+
+    localStorage.setItem(LOCK_KEY, JSON.stringify({ ...lock, autoLockMinutes }));
+    encryptionKey = key;
+    saveSettings(settings);
+    await settingsWrite;
+    await rewriteAllRecords(key);
+}
+
+export async function changePasscode(currentPasscode, newPasscode) {
+    const lock = loadLockConfig();
+    const updated = await changeLockPasscode(lock, currentPasscode, newPasscode);
+    if (!updated) return false;
+
+    localStorage.setItem(LOCK_KEY, JSON.stringify({ ...lock, ...updated }));
+    return true;
+}
+
+// Descifra todos los datos y quita el bloqueo (pide el código actual)
+export async function disableEncryption(passcode) {
+    if (!(await openLock(passcode, loadLockConfig()))) return false;
+
+    const settings = loadSettings();
+    await rewriteAllRecords(null);
+    await settingsWrite;
+    encryptionKey = null;
+    settingsCache = null;
+    saveSettings(settings);
+    localStorage.removeItem(LOCK_KEY);
+    return true;
+}
+
+export function setAutoLockMinutes(minutes) {
+    const lock = loadLockConfig();
+    if (lock) localStorage.setItem(LOCK_KEY, JSON.stringify({ ...lock, autoLockMinutes: minutes }));
+}
+
+// Vuelve a escribir todos los registros cifrados con la clave indicada (o sin cifrar)
+async function rewriteAllRecords(key) {
+    const db = await openDatabase();
+    for (const storeName of Object.keys(INDEXED_FIELDS)) {
+        const stored = await requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+        const records = await unsealAll(stored);
+        const rewritten = await Promise.all(records.map(record => seal(storeName, record, key)));
+
+        const tx = db.transaction(storeName, 'readwrite');
+        rewritten.forEach(record => tx.objectStore(storeName).put(record));
+        await transactionDone(tx);
+    }
+}
+
+// Copia de seguridad cifrada con su propio código: mediciones, señales, tomas, notas, alertas y
+// ajustes (la cola de sincronización es de este teléfono y no se copia)
+export async function exportBackup(passcode) {
+    const db = await openDatabase();
+    const stores = {};
+    for (const storeName of BACKUP_STORES) {
+        stores[storeName] = await unsealAll(
+            await requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).getAll())
+        );
+    }
+    return encryptBackup(passcode, { exportedAt: Date.now(), settings: loadSettings(), stores });
+}
+
+// Sustituye todos los datos por los de la copia; devuelve cuántos registros se restauraron
+export async function restoreBackup(text, passcode) {
+    const backup = await decryptBackup(passcode, text);
+    const db = await openDatabase();
+    const counts = {};
+
+    for (const storeName of BACKUP_STORES) {
+        const records = await Promise.all((backup.stores[storeName] || []).map(record => seal(storeName, record)));
+        const tx = db.transaction(storeName, 'readwrite');
+        tx.objectStore(storeName).clear();
+        records.forEach(record => tx.objectStore(storeName).put(record));
+        await transactionDone(tx);
+        counts[storeName] = records.length;
+    }
+
+    const tx = db.transaction(['outbox', 'syncResults'], 'readwrite');
+    tx.objectStore('outbox').clear();
+    tx.objectStore('syncResults').clear();
+    await transactionDone(tx);
+
+    saveSettings(backup.settings);
+    await settingsWrite;
+    return counts;
+}
+
+// Sin el código no hay forma de recuperar nada: la única salida es empezar de cero
+export async function eraseAllData() {
+    if (dbPromise) {
+        (await dbPromise).close();
+        dbPromise = null;
+    }
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+    [SETTINGS_KEY, LOCK_KEY, LEGACY_STORAGE_KEY].forEach(key => localStorage.removeItem(key));
+    lockStorage();
+}
@@ -0,0 +1,261 @@
+// sync.js - Sincronización opcional con la clínica (sin DOM)
+// Cada cambio local (medición o toma) se convierte en una petición HTTP completa que se
+// guarda en la cola 'outbox' de IndexedDB. La cola la vacía la página o, con Background
+// Sync, el service worker (sw.js repite las peticiones tal cual aunque la app esté
+// cerrada). Las respuestas quedan en 'syncResults' y se procesan siempre aquí.
+//
+// Esquema del backend 'rest' (cualquier servidor que lo implemente sirve; hay uno de
+// prueba en tools/mock-sync-server.mjs):
+//   PUT {endpoint}/patients/{paciente}/{measurements|doses}/{ref}
+//       { schema, kind, ref, deviceId, baseVersion, data }
+//       2xx → { version }          versión del registro en el servidor
+//       409 → { version, data }    el servidor tiene otra versión: se fusiona y se reenvía
+//   GET {endpoint}/patients/{paciente}/notes?since={ms}
+//       200 → { notes: [{ id, ref, author, text, createdAt }] }
+// {paciente} es el ID de historia del perfil (o su id local) y {ref} es deviceId-idLocal.
+// Todas las peticiones llevan X-Sync-Schema y, si hay token, Authorization: Bearer.
+// De la señal cruda solo se envía una referencia (formato, canales, duración), no las muestras.
+import { RAW_FORMAT, RAW_FORMAT_VERSION, presentChannels } from './formats.js';
+import { classifyResponse, replayEntries } from './outbox.js';
+import { recordProfile } from './profiles.js';
+import {
+    completeSyncRequest,
+    getDose,
+    getDueSyncRequests,
+    getMeasurement,
+    getRawSignal,
+    loadSettings,
+    putSyncRequest,
+    saveNotes,
+    saveSettings,
+    takeSyncResults,
+    updateDose,
+    updateMeasurement
+} from './storage.js';
+
+export const SYNC_SCHEMA = 'monitor-temblor-sync/1';
+// Reintentos y clasificación de respuestas, compartidos con el service worker
+export { SYNC_TAG, classifyResponse, retryDelay } from './outbox.js';
+const LOCAL_FIELDS = ['syncVersion', 'syncedAt']; // Estado de la sincronización, no se envía
+
+const COLLECTIONS = {
+    measurement: 'measurements',
+    dose: 'doses',
+};
+
+export const SYNC_DEFAULTS = {
+    enabled: false,
+    backend: 'rest',
+    endpoint: '',
+    token: '',
+    deviceId: null,
+    notesSince: {},
+};
+
+// Backends disponibles: cada uno traduce registros y consultas a peticiones HTTP
+export const SYNC_BACKENDS = {
+    rest: { label: `REST (${SYNC_SCHEMA})`, create: createRestBackend },
+};
+
+export function createRestBackend(config) {
+    const base = config.endpoint.replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json', 'X-Sync-Schema': SYNC_SCHEMA };
+    if (config.token) headers.Authorization = `Bearer ${config.token}`;
+    const patientURL = profile => `${base}/patients/${encodeURIComponent(profile.patientId || profile.id)}`;
+
+    return {
+        pushRequest(item, profile) {
+            return {
+                url: `${patientURL(profile)}/${COLLECTIONS[item.kind]}/${encodeURIComponent(item.ref)}`,
+                method: 'PUT',
+                headers,
+                body: JSON.stringify({ schema: SYNC_SCHEMA, ...item })
+            };
+        },
+
+        notesRequest(profile, since) {
+            return { url: `${patientURL(profile)}/notes?since=${since}`, method: 'GET', headers };
+        },
+
+        parseNotes(json) {
+            return (json && json.notes) || [];
+        }
+    };
+}
+
+export function syncSettings(settings) {
+    return { ...SYNC_DEFAULTS, ...settings.sync };
+}
+
+export function isSyncConfigured(settings) {
+    const sync = syncSettings(settings);
+    return sync.enabled && Boolean(sync.endpoint) && Boolean(SYNC_BACKENDS[sync.backend]);
+}
+
+// Identificador estable del teléfono: distingue registros con el mismo id local
+export function ensureDeviceId(settings) {
+    const sync = syncSettings(settings);
+    if (sync.deviceId) return settings;
+
+    const deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    return { ...settings, sync: { ...sync, deviceId } };
+}
+
+export function syncRef(deviceId, localId) {
+    return `${deviceId}-${localId}`;
+}
+
+// Referencia a la señal cruda guardada en el teléfono (las muestras no se envían)
+export function rawSignalReference(raw) {
+    if (!raw || raw.samples.length === 0) return null;
+    return {
+        format: RAW_FORMAT,
+        formatVersion: RAW_FORMAT_VERSION,
+        sampleCount: raw.samples.length,
+        durationMs: raw.timestamps[raw.timestamps.length - 1] - raw.timestamps[0],
+        channels: presentChannels(raw.samples).map(channel => channel.key)
+    };
+}
+
+// Conflicto: los datos medidos son del teléfono; de la versión del servidor se conservan
+// los campos que aquí no existen o siguen vacíos (p. ej. el estado motor anotado en consulta)
+export function mergeConflict(local, remote) {
+    const merged = { ...local };
+    Object.entries(remote || {}).forEach(([key, value]) => {
+        if (merged[key] === undefined || merged[key] === null) merged[key] = value;
+    });
+    return merged;
+}
+
+// Pone en la cola el estado actual de una medición o una toma
+export async function queueRecord(kind, record) {
+    const settings = loadSettings();
+    if (!isSyncConfigured(settings)) return false;
+
+    const sync = syncSettings(settings);
+    const profile = settings.profiles.find(p => p.id === recordProfile(record));
+    if (!profile) return false;
+
+    const data = { ...record };
+    LOCAL_FIELDS.forEach(field => delete data[field]);
+    if (kind === 'measurement') {
+        data.rawSignal = rawSignalReference(await getRawSignal(record.id));
+    }
+
+    const item = {
+        kind,
+        ref: syncRef(sync.deviceId, record.id),
+        deviceId: sync.deviceId,
+        baseVersion: record.syncVersion || 0,
+        data
+    };
+    const now = Date.now();
+    await putSyncRequest({
+        key: `${kind}:${record.id}`,
+        kind,
+        localId: record.id,
+        ...SYNC_BACKENDS[sync.backend].create(sync).pushRequest(item, profile),
+        queuedAt: now,
+        nextAttempt: now,
+        attempts: 0,
+        lastError: null
+    });
+    return true;
+}
+
+// Envía las peticiones pendientes cuyo intento ya toca; las respuestas quedan guardadas
+// para processSyncResults. Sin conexión se detiene y reprograma con espera exponencial.
+export async function replayOutbox(fetchFn = fetch) {
+    const entries = await getDueSyncRequests(Date.now());
+    return replayEntries(entries, { reschedule: putSyncRequest, complete: completeSyncRequest }, fetchFn);
+}
+
+// Aplica las respuestas (de la página o del service worker): versión aceptada, conflicto
+// fusionado y reenviado, o rechazo. Devuelve { accepted, conflicts, rejected: [...] }.
+export async function processSyncResults() {
+    const summary = { accepted: 0, conflicts: 0, rejected: [] };
+    const stores = {
+        measurement: { get: getMeasurement, update: updateMeasurement },
+        dose: { get: getDose, update: updateDose },
+    };
+
+    for (const result of await takeSyncResults()) {
+        const store = stores[result.kind];
+        const outcome = classifyResponse(result.status);
+        const body = result.body || {};
+
+        if (outcome === 'accepted') {
+            await store.update(result.localId, { syncVersion: body.version || 0, syncedAt: result.receivedAt });
+            summary.accepted++;
+        } else if (outcome === 'conflict') {
+            const local = await store.get(result.localId);
+            if (!local) continue;
+            const merged = mergeConflict(local, body.data);
+            delete merged.rawSignal;
+            const updated = await store.update(result.localId, { ...merged, syncVersion: body.version || 0 });
+            await queueRecord(result.kind, updated);
+            summary.conflicts++;
+        } else {
+            summary.rejected.push({ kind: result.kind, localId: result.localId, status: result.status, error: body.error || null });
+        }
+    }
+    return summary;
+}
+
+// Descarga las notas del equipo clínico de cada perfil desde la última consulta
+export async function pullNotes(fetchFn = fetch) {
+    const settings = loadSettings();
+    if (!isSyncConfigured(settings)) return 0;
+
+    const sync = syncSettings(settings);
+    const backend = SYNC_BACKENDS[sync.backend].create(sync);
+    const notesSince = { ...sync.notesSince };
+    let received = 0;
+
+    for (const profile of settings.profiles) {
+        const request = backend.notesRequest(profile, notesSince[profile.id] || 0);
+        const response = await fetchFn(request.url, { method: request.method, headers: request.headers });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const notes = backend.parseNotes(await response.json()).map(note => ({
+            ...note,
+            id: `${profile.id}:${note.id}`,
+            profileId: profile.id,
+            // La nota puede referirse a una medición de este teléfono
+            measurementId: localIdFromRef(note.ref, sync.deviceId)
+        }));
+        if (notes.length === 0) continue;
+
+        await saveNotes(notes);
+        notesSince[profile.id] = Math.max(...notes.map(note => note.createdAt));
+        received += notes.length;
+    }
+
+    const latest = loadSettings();
+    saveSettings({ ...latest, sync: { ...syncSettings(latest), notesSince } });
+    return received;
+}
+
+function localIdFromRef(ref, deviceId) {
+    const prefix = `${deviceId}-`;
+    if (typeof ref !== 'string' || !ref.startsWith(prefix)) return null;
+    const id = Number(ref.slice(prefix.length));
+    return Number.isFinite(id) ? id : null;
+}
+
+// Ciclo completo: enviar la cola, procesar respuestas y traer notas
+export async function syncNow(fetchFn = fetch) {
+    await replayOutbox(fetchFn);
+    const summary = await processSyncResults();
+    // Los conflictos fusionados vuelven a la cola: se reenvían en esta misma pasada
+    if (summary.conflicts > 0) {
+        await replayOutbox(fetchFn);
+        const retry = await processSyncResults();
+        summary.accepted += retry.accepted;
+        summary.rejected.push(...retry.rejected);
+    }
+    summary.notes = await pullNotes(fetchFn);
+    return summary;
+}
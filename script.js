@@ -1,15 +1,142 @@
+// script.js - Interfaz de la app: pantalla de medición, historial, medicación e informes.
+// El análisis, la grabación y el almacenamiento viven en lib/ sin depender del DOM.
+import { ANALYSIS_VERSION, TREMOR_SEARCH_BAND, calculateTremorMetrics, estimateSamplingStats } from './lib/analysis.js';
+import {
+    SEVERITY_MODEL_VERSION,
+    getSeverityClass,
+    getSeverityColor,
+    getSeverityModel,
+    interpretLevel,
+    measurementModel
+} from './lib/severity.js';
+import {
+    DEFAULT_PROTOCOL,
+    HANDS,
+    MONITORING_DURATION,
+    MOTOR_STATES,
+    PROTOCOLS,
+    TASKS,
+    buildProtocolSteps
+} from './lib/protocol.js';
+import {
+    AFFECTED_SIDES,
+    BASELINE_SESSIONS,
+    baselineKey,
+    compareToBaseline,
+    computeBaselines,
+    createProfile,
+    getActiveProfile,
+    handAsymmetry,
+    recordProfile
+} from './lib/profiles.js';
+import { MAX_PAUSE, SETTLE_DURATION, analyseTask, createRecorder } from './lib/recorder.js';
+import { QUALITY_ISSUES, assessSignalQuality } from './lib/quality.js';
+import { SIGNAL_VIEWS, drawSignalView } from './signal-views.js';
+import {
+    SYNTHETIC_DEFAULTS,
+    createDeviceMotionSource,
+    createPacedSource,
+    createReplayGenerator,
+    createSyntheticGenerator
+} from './lib/sources.js';
+import { buildEDF, buildRawBundle, buildRawCSV, parseRawBundle, parseRawCSV } from './lib/formats.js';
+import { FHIR_MIME_TYPE, buildFHIRBundle } from './lib/fhir.js';
+import {
+    REMINDER_KINDS,
+    REMINDER_TAG,
+    createReminder,
+    describeReminder,
+    reminderTimes,
+    upcomingReminders
+} from './lib/reminders.js';
+import { DIARY_FIELDS, diaryValueLabel, formatDiary, isDiaryEmpty, normalizeDiary } from './lib/diary.js';
+import { HANDS_FREE_MODES, createStillnessDetector, matchesCommand } from './lib/handsfree.js';
+import { CALIBRATION_STEP, characterizeSensor, findDeviceProfile, isDeviceProfile } from './lib/calibration.js';
+import { ALERT_RULES, alertSettings, describeAlert, evaluateAlerts } from './lib/alerts.js';
+import {
+    SYNC_BACKENDS,
+    SYNC_TAG,
+    ensureDeviceId,
+    isSyncConfigured,
+    processSyncResults,
+    queueRecord,
+    syncNow,
+    syncSettings
+} from './lib/sync.js';
+import {
+    changePasscode,
+    countSyncRequests,
+    disableEncryption,
+    enableEncryption,
+    eraseAllData,
+    exportBackup,
+    getAlerts,
+    getDosesInRange,
+    getLastDoseBefore,
+    getMeasurementsInRange,
+    getNotes,
+    getRawSignal,
+    getSessionMeasurements,
+    isEncryptionEnabled,
+    isLocked,
+    loadLocale,
+    loadLockConfig,
+    loadSettings,
+    loadTheme,
+    lockStorage,
+    restoreBackup,
+    saveAlerts,
+    saveDose,
+    saveLocale,
+    saveMeasurement,
+    saveSettings,
+    saveTheme,
+    setAutoLockMinutes,
+    unlockStorage,
+    updateAlert,
+    updateMeasurement
+} from './lib/storage.js';
+import { MIN_PASSCODE_LENGTH, isCryptoAvailable } from './lib/crypto.js';
+import {
+    LOCALES,
+    csvFormat,
+    detectLocale,
+    formatDate,
+    formatDateTime,
+    formatNumber,
+    formatTime,
+    getLocale,
+    localeTag,
+    setLocale,
+    t
+} from './lib/i18n.js';
+
 // Constantes
-const MONITORING_DURATION = 10000; // 10 segundos para pruebas rápidas
-const SAMPLE_RATE = 100; // Hz aproximado
+const COUNTDOWN_SECONDS = 3; // Cuenta atrás antes de cada tarea
+const STEP_PAUSE = 1500; // Pausa entre tareas de un protocolo
+const LIVE_WINDOW = 10000; // ms de señal en la vista en vivo
 
 // Estado de la aplicación
 const state = {
-    isMonitoring: false,
-    samples: [],
-    timestamps: [],
     measurements: [],
-    animationId: null,
-    startTime: 0,
+    session: null,
+    historyRange: 'day',
+    liveView: 'waves',
+    detail: null,
+    detailOpener: null, // Elemento que recupera el foco al cerrar el detalle
+    handsFree: null, // Inicio sin manos armado: { mode, stop }
+    deviceProfile: null, // Calibración del teléfono que se aplica a la tarea en curso
+    baselines: {},
+    doses: [],
+    remindedDoses: new Set(),
+    notifiedReminders: new Set(),
+    diarySessionId: null,
+    countdownTimer: null,
+    source: null,
+    replayRecording: null,
+    syncing: false,
+    lastSync: null,
+    lastActivity: Date.now(), // Para el bloqueo automático
     wakeLock: null,
     deferredPrompt: null,
 };
@@ -20,348 +147,933 @@ const dom = {
     status: document.getElementById('status'),
     realTimeViz: document.getElementById('realTimeViz'),
     exportBtn: document.getElementById('exportBtn'),
+    fhirBtn: document.getElementById('fhirBtn'),
+    reportBtn: document.getElementById('reportBtn'),
+    sourceSelect: document.getElementById('sourceSelect'),
+    report: document.getElementById('report'),
+    protocolSelect: document.getElementById('protocolSelect'),
+    handSelect: document.getElementById('handSelect'),
+    profileSelect: document.getElementById('profileSelect'),
+    localeSelect: document.getElementById('localeSelect'),
+    handsFreeSelect: document.getElementById('handsFreeSelect'),
+    handsFreeStatus: document.getElementById('handsFreeStatus'),
+    progressBar: document.getElementById('progressBar'),
+    voiceCues: document.getElementById('voiceCues'),
+    storeRaw: document.getElementById('storeRaw'),
+    motorState: document.getElementById('motorState'),
+    reminderBanner: document.getElementById('reminderBanner'),
+    alertBanner: document.getElementById('alertBanner'),
+    diaryForm: document.getElementById('diaryForm'),
+    instructions: document.getElementById('instructions'),
 };
 
-// Cargar mediciones guardadas
-function loadMeasurements() {
-    const saved = localStorage.getItem('parkinson_measurements');
-    if (saved) {
-        state.measurements = JSON.parse(saved);
-        // Filtrar solo las de hoy
-        const today = new Date().toDateString();
-        state.measurements = state.measurements.filter(m => 
-            new Date(m.timestamp).toDateString() === today
-        );
+// Cargar mediciones guardadas del perfil activo (por defecto, las de hoy)
+async function loadMeasurements(from = startOfDay(new Date()).getTime(), to = Date.now()) {
+    const profileId = activeProfile().id;
+    try {
+        state.measurements = (await getMeasurementsInRange(from, to))
+            .filter(m => recordProfile(m) === profileId);
+    } catch (err) {
+        console.error('No se pudieron cargar las mediciones:', err);
     }
+    return state.measurements;
+}
+
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+// Con fechas locales: los días del cambio de hora tienen 23 o 25 horas
+function addDays(date, days) {
+    const day = new Date(date);
+    day.setDate(day.getDate() + days);
+    return day;
 }
 
-// Guardar medición
-function saveMeasurement(data) {
-    state.measurements.push(data);
-    localStorage.setItem('parkinson_measurements', JSON.stringify(state.measurements));
+function endOfDay(date) {
+    return addDays(startOfDay(date), 1).getTime() - 1;
 }
 
 // Iniciar monitoreo
 function startMonitoring() {
+    // Un segundo inicio (doble toque, orden de voz repetida) no abre otra sesión
+    if (state.session || recorder.isActive || recorder.state === 'requesting' || calibrationRecorder.isActive) return;
+
+    state.source = createSampleSource();
+    if (!state.source) {
+        notify(t('monitor.noReplayLoaded'));
+        return;
+    }
+
+    // Las fuentes simuladas no necesitan sensor ni permisos
+    if (state.source.kind !== 'live') {
+        startProtocol();
+        return;
+    }
+
     // Verificar soporte de acelerómetro
     if (!window.DeviceMotionEvent) {
-        alert('❌ Tu dispositivo no soporta el acelerómetro');
+        notify(t('monitor.noSensor'));
         return;
     }
 
     // Feedback visual inmediato
     dom.startBtn.disabled = true;
-    dom.startBtn.innerHTML = '<span>⌛</span> Solicitando permisos...';
+    dom.startBtn.innerHTML = `<span>⌛</span> ${t('monitor.requestingPermission')}`;
 
     // Solicitar permisos en iOS
     if (typeof DeviceMotionEvent.requestPermission === 'function') {
-        DeviceMotionEvent.requestPermission()
-            .then(permissionState => {
-                if (permissionState === 'granted') {
-                    beginMonitoring();
-                } else {
-                    dom.startBtn.disabled = false;
-                    dom.startBtn.innerHTML = '▶️ Iniciar Medición';
-                    alert('❌ Se necesitan permisos para acceder al acelerómetro');
-                }
-            })
-            .catch(err => {
-                console.error(err);
-                dom.startBtn.disabled = false;
-                dom.startBtn.innerHTML = '▶️ Iniciar Medición';
-                alert('❌ Ocurrió un error al solicitar permisos.');
-            });
+        requestMotionPermission().then(granted => {
+            if (granted) {
+                startProtocol();
+                return;
+            }
+            dom.startBtn.disabled = false;
+            dom.startBtn.innerHTML = `▶️ ${t('monitor.start')}`;
+            notify(permissionFailureText());
+        });
+    } else {
+        startProtocol();
+    }
+}
+
+// Permiso del sensor en iOS; el grabador pasa por 'requesting' mientras se responde
+function requestMotionPermission(target = recorder) {
+    return target.requestPermission(() => DeviceMotionEvent.requestPermission()
+        .then(permissionState => permissionState === 'granted'));
+}
+
+function permissionFailureText(target = recorder) {
+    return t(target.failureReason === 'permission-denied' ? 'monitor.permissionDenied' : 'monitor.permissionError');
+}
+
+// Botón principal: inicia una sesión o cancela la que está en curso
+function toggleMonitoring() {
+    if (state.session || recorder.isActive) {
+        abortMonitoring();
     } else {
-        beginMonitoring();
+        startMonitoring();
     }
 }
 
-function beginMonitoring() {
-    state.isMonitoring = true;
-    state.samples = [];
-    state.timestamps = [];
-    state.startTime = Date.now();
+function startProtocol() {
+    const protocolId = dom.protocolSelect.value;
+    state.session = {
+        id: `s${Date.now()}`,
+        profileId: activeProfile().id,
+        protocol: protocolId,
+        steps: buildProtocolSteps(protocolId, dom.handSelect.value),
+        stepIndex: 0,
+        aborted: false,
+    };
 
+    disarmHandsFree();
+    dom.diaryForm.hidden = true;
     dom.startBtn.disabled = false;
-    dom.startBtn.innerHTML = '🛑 Detener';
+    dom.startBtn.innerHTML = `🛑 ${t('monitor.cancel')}`;
     dom.startBtn.className = 'btn btn-stop';
-    dom.status.textContent = '📊 Monitoreando... Mantenga el teléfono firme';
-    dom.realTimeViz.style.display = 'block';
+    setProtocolControlsEnabled(false);
 
-    // Iniciar canvas
-    initCanvas();
+    runProtocolStep();
+}
 
-    // Escuchar eventos del acelerómetro
-    window.addEventListener('devicemotion', handleMotion);
-    
-    // Timer para detener automáticamente
-    setTimeout(() => {
-        if (state.isMonitoring) {
-            stopMonitoring();
+// Instrucciones, cuenta atrás y registro de un paso del protocolo
+function runProtocolStep() {
+    const session = state.session;
+    const step = session.steps[session.stepIndex];
+    const task = TASKS[step.task];
+    const position = `${session.stepIndex + 1}/${session.steps.length}`;
+    const heading = `${task.label} · ${HANDS[step.hand]}`;
+
+    announce(`${heading}. ${task.instructions}`, session.stepIndex > 0);
+
+    let remaining = COUNTDOWN_SECONDS;
+    const tick = () => {
+        if (state.session !== session || session.aborted) return;
+
+        if (remaining > 0) {
+            dom.status.innerHTML =
+                `📋 ${t('monitor.taskHeading', { position, heading })}<br><small>${task.instructions}</small><br>⏳ ${remaining}`;
+            remaining--;
+            state.countdownTimer = setTimeout(tick, 1000);
+        } else {
+            state.countdownTimer = null;
+            vibrate([200]);
+            beginMonitoring(step);
         }
-    }, MONITORING_DURATION);
+    };
+    tick();
+}
+
+// Avanza al siguiente paso o cierra la sesión al terminar una tarea
+function advanceProtocol() {
+    const session = state.session;
+    if (!session) return;
+
+    session.stepIndex++;
+    if (session.aborted || session.stepIndex >= session.steps.length) {
+        finishSession();
+        return;
+    }
 
-    // Actualizar contador
-    updateTimer();
+    state.countdownTimer = setTimeout(runProtocolStep, STEP_PAUSE);
 }
 
-function updateTimer() {
-    if (!state.isMonitoring) return;
+function finishSession() {
+    const session = state.session;
+    state.session = null;
+    clearTimeout(state.countdownTimer);
+    state.countdownTimer = null;
 
-    const elapsed = Date.now() - state.startTime;
-    const remaining = Math.ceil((MONITORING_DURATION - elapsed) / 1000);
-    
-    if (remaining > 0) {
-        dom.status.textContent = 
-            `📊 Monitoreando... ${remaining} segundos restantes`;
-        setTimeout(updateTimer, 1000);
+    dom.startBtn.disabled = false;
+    dom.startBtn.innerHTML = `▶️ ${t('monitor.start')}`;
+    dom.startBtn.className = 'btn btn-primary';
+    setProtocolControlsEnabled(true);
+
+    if (session && !session.aborted && session.steps.length > 1) {
+        vibrate([200, 100, 200]);
+        announce(t('monitor.sessionDone'), true);
+        dom.status.innerHTML = `✅ ${t('monitor.sessionSaved', { count: session.steps.length })}`;
+    }
+    if (session && !session.aborted) {
+        showDiaryForm(session.id);
     }
+    armHandsFree();
 }
 
-function handleMotion(event) {
-    if (!state.isMonitoring) return;
+// Diario de síntomas (lib/diary.js): se pide al terminar cada sesión
+function renderDiaryFields() {
+    document.getElementById('diaryFields').innerHTML = Object.entries(DIARY_FIELDS).map(([key, field]) => {
+        const options = field.options
+            ? Object.entries(field.options)
+            : Array.from({ length: field.max - field.min + 1 }, (_, i) => [field.min + i, `${field.min + i}/${field.max}`]);
+        return `
+            <label>
+                ${field.label}
+                <select id="diary-${key}" name="${key}">
+                    <option value="">${t('common.notSpecified')}</option>
+                    ${options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            </label>`;
+    }).join('');
+}
+
+// El formulario conserva las respuestas anteriores: el sueño, por ejemplo, vale para todo el día
+function showDiaryForm(sessionId) {
+    state.diarySessionId = sessionId;
+    dom.diaryForm.hidden = false;
+}
 
-    const acc = event.accelerationIncludingGravity;
-    if (!acc) return;
+function hideDiaryForm() {
+    state.diarySessionId = null;
+    dom.diaryForm.hidden = true;
+}
 
-    const x = acc.x || 0;
-    const y = acc.y || 0;
-    const z = acc.z || 0;
+async function saveDiary(event) {
+    event.preventDefault();
+    const sessionId = state.diarySessionId;
+    const values = { note: document.getElementById('diaryNote').value };
+    Object.keys(DIARY_FIELDS).forEach(key => {
+        values[key] = document.getElementById(`diary-${key}`).value;
+    });
+    const diary = normalizeDiary(values);
+    hideDiaryForm();
+    if (!sessionId || isDiaryEmpty(diary)) return;
 
-    // Calcular magnitud
-    const magnitude = Math.sqrt(x*x + y*y + z*z);
+    try {
+        for (const m of await getSessionMeasurements(sessionId)) {
+            queueForSync('measurement', await updateMeasurement(m.id, { diary }));
+        }
+        dom.status.innerHTML += `<br><small>📝 ${t('diary.saved')}</small>`;
+        updateHistory();
+    } catch (err) {
+        console.error('No se pudo guardar el diario:', err);
+    }
+}
 
-    state.samples.push({ x, y, z, magnitude });
-    state.timestamps.push(Date.now());
+function abortMonitoring() {
+    if (state.session) {
+        state.session.aborted = true;
+    }
 
-    // Actualizar UI cada 5 samples
-    if (state.samples.length % 5 === 0) {
-        updateRealTimeMetrics();
-        drawWave();
+    if (recorder.isActive) {
+        // stopMonitoring guarda lo registrado y cierra la sesión
+        stopMonitoring();
+    } else {
+        finishSession();
+        dom.status.textContent = t('monitor.sessionCancelled');
     }
 }
 
-function updateRealTimeMetrics() {
-    // Para la UI en tiempo real, solo usamos los últimos 100 samples para que sea fluido
-    const recentSamples = state.samples.slice(-100);
-    if (recentSamples.length < 20) return;
+// Instrucciones acordes al protocolo elegido
+function renderInstructions() {
+    const steps = buildProtocolSteps(dom.protocolSelect.value, dom.handSelect.value);
+    const seconds = Math.round((SETTLE_DURATION + MONITORING_DURATION) / 1000);
+    const list = steps
+        .map((step, i) => `${i + 1}. ${TASKS[step.task].label} · ${HANDS[step.hand]}: ${TASKS[step.task].instructions}`)
+        .join('<br>');
+
+    dom.instructions.innerHTML = `
+        <strong>📋 ${t('monitor.instructionsTitle')}</strong><br>
+        ${t('monitor.instructionsTiming', { seconds, settle: SETTLE_DURATION / 1000 })}<br>
+        ${list}
+    `;
+}
 
-    const metrics = calculateTremorMetrics(recentSamples);
-    
-    // Actualizar los valores numéricos en la UI
-    document.getElementById('tremorLevel').textContent = metrics.severityLevel.toFixed(1);
-    document.getElementById('frequency').textContent = metrics.dominantFrequency.toFixed(2);
-    document.getElementById('amplitude').textContent = metrics.amplitudeRMS.toFixed(2);
-    document.getElementById('sampleCount').textContent = state.samples.length;
+function setProtocolControlsEnabled(enabled) {
+    dom.protocolSelect.disabled = !enabled;
+    dom.handSelect.disabled = !enabled;
+    dom.sourceSelect.disabled = !enabled;
+    dom.profileSelect.disabled = !enabled;
+    dom.localeSelect.disabled = !enabled;
+}
 
-    // La barra de progreso ahora refleja el tiempo transcurrido
-    const timeElapsed = Date.now() - state.startTime;
-    const progress = Math.min(100, (timeElapsed / MONITORING_DURATION) * 100);
-    const fill = document.getElementById('progressFill');
-    fill.style.width = progress + '%';
+// Indicaciones por voz y vibración. Con queue no se corta lo que se está diciendo
+// (el resultado de la tarea anterior antes de las instrucciones de la siguiente)
+function announce(text, queue = false) {
+    if (!dom.voiceCues.checked || !('speechSynthesis' in window)) return;
 
-    // El color de la barra de progreso refleja la severidad del temblor
-    fill.style.backgroundColor = getSeverityColor(metrics.severityLevel);
+    if (!queue) window.speechSynthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = localeTag();
+    window.speechSynthesis.speak(utterance);
 }
 
-function stopMonitoring() {
-    state.isMonitoring = false;
-    window.removeEventListener('devicemotion', handleMotion);
-    
-    if (state.animationId) {
-        cancelAnimationFrame(state.animationId);
+function vibrate(pattern) {
+    if (navigator.vibrate) {
+        navigator.vibrate(pattern);
     }
+}
 
-    dom.startBtn.innerHTML = '▶️ Iniciar Medición';
-    dom.startBtn.className = 'btn btn-primary';
-    dom.realTimeViz.style.display = 'none';
+// Inicio sin manos (lib/handsfree.js): la medición empieza al mantener el teléfono
+// quieto en posición o con una orden de voz. Solo escucha con el monitor a la vista
+// y sin sesión en curso; state.handsFree guarda cómo dejar de escuchar.
+function armHandsFree() {
+    disarmHandsFree();
+    const mode = loadSettings().handsFree;
+    const monitorVisible = document.getElementById('monitor-tab').classList.contains('active');
+    if (!HANDS_FREE_MODES.includes(mode) || mode === 'off' || !monitorVisible || document.hidden
+        || state.session || recorder.isActive) {
+        return;
+    }
 
-    // Analizar resultados finales
-    if (state.samples.length > 100) {
-        const metrics = calculateTremorMetrics(state.samples);
-        displayResults(metrics);
-        
-        // Guardar medición
-        const measurement = {
-            timestamp: Date.now(),
-            ...metrics,
-            interpretation: interpretLevel(metrics.severityLevel)
-        };
-        saveMeasurement(measurement);
-        
-        // Actualizar historial
-        updateHistory();
+    if (mode === 'still') {
+        armStillStart();
     } else {
-        dom.status.textContent = 
-            '⚠️ Medición muy corta. Intente de nuevo.';
-        // Guardar el intento fallido en el historial
-        const failedMeasurement = {
-            timestamp: Date.now(),
-            error: true,
-            interpretation: 'Error: Medición muy corta'
-        };
-        saveMeasurement(failedMeasurement);
-        updateHistory();
+        armVoiceStart();
     }
 }
 
-function calculateTremorMetrics(sampleData) {
-    // Extraer magnitudes
-    const magnitudes = sampleData.map(s => s.magnitude);
-    
-    // Remover componente DC (gravedad)
-    const mean = magnitudes.reduce((a, b) => a + b, 0) / magnitudes.length;
-    const filtered = magnitudes.map(m => m - mean);
+function disarmHandsFree() {
+    showHandsFreeStatus('');
+    if (!state.handsFree) return;
+    state.handsFree.stop();
+    state.handsFree = null;
+}
 
-    // Calcular RMS (amplitud)
-    const rms = Math.sqrt(
-        filtered.reduce((sum, val) => sum + val * val, 0) / filtered.length
-    );
+function armStillStart() {
+    if (!window.DeviceMotionEvent) {
+        showHandsFreeStatus(t('handsFree.unsupported'));
+        return;
+    }
+
+    const detector = createStillnessDetector();
+    const onMotion = (e) => {
+        if (detector.update(e.accelerationIncludingGravity, e.timeStamp)) startHandsFree();
+    };
+    window.addEventListener('devicemotion', onMotion);
+    state.handsFree = { mode: 'still', stop: () => window.removeEventListener('devicemotion', onMotion) };
+    showHandsFreeStatus(t('handsFree.stillHint'));
+}
 
-    // Análisis de frecuencia simplificado (autocorrelación)
-    const { frequency, power } = findDominantFrequency(filtered);
+function armVoiceStart() {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!Recognition) {
+        showHandsFreeStatus(t('handsFree.unsupported'));
+        return;
+    }
 
-    // Calcular severidad (0-10)
-    const severity = calculateSeverity(rms, frequency, power);
+    const words = t('handsFree.words').split(',');
+    const recognition = new Recognition();
+    recognition.lang = localeTag();
+    recognition.continuous = true;
+    recognition.interimResults = false;
 
-    return {
-        amplitudeRMS: rms,
-        dominantFrequency: frequency,
-        tremorPower: power,
-        severityLevel: severity
+    const listener = { mode: 'voice', listening: true };
+    listener.stop = () => {
+        listener.listening = false;
+        recognition.abort();
+    };
+    recognition.onresult = (e) => {
+        const heard = Array.from(e.results).slice(e.resultIndex);
+        if (heard.some(result => matchesCommand(result[0].transcript, words))) startHandsFree();
+    };
+    recognition.onerror = (e) => {
+        if (e.error === 'not-allowed' || e.error === 'service-not-allowed') {
+            listener.listening = false;
+            showHandsFreeStatus(t('handsFree.blocked'));
+        }
     };
+    // El reconocimiento se corta solo tras un rato de silencio: se vuelve a escuchar
+    recognition.onend = () => {
+        if (!listener.listening) return;
+        try {
+            recognition.start();
+        } catch (err) {
+            console.error('No se pudo reanudar el reconocimiento de voz:', err);
+        }
+    };
+
+    try {
+        recognition.start();
+    } catch (err) {
+        console.error('No se pudo iniciar el reconocimiento de voz:', err);
+        showHandsFreeStatus(t('handsFree.unsupported'));
+        return;
+    }
+    state.handsFree = listener;
+    showHandsFreeStatus(t('handsFree.voiceHint'));
+}
+
+function startHandsFree() {
+    disarmHandsFree();
+    vibrate([100]);
+    startMonitoring();
+    // Si no llegó a empezar (sin permiso, sin registro), se vuelve a escuchar
+    if (!state.session) armHandsFree();
 }
 
-function findDominantFrequency(data) {
-    const n = data.length;
-    if (n < 50) return { frequency: 0, power: 0 };
+function showHandsFreeStatus(text) {
+    dom.handsFreeStatus.textContent = text;
+    dom.handsFreeStatus.hidden = !text;
+}
 
-    let maxCorr = 0;
-    let dominantFreq = 0;
+// iOS solo concede el sensor tras un gesto del usuario: el cambio de opción lo es,
+// y así el inicio sin manos no se queda pidiendo permiso sin nadie que toque
+function changeHandsFreeMode() {
+    const mode = dom.handsFreeSelect.value;
+    saveSettings({ ...loadSettings(), handsFree: mode });
+
+    if (mode !== 'off' && window.DeviceMotionEvent && typeof DeviceMotionEvent.requestPermission === 'function') {
+        requestMotionPermission().then(granted => {
+            if (granted) {
+                armHandsFree();
+            } else {
+                disarmHandsFree();
+                showHandsFreeStatus(permissionFailureText());
+            }
+        });
+        return;
+    }
+    armHandsFree();
+}
 
-    // Buscar en rango de Parkinson (3-8 Hz)
-    for (let freq = 30; freq <= 80; freq++) {
-        const period = Math.floor(SAMPLE_RATE / (freq / 10));
-        if (period >= n) continue;
+// Grabación de cada tarea (lib/recorder.js); la interfaz solo escucha sus eventos.
+// El ruido de fondo de la calibración solo se resta a las señales de este teléfono.
+const recorder = createRecorder({
+    analyse: recording => analyseTask(recording, {
+        noiseFloor: state.deviceProfile ? state.deviceProfile.noiseFloor : null
+    })
+})
+    .on('state', showRecorderState)
+    .on('started', showRecordingStarted)
+    .on('paused', showRecordingPaused)
+    .on('resumed', showRecordingResumed)
+    .on('sample', showRecordingSample)
+    .on('progress', showRecordingProgress)
+    .on('completed', saveCompletedRecording)
+    .on('failed', saveFailedRecording);
+
+function beginMonitoring(step) {
+    requestWakeLock();
+    state.deviceProfile = state.source.kind === 'live' ? deviceProfile() : null;
+    recorder.start(state.source, step);
+    // La cuenta atrás pudo terminar con la app ya en segundo plano
+    if (document.hidden) recorder.pause('hidden');
+}
 
-        let corr = 0;
-        for (let i = 0; i < n - period; i++) {
-            corr += Math.abs(data[i] * data[i + period]);
+// En segundo plano o con la pantalla apagada no llegan muestras: la tarea se pausa y
+// se repite al volver (el grabador la da por perdida pasado MAX_PAUSE)
+function handleRecordingVisibility() {
+    [recorder, calibrationRecorder].forEach(target => {
+        if (document.hidden) {
+            target.pause('hidden');
+        } else if (target.state === 'paused') {
+            requestWakeLock();
+            target.resume();
         }
+    });
+}
 
-        if (corr > maxCorr) {
-            maxCorr = corr;
-            dominantFreq = freq / 10;
-        }
+// Termina la tarea en curso; el grabador avisa con completed o failed
+function stopMonitoring() {
+    recorder.stop();
+}
+
+function showRecorderState({ state: recorderState }) {
+    if (recorderState === 'analysing') {
+        dom.status.textContent = `🔬 ${t('monitor.analysing')}`;
+    }
+}
+
+function showRecordingPaused() {
+    dom.status.textContent = `⏸️ ${t('monitor.paused', { seconds: MAX_PAUSE / 1000 })}`;
+    dom.status.removeAttribute('aria-busy');
+    dom.realTimeViz.style.display = 'none';
+}
+
+function showRecordingResumed() {
+    showRecordingStarted();
+    vibrate([100, 100, 100]);
+    announce(t('monitor.resumed'));
+}
+
+function showRecordingStarted() {
+    dom.startBtn.innerHTML = `🛑 ${t('monitor.stop')}`;
+    dom.status.textContent = `📊 ${t('monitor.settling')}`;
+    // La cuenta atrás cambia cada segundo: no se lee hasta el resultado
+    dom.status.setAttribute('aria-busy', 'true');
+    dom.progressBar.setAttribute('aria-valuenow', 0);
+    dom.progressBar.removeAttribute('aria-valuetext');
+    dom.realTimeViz.style.display = 'block';
+
+    // Iniciar canvas
+    initCanvas();
+}
+
+function showRecordingProgress(progress) {
+    const remaining = Math.ceil(progress.remaining / 1000);
+    if (remaining > 0) {
+        dom.status.textContent = progress.state === 'calibrating'
+            ? `📊 ${t('monitor.settling')}`
+            : `📊 ${t('monitor.recording', { count: remaining })}`;
+    }
+}
+
+function showRecordingSample({ count }) {
+    // Primera muestra registrada: terminó el acomodo
+    if (count === 1) {
+        vibrate([100]);
     }
 
+    // Actualizar UI cada 5 samples
+    if (count % 5 === 0) {
+        updateRealTimeMetrics();
+        drawLiveView();
+    }
+}
+
+// Fuentes de muestras (lib/sources.js) elegibles desde las herramientas de prueba, y registros importados
+const SAMPLE_SOURCES = {
+    get live() { return t('source.live'); },
+    get synthetic() { return `🧪 ${t('source.synthetic')}`; },
+    get replay() { return `🔁 ${t('source.replay')}`; },
+    get import() { return `📥 ${t('source.import')}`; },
+};
+
+function createSampleSource() {
+    switch (dom.sourceSelect.value) {
+    case 'synthetic': {
+        const options = readSyntheticOptions();
+        return createPacedSource('synthetic', startTime =>
+            createSyntheticGenerator({ ...options, seed: Date.now(), startTime }));
+    }
+    case 'replay':
+        if (!state.replayRecording) return null;
+        return createPacedSource('replay', startTime =>
+            createReplayGenerator(state.replayRecording, startTime));
+    default:
+        return createDeviceMotionSource();
+    }
+}
+
+function readSyntheticOptions() {
+    const number = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(value) ? value : fallback;
+    };
     return {
-        frequency: dominantFreq,
-        power: maxCorr / n
+        frequency: number('synFrequency', SYNTHETIC_DEFAULTS.frequency),
+        amplitude: number('synAmplitude', SYNTHETIC_DEFAULTS.amplitude),
+        noise: number('synNoise', SYNTHETIC_DEFAULTS.noise),
+        tilt: number('synTilt', SYNTHETIC_DEFAULTS.tilt),
+        sampleRate: Math.max(1, number('synRate', SYNTHETIC_DEFAULTS.sampleRate)),
+        jitter: number('synJitter', SYNTHETIC_DEFAULTS.jitter),
+        linearAvailable: document.getElementById('synLinear').checked
     };
 }
 
-function calculateSeverity(rms, frequency, power) {
-    let score = 0;
-
-    // --- AJUSTE DE HIPERSENSIBILIDAD PARA PRUEBAS ---
-    // El algoritmo ahora se basa principalmente en la amplitud (rms) para que cualquier
-    // agitación deliberada del teléfono muestre un resultado inmediato y claro.
+function selectSampleSource() {
+    const source = dom.sourceSelect.value;
+    document.getElementById('syntheticOptions').hidden = source !== 'synthetic';
+    document.getElementById('replayOptions').hidden = source !== 'replay';
+    dom.startBtn.disabled = source === 'live' && !window.DeviceMotionEvent;
+}
 
-    // Factor amplitud (80% del score) - Umbrales muy bajos
-    let amplitudeScore = 0;
-    if (rms < 0.05) amplitudeScore = 0;
-    else if (rms < 0.2) amplitudeScore = 3.0;
-    else if (rms < 0.5) amplitudeScore = 6.0;
-    else if (rms < 1.0) amplitudeScore = 8.0;
-    else amplitudeScore = 10.0;
+// Registro (JSON o CSV exportado) para la fuente de reproducción
+async function loadReplayFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
 
-    // Factor frecuencia (10% del score) - Se da un bonus si hay cualquier frecuencia
-    let frequencyScore = 0;
-    if (frequency > 1) frequencyScore = 10.0;
+    try {
+        const text = await file.text();
+        const recording = file.name.toLowerCase().endsWith('.json')
+            ? parseRawBundle(JSON.parse(text))
+            : parseRawCSV(text);
+        const seconds = (recording.timestamps[recording.timestamps.length - 1] - recording.timestamps[0]) / 1000;
+
+        state.replayRecording = recording;
+        document.getElementById('replayInfo').textContent =
+            `${file.name}: ${t('replay.loaded', { count: recording.samples.length, seconds: formatNumber(seconds, 1) })}`;
+    } catch (err) {
+        console.error('No se pudo cargar el registro:', err);
+        notify(t('recording.invalidFile'));
+    }
+}
 
-    // Factor potencia (10% del score) - Umbrales muy bajos
-    let powerScore = 0;
-    if (power < 0.01) powerScore = 0;
-    else if (power < 0.05) powerScore = 5.0;
-    else powerScore = 10.0;
+function updateRealTimeMetrics() {
+    // Para la UI en tiempo real, solo usamos los últimos 100 samples para que sea fluido
+    const recentSamples = recorder.samples.slice(-100);
+    if (recentSamples.length < 20) return;
 
-    // Ponderación final
-    score = (amplitudeScore * 0.8) + (frequencyScore * 0.1) + (powerScore * 0.1);
+    const metrics = calculateTremorMetrics(recentSamples, recorder.timestamps.slice(-100), {
+        noiseFloor: state.deviceProfile ? state.deviceProfile.noiseFloor : null
+    });
     
-    return Math.min(10, Math.max(0, score));
+    // Actualizar los valores numéricos en la UI
+    document.getElementById('tremorLevel').textContent = formatNumber(metrics.severityLevel, 1);
+    document.getElementById('frequency').textContent = formatNumber(metrics.dominantFrequency, 2);
+    document.getElementById('amplitude').textContent = formatNumber(metrics.amplitudeRMS, 2);
+    document.getElementById('sampleCount').textContent = recorder.samples.length;
+
+    // La barra de progreso ahora refleja el tiempo transcurrido
+    const fill = document.getElementById('progressFill');
+    const percent = Math.round(recorder.progress().fraction * 100);
+    fill.style.width = percent + '%';
+    dom.progressBar.setAttribute('aria-valuenow', percent);
+    dom.progressBar.setAttribute('aria-valuetext', t('a11y.progressValue', {
+        percent,
+        level: formatNumber(metrics.severityLevel, 1)
+    }));
+
+    // El color de la barra de progreso refleja la severidad del temblor
+    fill.style.backgroundColor = getSeverityColor(metrics.severityLevel);
+}
+
+// Fin de la tarea, con o sin medición válida
+function finishRecording() {
+    releaseWakeLock();
+    dom.realTimeViz.style.display = 'none';
+    dom.status.removeAttribute('aria-busy');
 }
 
-function interpretLevel(level) {
-    if (level < 2) return '✅ Temblor mínimo o ausente';
-    if (level < 4) return '🟡 Temblor leve';
-    if (level < 7) return '🟠 Temblor moderado';
-    return '🔴 Temblor significativo';
+function saveCompletedRecording({ step, samples, timestamps, linearSource, metrics, sampling, quality, interruptions }) {
+    finishRecording();
+    displayResults(metrics, quality);
+
+    // Guardar medición
+    const measurement = {
+        timestamp: Date.now(),
+        ...measurementTags(step),
+        ...metrics,
+        ...sampling,
+        ...qualityFields(quality),
+        linearSource,
+        ...(interruptions.length ? { interruptions } : {}),
+        analysisVersion: ANALYSIS_VERSION,
+        interpretation: interpretLevel(metrics.severityLevel)
+    };
+    const raw = dom.storeRaw.checked ? { samples, timestamps } : null;
+
+    // Guardar (con el contexto de medicación) y actualizar historial
+    attachDoseContext(measurement)
+        .then(() => saveMeasurement(measurement, raw))
+        .then(() => queueForSync('measurement', measurement))
+        .then(updateHistory)
+        // Las reglas de aviso se evalúan con la sesión ya completa
+        .then(() => (state.session ? null : checkAlerts()))
+        .catch(err => console.error('No se pudo guardar la medición:', err));
+
+    advanceProtocol();
+}
+
+// Causas de fallo de lib/recorder.js: aviso en el monitor e interpretación guardada
+const FAILURE_TEXTS = {
+    'too-short': { status: 'monitor.tooShort', interpretation: 'measurement.errorShort' },
+    'low-quality': { status: 'monitor.invalidSignal', interpretation: 'measurement.errorQuality' },
+    'no-signal': { status: 'monitor.noSignal', interpretation: 'measurement.errorNoSignal' },
+    'pause-timeout': { status: 'monitor.pauseTimeout', interpretation: 'measurement.errorInterrupted' },
+    'wake-lock-lost': { status: 'monitor.wakeLockLost', interpretation: 'measurement.errorInterrupted' },
+    'analysis-error': { status: 'monitor.analysisError', interpretation: 'measurement.errorAnalysis' },
+};
+
+function saveFailedRecording({ step, reason, quality, interruptions }) {
+    finishRecording();
+    const lowQuality = reason === 'low-quality';
+    const texts = FAILURE_TEXTS[reason] || FAILURE_TEXTS['too-short'];
+
+    if (lowQuality) {
+        // Qué falló y cómo repetir la medición
+        const guidance = quality.issues
+            .map(issue => `<li>${issue.message}: ${issue.guidance}</li>`)
+            .join('');
+        dom.status.innerHTML = `⚠️ ${t(texts.status)}<ul class="quality-guidance">${guidance}</ul>`;
+    } else {
+        dom.status.textContent = `⚠️ ${t(texts.status)}`;
+    }
+    announce(t(texts.status));
+
+    // Guardar el intento fallido en el historial
+    const failedMeasurement = {
+        timestamp: Date.now(),
+        ...measurementTags(step),
+        ...(lowQuality ? qualityFields(quality) : {}),
+        error: true,
+        failureReason: reason,
+        ...(interruptions.length ? { interruptions } : {}),
+        interpretation: t(texts.interpretation)
+    };
+    saveMeasurement(failedMeasurement)
+        .then(() => queueForSync('measurement', failedMeasurement))
+        .then(updateHistory)
+        .catch(err => console.error('No se pudo guardar la medición:', err));
+
+    // Tras tanto tiempo fuera de la app no tiene sentido seguir con el protocolo
+    if (reason === 'pause-timeout' && state.session) {
+        state.session.aborted = true;
+    }
+    advanceProtocol();
+}
+
+// Etiquetas de perfil, sesión, tarea y mano
+function measurementTags(step) {
+    const session = state.session;
+    return {
+        profileId: session ? session.profileId : activeProfile().id,
+        sessionId: session ? session.id : null,
+        protocol: session ? session.protocol : null,
+        task: step ? step.task : null,
+        hand: step ? step.hand : null,
+        motorState: dom.motorState.value || null,
+        source: state.source ? state.source.kind : 'live',
+        ...(state.deviceProfile ? { deviceProfile: state.deviceProfile } : {})
+    };
 }
 
-function getSeverityColor(level) {
-    if (level < 2) return 'var(--success-color)';
-    if (level < 4) return '#a5d6a7'; // Verde claro
-    if (level < 7) return 'var(--warning-color)';
-    return 'var(--accent-color)';
+// Minutos desde la última toma registrada del mismo perfil
+async function attachDoseContext(measurement) {
+    try {
+        const dose = await getLastDoseBefore(measurement.timestamp, measurement.profileId);
+        measurement.minutesSinceDose = dose
+            ? Math.round((measurement.timestamp - dose.timestamp) / 60000)
+            : null;
+        measurement.lastDoseName = dose ? dose.name : null;
+    } catch (err) {
+        console.error('No se pudo consultar la medicación:', err);
+    }
+    return measurement;
 }
 
-function displayResults(metrics) {
+function displayResults(metrics, quality) {
     const interpretation = interpretLevel(metrics.severityLevel);
+    const warnings = quality && quality.issues.length
+        ? `<br><small>⚠️ ${quality.issues.map(issue => issue.message).join(' · ')}</small>`
+        : '';
     dom.status.innerHTML = 
-        `✅ Medición completada<br>${interpretation}`;
+        `✅ ${t('monitor.measurementDone')}<br>${interpretation}<br>` +
+        `<small>${formatNumber(metrics.displacementCm, 2)} cm · UPDRS ${metrics.updrsItem}/4</small>${warnings}`;
+
+    // Resultado hablado, sin el emoji del nivel
+    announce(t('speech.result', {
+        level: formatNumber(metrics.severityLevel, 1),
+        label: interpretation.replace(/^[^\p{L}\p{N}]+/u, '')
+    }));
+}
+
+// Resultado de lib/quality.js que se guarda con la medición (los textos salen del catálogo)
+function qualityFields(quality) {
+    return {
+        qualityScore: quality.score,
+        qualityStatus: quality.status,
+        qualityIssues: quality.issues.map(issue => issue.code)
+    };
+}
+
+function qualityMessages(m) {
+    return (m.qualityIssues || []).map(code => (QUALITY_ISSUES[code] ? QUALITY_ISSUES[code].message : code));
+}
+
+// La interpretación se recalcula al mostrarla para que salga en el idioma elegido;
+// m.interpretation conserva el texto con que se guardó (es el que recibe la clínica)
+function measurementInterpretation(m) {
+    if (m.error) {
+        // Las mediciones anteriores a failureReason solo distinguían calidad y duración
+        const reason = m.failureReason || (m.qualityIssues ? 'low-quality' : 'too-short');
+        return t((FAILURE_TEXTS[reason] || FAILURE_TEXTS['too-short']).interpretation);
+    }
+    return interpretLevel(m.severityLevel, getSeverityModel(measurementModel(m)));
 }
 
 // Visualización en tiempo real
-let canvas, ctx;
+let canvas;
 
 function initCanvas() {
     canvas = document.getElementById('waveCanvas');
-    ctx = canvas.getContext('2d');
     canvas.width = canvas.offsetWidth;
-    canvas.height = 120;
+    canvas.height = 160;
 }
 
-function drawWave() {
-    if (!ctx || state.samples.length < 2) return;
+// Últimos segundos de la grabación en la vista elegida
+function drawLiveView() {
+    if (!canvas) return;
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const { samples, timestamps } = recorder;
+    const from = timestamps[timestamps.length - 1] - LIVE_WINDOW;
+    const start = Math.max(0, timestamps.findIndex(t => t >= from));
+    drawSignalView(canvas, state.liveView, samples.slice(start), timestamps.slice(start));
+}
 
-    const width = canvas.width;
-    const height = canvas.height;
-    const centerY = height / 2;
+// Botones de vista (ondas, espectro, espectrograma) de un contenedor .view-switch
+function renderViewSwitch(container, active, onSelect) {
+    container.innerHTML = Object.entries(SIGNAL_VIEWS)
+        .map(([view, label]) => `
+            <button class="view-btn${view === active ? ' active' : ''}" data-view="${view}"
+                aria-pressed="${view === active}">${label}</button>`)
+        .join('');
+    container.querySelectorAll('.view-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            container.querySelectorAll('.view-btn').forEach(other => {
+                other.classList.toggle('active', other === btn);
+                other.setAttribute('aria-pressed', other === btn);
+            });
+            onSelect(btn.dataset.view);
+        });
+    });
+}
 
-    // Tomar últimos 100 samples
-    const displaySamples = state.samples.slice(-100);
-    const step = width / displaySamples.length;
+function selectLiveView(view) {
+    state.liveView = view;
+    drawLiveView();
+}
 
-    // Normalizar y dibujar
-    ctx.beginPath();
-    ctx.strokeStyle = 'var(--primary-color)';
-    ctx.lineWidth = 2;
+// Detalle de una medición: cómo se llegó a la puntuación y la señal guardada
+async function openMeasurementDetail(measurementId) {
+    const measurement = state.measurements.find(m => m.id === measurementId);
+    if (!measurement) return;
 
-    displaySamples.forEach((sample, i) => {
-        const x = i * step;
-        // --- AJUSTE DE SENSIBILIDAD VISUAL --- Aumentamos drásticamente para feedback inmediato
-        const normalized = (sample.magnitude - 9.8) * 150; // Un valor alto para exagerar el movimiento
-        const y = centerY + normalized;
-        
-        if (i === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
-        }
+    let raw = null;
+    try {
+        raw = await getRawSignal(measurementId);
+    } catch (err) {
+        console.error('No se pudo cargar la señal:', err);
+    }
+
+    if (!state.detail) state.detailOpener = document.activeElement;
+    state.detail = { measurement, raw, view: state.detail ? state.detail.view : 'waves' };
+    const overlay = document.getElementById('detailView');
+    const time = formatDateTime(measurement.timestamp, {
+        day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
     });
 
-    ctx.stroke();
+    document.getElementById('detailTitle').textContent = `🔍 ${t('detail.title', { time })}`;
+    document.getElementById('detailSummary').innerHTML = formatScoreExplanation(measurement);
+    try {
+        const notes = (await getNotes(recordProfile(measurement))).filter(note => note.measurementId === measurementId);
+        document.getElementById('detailSummary').innerHTML += notes.map(formatClinicianNote).join('');
+    } catch (err) {
+        console.error('No se pudieron cargar las notas:', err);
+    }
+    document.getElementById('detailNote').textContent = raw
+        ? t('detail.rawSummary', {
+            count: raw.samples.length,
+            seconds: formatNumber((raw.timestamps[raw.timestamps.length - 1] - raw.timestamps[0]) / 1000, 1)
+        })
+        : t('detail.noRaw');
+    document.getElementById('detailCanvasWrap').hidden = !raw;
+    renderViewSwitch(document.getElementById('detailViewSwitch'), state.detail.view, view => {
+        state.detail.view = view;
+        drawDetailView();
+    });
 
-    // Línea de referencia
-    ctx.beginPath();
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
-    ctx.lineWidth = 1;
-    ctx.moveTo(0, centerY);
-    ctx.lineTo(width, centerY);
-    ctx.stroke();
+    overlay.hidden = false;
+    document.getElementById('detailClose').focus();
+    drawDetailView();
+}
+
+function drawDetailView() {
+    if (!state.detail || !state.detail.raw) return;
+
+    const detailCanvas = document.getElementById('detailCanvas');
+    detailCanvas.width = detailCanvas.offsetWidth;
+    detailCanvas.height = 200;
+    drawSignalView(detailCanvas, state.detail.view, state.detail.raw.samples, state.detail.raw.timestamps);
+}
+
+function closeMeasurementDetail() {
+    document.getElementById('detailView').hidden = true;
+    state.detail = null;
+    // El foco vuelve al botón que abrió el detalle (si la lista no se ha rehecho)
+    if (state.detailOpener && state.detailOpener.isConnected) state.detailOpener.focus();
+    state.detailOpener = null;
+}
+
+// Cadena pico → desplazamiento → ítem UPDRS → puntuación, con los umbrales del modelo
+function formatScoreExplanation(m) {
+    const model = getSeverityModel(measurementModel(m));
+    const rows = [
+        [t('detail.frequency'), `${formatNumber(m.dominantFrequency, 2)} Hz`],
+    ];
+
+    const total = (m.restBandPower || 0) + (m.posturalBandPower || 0);
+    if (total > 0) {
+        const rest = Math.round((m.restBandPower / total) * 100);
+        rows.push([t('detail.bandPower'), t('detail.bandSplit', { rest, postural: 100 - rest })]);
+    }
+    if (typeof m.peakSharpness === 'number') {
+        rows.push([t('detail.sharpness'), t('detail.sharpnessValue', { percent: Math.round(m.peakSharpness * 100) })]);
+    }
+    if (typeof m.displacementCm === 'number') {
+        rows.push([t('detail.displacement'), t('detail.displacementValue', { cm: formatNumber(m.displacementCm, 2) })]);
+    }
+    if (typeof m.noiseFloorCm === 'number') {
+        rows.push([t('detail.noiseFloor'), t('detail.noiseFloorValue', {
+            cm: formatNumber(m.noiseFloorCm, 3),
+            date: m.deviceProfile ? formatDate(m.deviceProfile.calibratedAt) : '–'
+        })]);
+    }
+    if (model.updrsThresholdsCm) {
+        rows.push([t('detail.updrs'), t('detail.updrsValue', {
+            item: m.updrsItem,
+            thresholds: model.updrsThresholdsCm.map(cm => formatNumber(cm, cm < 1 ? 1 : 0)).join(' / ')
+        })]);
+    }
+    rows.push([t('detail.score'), `${formatNumber(m.severityLevel, 1)}/10 · ${measurementInterpretation(m)}`]);
+
+    const change = isComparable(m) ? compareToBaseline(m, state.baselines) : null;
+    if (change) {
+        const ratio = change.displacementRatio !== null
+            ? ` · ${t('detail.displacementRatio', { ratio: formatNumber(change.displacementRatio, 2) })}`
+            : '';
+        rows.push([t('detail.baseline'), change.isBaseline
+            ? t('detail.partOfBaseline', { severity: formatNumber(change.baseline.severity, 1) })
+            : `${formatNumber(change.baseline.severity, 1)}/10 · ${t('detail.change', { change: formatSigned(change.severityChange) })}${ratio}`]);
+    }
+
+    const messages = qualityMessages(m);
+    if (messages.length) {
+        rows.push([t('detail.quality'), `${m.qualityScore}/100: ${messages.join(' · ')}`]);
+    }
+    if (!isDiaryEmpty(m.diary)) {
+        rows.push([t('detail.diary'), escapeHTML(formatDiary(m.diary))]);
+    }
+
+    return `
+        <table class="daily-table detail-table">
+            <tbody>${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</tbody>
+        </table>`;
 }
 
 // Sistema de pestañas
@@ -378,84 +1090,155 @@ function switchTab(event, tabName) {
     });
     document.getElementById(tabName + '-tab').classList.add('active');
 
+    if (tabName === 'monitor') {
+        armHandsFree();
+    } else {
+        disarmHandsFree();
+    }
+
     if (tabName === 'history') {
         updateHistory();
+    } else if (tabName === 'medication') {
+        updateMedicationTab();
+    } else if (tabName === 'profile') {
+        updateProfileTab();
     }
 }
 
 // Actualizar historial
-function updateHistory() {
-    loadMeasurements();
+async function updateHistory() {
+    const range = getHistoryRange();
+    const labels = rangeLabels(state.historyRange);
+    document.getElementById('historyTitle').textContent = `📊 ${labels.title}`;
+    document.getElementById('historyListTitle').textContent = labels.list;
+
+    await loadMeasurements(range.from, range.to);
+    await refreshBaselines();
+    renderAlertLog();
+    try {
+        const profileId = activeProfile().id;
+        state.doses = (await getDosesInRange(range.from, range.to))
+            .filter(dose => recordProfile(dose) === profileId);
+    } catch (err) {
+        console.error('No se pudieron cargar las tomas:', err);
+        state.doses = [];
+    }
 
     if (state.measurements.length === 0) {
         document.getElementById('summaryStats').innerHTML = 
-            '<div class="no-data">No hay mediciones hoy</div>';
+            `<div class="no-data">${labels.empty}</div>`;
         document.getElementById('historyList').innerHTML = 
-            '<div class="no-data">Realice su primera medición</div>';
+            `<div class="no-data">${t('history.firstMeasurement')}</div>`;
+        document.getElementById('dailyStats').innerHTML = '';
+        document.getElementById('baselineStats').innerHTML = '';
+        drawHistoryChart(range);
+        drawHeatmap(range);
+        describeHistoryCharts(range);
         return;
     }
 
-    // Estadísticas
-    const levels = state.measurements.map(m => m.severityLevel);
-    const avg = levels.reduce((a, b) => a + b, 0) / levels.length;
-    const max = Math.max(...levels);
-    const min = Math.min(...levels);
+    // Estadísticas: solo mediciones puntuadas con el modelo de severidad actual
+    const comparable = comparableMeasurements();
+    const levels = comparable.map(m => m.severityLevel);
+    const avg = levels.length ? levels.reduce((a, b) => a + b, 0) / levels.length : 0;
+    const max = levels.length ? Math.max(...levels) : 0;
+    const min = levels.length ? Math.min(...levels) : 0;
+    const valid = state.measurements.filter(m => !m.error);
+    const simulated = valid.filter(m => !isLiveMeasurement(m)).length;
+    const excluded = valid.length - simulated - comparable.length;
 
     document.getElementById('summaryStats').innerHTML = `
         <div class="stat-box">
-            <div class="stat-value">${avg.toFixed(1)}</div>
-            <div class="stat-label">Promedio</div>
+            <div class="stat-value">${formatNumber(avg, 1)}</div>
+            <div class="stat-label">${t('stats.average')}</div>
         </div>
         <div class="stat-box">
-            <div class="stat-value">${max.toFixed(1)}</div>
-            <div class="stat-label">Máximo</div>
+            <div class="stat-value">${formatNumber(max, 1)}</div>
+            <div class="stat-label">${t('stats.max')}</div>
         </div>
         <div class="stat-box">
-            <div class="stat-value">${min.toFixed(1)}</div>
-            <div class="stat-label">Mínimo</div>
+            <div class="stat-value">${formatNumber(min, 1)}</div>
+            <div class="stat-label">${t('stats.min')}</div>
         </div>
         <div class="stat-box">
-                    <div class="stat-value">${state.measurements.length}</div>
-            <div class="stat-label">Mediciones</div>
+                    <div class="stat-value">${comparable.length}</div>
+            <div class="stat-label">${t('stats.measurements')}</div>
         </div>
+        ${excluded > 0 ? `
+        <div class="export-info" style="grid-column: 1 / -1; margin-top: 0;">
+            ${t('history.excludedLegacy', { count: excluded })}
+        </div>` : ''}
+        ${simulated > 0 ? `
+        <div class="export-info" style="grid-column: 1 / -1; margin-top: 0;">
+            ${t('history.excludedSimulated', { count: simulated })}
+        </div>` : ''}
     `;
+    renderBaselineStats(comparable);
 
     // Lista de mediciones
-    const historyHTML = state.measurements.map(m => {
+    const historyHTML = state.measurements.map((m, i, list) => {
         const date = new Date(m.timestamp);
-        const time = date.toLocaleTimeString('es-ES', { 
-            hour: '2-digit', 
-            minute: '2-digit' 
+        const time = formatTime(date, {
+            hour: '2-digit',
+            minute: '2-digit'
         });
 
+        // La lista se invierte: la cabecera va con la última medición de cada sesión
+        const next = list[i + 1];
+        const header = m.sessionId && (!next || next.sessionId !== m.sessionId)
+            ? formatSessionHeader(m, time)
+            : '';
+
         if (m.error) {
-            return `
+            return header + `
                 <div class="history-item history-item-error">
                     <div>
                         <div class="history-time">${time}</div>
+                        ${formatTaskTag(m)}
+                        ${formatSourceTag(m)}
                     </div>
                     <div style="font-size: 14px; color: var(--accent-color); text-align: right; font-weight: 500;">
-                        ${m.interpretation}
+                        ${measurementInterpretation(m)}
+                        ${formatQualityInfo(m)}
                     </div>
                 </div>
             `;
         } else {
-            const levelClass = `level-${Math.floor(m.severityLevel / 2.5)}`;
-            return `
+            const model = getSeverityModel(measurementModel(m));
+            const levelClass = getSeverityClass(m.severityLevel, model);
+            const scale = model.version === SEVERITY_MODEL_VERSION
+                ? `UPDRS ${m.updrsItem}/4 · ${formatNumber(m.displacementCm, 2)} cm`
+                : t('history.legacyScale');
+            return header + `
                 <div class="history-item">
                     <div>
                         <div class="history-time">${time}</div>
+                        ${formatTaskTag(m)}
+                        ${formatSourceTag(m)}
                         <div style="font-size: 12px; color: #666;">
-                            ${m.dominantFrequency.toFixed(2)} Hz
+                            ${formatNumber(m.dominantFrequency, 2)} Hz
                         </div>
+                        ${formatBandSplit(m)}
+                        ${formatRotationInfo(m)}
+                        ${formatSamplingInfo(m)}
+                        ${formatQualityInfo(m)}
+                        ${formatInterruptions(m)}
+                        ${formatDoseInfo(m)}
                     </div>
                     <div>
                         <div class="history-level ${levelClass}">
-                            ${m.severityLevel.toFixed(1)}/10
+                            ${formatNumber(m.severityLevel, 1)}/10
                         </div>
                         <div style="font-size: 11px; text-align: right;">
-                            ${m.interpretation}
+                            ${measurementInterpretation(m)}
+                        </div>
+                        <div style="font-size: 11px; text-align: right; color: #999;">
+                            ${scale}
                         </div>
+                        ${formatBaselineChange(m)}
+                        ${formatMotorStateSelect(m)}
+                        <button class="link-btn detail-btn" data-id="${m.id}">🔍 ${t('history.detail')}</button>
+                        <button class="link-btn raw-export" data-id="${m.id}">⬇ ${t('history.rawSignal')}</button>
                     </div>
                 </div>
             `;
@@ -463,18 +1246,381 @@ function updateHistory() {
     }).reverse().join('');
 
     document.getElementById('historyList').innerHTML = historyHTML;
+    document.querySelectorAll('.state-select').forEach(select => {
+        select.addEventListener('change', annotateMotorState);
+    });
+    document.querySelectorAll('.detail-btn').forEach(btn => {
+        btn.addEventListener('click', () => openMeasurementDetail(Number(btn.dataset.id)));
+    });
+    document.querySelectorAll('.raw-export').forEach(btn => {
+        btn.addEventListener('click', () => {
+            exportRawSignal(Number(btn.dataset.id), document.getElementById('rawFormat').value)
+                .catch(err => console.error('No se pudo exportar la señal:', err));
+        });
+    });
+
+    // Agregados diarios, gráfico temporal y mapa por hora
+    renderDailyStats(aggregateByDay(comparable));
+    drawHistoryChart(range);
+    drawHeatmap(range);
+    describeHistoryCharts(range);
+}
+
+// Rangos del historial (day, week, month, custom)
+function rangeLabels(range) {
+    return {
+        title: t(`history.${range}.title`),
+        list: t(`history.${range}.list`),
+        empty: t(`history.${range}.empty`)
+    };
+}
+
+function getHistoryRange() {
+    const today = startOfDay(new Date());
+    const endOfToday = endOfDay(today);
+
+    switch (state.historyRange) {
+    case 'week':
+        return { from: addDays(today, -6).getTime(), to: endOfToday };
+    case 'month':
+        return { from: addDays(today, -29).getTime(), to: endOfToday };
+    case 'custom': {
+        const fromInput = document.getElementById('rangeFrom').valueAsDate;
+        const toInput = document.getElementById('rangeTo').valueAsDate;
+        // valueAsDate es medianoche UTC: se pasa a la fecha local equivalente
+        const from = fromInput ? localDateFromInput(fromInput) : today;
+        const to = toInput ? localDateFromInput(toInput) : today;
+        return { from: from.getTime(), to: endOfDay(Math.max(from.getTime(), to.getTime())) };
+    }
+    default:
+        return { from: today.getTime(), to: endOfToday };
+    }
+}
+
+function localDateFromInput(date) {
+    return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function selectHistoryRange(event) {
+    state.historyRange = event.currentTarget.dataset.range;
+    document.querySelectorAll('.range-btn').forEach(btn => {
+        btn.classList.toggle('active', btn === event.currentTarget);
+    });
+    document.getElementById('customRange').hidden = state.historyRange !== 'custom';
+    updateHistory();
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+// Media, máximo y percentiles de severidad por día
+function aggregateByDay(measurements) {
+    const days = new Map();
+    measurements.forEach(m => {
+        const day = startOfDay(new Date(m.timestamp)).getTime();
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(m.severityLevel);
+    });
+
+    return [...days.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([day, levels]) => ({
+            day,
+            count: levels.length,
+            mean: levels.reduce((a, b) => a + b, 0) / levels.length,
+            max: Math.max(...levels),
+            p50: percentile(levels, 0.5),
+            p90: percentile(levels, 0.9)
+        }));
+}
+
+function renderDailyStats(days) {
+    const container = document.getElementById('dailyStats');
+    if (days.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const rows = days.map(d => `
+            <tr>
+                <td>${formatDate(d.day, { weekday: 'short', day: 'numeric', month: 'short' })}</td>
+                <td>${d.count}</td>
+                <td>${formatNumber(d.mean, 1)}</td>
+                <td>${formatNumber(d.p50, 1)}</td>
+                <td>${formatNumber(d.p90, 1)}</td>
+                <td>${formatNumber(d.max, 1)}</td>
+            </tr>`).join('');
+
+    container.innerHTML = `
+        <table class="daily-table">
+            <thead>
+                <tr><th>${t('daily.day')}</th><th>N</th><th>${t('daily.mean')}</th><th>P50</th><th>P90</th><th>${t('daily.max')}</th></tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+    `;
+}
+
+// Color continuo verde → rojo para la severidad 0-10 (el canvas no resuelve variables CSS)
+function heatColor(level) {
+    const hue = 120 - Math.min(10, Math.max(0, level)) * 12;
+    return `hsl(${hue}, 70%, 50%)`;
+}
+
+// Mapa de calor: días (filas) por hora del día (columnas), color = severidad media
+function drawHeatmap(range) {
+    const canvas = document.getElementById('heatmapChart');
+    const ctx = canvas.getContext('2d');
+    // Una fila por día local del periodo
+    const dayStarts = [];
+    for (let day = new Date(range.from); day.getTime() <= range.to; day = addDays(day, 1)) {
+        dayStarts.push(day.getTime());
+    }
+    const rows = new Map(dayStarts.map((start, row) => [start, row]));
+    const days = dayStarts.length;
+    const labelWidth = 50;
+    const rowHeight = Math.max(8, Math.min(24, Math.floor(240 / days)));
+
+    canvas.width = canvas.offsetWidth;
+    canvas.height = days * rowHeight + 20;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const cellWidth = (canvas.width - labelWidth) / 24;
+    const cells = new Map();
+    comparableMeasurements().forEach(m => {
+        const date = new Date(m.timestamp);
+        const row = rows.get(startOfDay(date).getTime());
+        if (row === undefined) return;
+        const key = `${row}:${date.getHours()}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(m.severityLevel);
+    });
+
+    // Fondo de celdas sin datos
+    ctx.fillStyle = '#f0f0f0';
+    ctx.fillRect(labelWidth, 0, canvas.width - labelWidth, days * rowHeight);
+
+    cells.forEach((levels, key) => {
+        const [row, hour] = key.split(':').map(Number);
+        const mean = levels.reduce((a, b) => a + b, 0) / levels.length;
+        ctx.fillStyle = heatColor(mean);
+        ctx.fillRect(labelWidth + hour * cellWidth, row * rowHeight, cellWidth - 1, rowHeight - 1);
+    });
+
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+
+    // Etiquetas de día (se omiten si no caben)
+    ctx.textAlign = 'right';
+    const labelEvery = Math.ceil(12 / rowHeight);
+    for (let row = 0; row < days; row += labelEvery) {
+        const label = formatDate(new Date(dayStarts[row]), { day: 'numeric', month: 'short' });
+        ctx.fillText(label, labelWidth - 5, row * rowHeight + Math.min(rowHeight, 12) - 2);
+    }
+
+    // Etiquetas de hora
+    ctx.textAlign = 'center';
+    for (let hour = 0; hour <= 24; hour += 6) {
+        ctx.fillText(`${hour}h`, labelWidth + hour * cellWidth, days * rowHeight + 14);
+    }
+}
+
+// Lo que muestran los dos gráficos, para quien no los ve: un resumen en aria-label
+// y la tabla de datos desplegable bajo cada uno
+function describeHistoryCharts(range) {
+    const historyChart = document.getElementById('historyChart');
+    const heatmapChart = document.getElementById('heatmapChart');
+    const points = comparableMeasurements();
+
+    if (points.length === 0) {
+        historyChart.setAttribute('aria-label', t('a11y.chartEmpty'));
+        heatmapChart.setAttribute('aria-label', t('a11y.chartEmpty'));
+        document.getElementById('historyChartData').innerHTML = reportTable([], []);
+        document.getElementById('heatmapData').innerHTML = reportTable([], []);
+        return;
+    }
+
+    const levels = points.map(m => m.severityLevel);
+    historyChart.setAttribute('aria-label', t('a11y.historyChart', {
+        count: points.length,
+        mean: formatNumber(levels.reduce((a, b) => a + b, 0) / levels.length, 1),
+        max: formatNumber(Math.max(...levels), 1)
+    }));
+    document.getElementById('historyChartData').innerHTML = reportTable(
+        [t('csv.time'), `${t('csv.task')} · ${t('csv.hand')}`, t('csv.level'), t('csv.interpretation')],
+        points.map(m => [
+            formatDateTime(m.timestamp, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }),
+            `${taskLabel(m.task)}${m.hand ? ` · ${HANDS[m.hand]}` : ''}`,
+            formatNumber(m.severityLevel, 1),
+            interpretLevel(m.severityLevel)
+        ])
+    );
+
+    // Mismas franjas que drawHeatmap: día y hora con su media
+    const cells = new Map();
+    points.forEach(m => {
+        const date = new Date(m.timestamp);
+        const key = `${startOfDay(date).getTime()}:${date.getHours()}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(m.severityLevel);
+    });
+    const rows = Array.from(cells, ([key, values]) => {
+        const [day, hour] = key.split(':').map(Number);
+        return { day, hour, count: values.length, mean: values.reduce((a, b) => a + b, 0) / values.length };
+    }).filter(cell => cell.day >= range.from)
+        .sort((a, b) => a.day - b.day || a.hour - b.hour);
+    const highest = rows.reduce((best, cell) => (cell.mean > best.mean ? cell : best), rows[0]);
+
+    heatmapChart.setAttribute('aria-label', t('a11y.heatmap', {
+        count: rows.length,
+        day: formatDate(highest.day, { day: 'numeric', month: 'short' }),
+        hour: highest.hour,
+        level: formatNumber(highest.mean, 1)
+    }));
+    document.getElementById('heatmapData').innerHTML = reportTable(
+        [t('daily.day'), t('a11y.hour'), t('daily.mean'), 'N'],
+        rows.map(cell => [
+            formatDate(cell.day, { day: 'numeric', month: 'short' }),
+            `${cell.hour}h`,
+            formatNumber(cell.mean, 1),
+            cell.count
+        ])
+    );
+}
 
-    // Dibujar gráfico simple
-    drawHistoryChart();
-}
-
-function drawHistoryChart() {
+function formatSessionHeader(m, time) {
+    const protocol = PROTOCOLS[m.protocol];
+    const diary = formatDiary(m.diary);
+    return `
+        <div class="session-header">
+            ${t('history.session', { time })}${protocol ? ` · ${protocol.name}` : ''}
+            ${diary ? `<div class="session-diary">📝 ${escapeHTML(diary)}</div>` : ''}
+        </div>`;
+}
+
+// Tarea y mano con que se registró la medición
+function formatTaskTag(m) {
+    if (!m.task) return '';
+    const task = TASKS[m.task] ? TASKS[m.task].label : escapeHTML(m.task);
+    return `<div class="task-tag">${task}${m.hand ? ` · ${HANDS[m.hand] || escapeHTML(m.hand)}` : ''}</div>`;
+}
+
+function formatSourceTag(m) {
+    if (isLiveMeasurement(m)) return '';
+    return `<div class="task-tag source-tag">${SAMPLE_SOURCES[m.source] || m.source}</div>`;
+}
+
+// Incidencias de calidad de la señal (solo mediciones evaluadas que tuvieron alguna)
+function formatQualityInfo(m) {
+    const messages = qualityMessages(m);
+    if (messages.length === 0) return '';
+
+    return `
+                        <div class="quality-info">
+                            ⚠️ ${t('history.quality', { score: m.qualityScore })}: ${messages.join(' · ')}
+                        </div>`;
+}
+
+// Tareas repetidas tras volver a la app (lib/recorder.js)
+function formatInterruptions(m) {
+    if (!m.interruptions || m.interruptions.length === 0) return '';
+    return `<div class="quality-info">⏸️ ${t('history.interruptions', { count: m.interruptions.length })}</div>`;
+}
+
+// Tiempo desde la última toma de medicación
+function formatDoseInfo(m) {
+    if (typeof m.minutesSinceDose !== 'number') return '';
+
+    return `
+                        <div style="font-size: 11px; color: #999;">
+                            💊 ${t('history.sinceDose', { time: formatMinutes(m.minutesSinceDose), name: escapeHTML(m.lastDoseName || '') })}
+                        </div>`;
+}
+
+function formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+function formatMotorStateSelect(m) {
+    const options = [['', t('motor.placeholder')], ...Object.entries(MOTOR_STATES)]
+        .map(([value, label]) =>
+            `<option value="${value}"${(m.motorState || '') === value ? ' selected' : ''}>${label}</option>`)
+        .join('');
+    return `<select class="state-select" data-id="${m.id}" aria-label="${t('motor.label')}">${options}</select>`;
+}
+
+function annotateMotorState(event) {
+    const id = Number(event.currentTarget.dataset.id);
+    updateMeasurement(id, { motorState: event.currentTarget.value || null })
+        .then(updated => queueForSync('measurement', updated))
+        .catch(err => console.error('No se pudo anotar la medición:', err));
+}
+
+// Mediciones válidas puntuadas con el modelo de severidad vigente
+function comparableMeasurements() {
+    return state.measurements.filter(isComparable);
+}
+
+function isComparable(m) {
+    return !m.error && isLiveMeasurement(m) && measurementModel(m) === SEVERITY_MODEL_VERSION;
+}
+
+// Las mediciones simuladas (sintéticas o reproducidas) no cuentan en las estadísticas
+function isLiveMeasurement(m) {
+    return !m.source || m.source === 'live';
+}
+
+// Reparto de potencia entre bandas de reposo y postural (mediciones con análisis espectral)
+function formatBandSplit(m) {
+    if (m.restBandPower === undefined) return '';
+
+    const total = m.restBandPower + m.posturalBandPower;
+    if (total <= 0) return '';
+
+    const rest = Math.round((m.restBandPower / total) * 100);
+    return `
+                        <div style="font-size: 11px; color: #999;">
+                            ${t('history.bandSplit', { rest, postural: 100 - rest })}
+                        </div>`;
+}
+
+// Componente rotacional del giroscopio
+function formatRotationInfo(m) {
+    if (typeof m.rotationRMS !== 'number') return '';
+
+    return `
+                        <div style="font-size: 11px; color: #999;">
+                            ${t('history.rotation', { rms: formatNumber(m.rotationRMS, 1), frequency: formatNumber(m.rotationFrequency, 2) })}
+                        </div>`;
+}
+
+// Calidad del muestreo para que el médico pueda valorar el dato
+function formatSamplingInfo(m) {
+    if (m.sampleRate === undefined) return '';
+
+    const dropped = m.droppedSamples > 0 ? ` · ${t('history.dropped', { count: m.droppedSamples })}` : '';
+    return `
+                        <div style="font-size: 11px; color: #999;">
+                            ${formatNumber(m.sampleRate, 0)} Hz ± ${formatNumber(m.timingJitter, 1)} ms${dropped}
+                        </div>`;
+}
+
+function drawHistoryChart(range) {
     const canvas = document.getElementById('historyChart');
     const ctx = canvas.getContext('2d');
     canvas.width = canvas.offsetWidth;
     canvas.height = 170;
     
-    if (state.measurements.length === 0) return;
+    const points = comparableMeasurements();
+    if (points.length === 0 && state.doses.length === 0) return;
 
     const width = canvas.width;
     const height = canvas.height;
@@ -507,192 +1653,2190 @@ function drawHistoryChart() {
         ctx.fillText(i.toString(), padding - 5, y + 3);
     }
 
+    // Posición horizontal proporcional al instante de la medición dentro del rango
+    const span = Math.max(1, range.to - range.from);
+    const xFor = timestamp => padding + ((timestamp - range.from) / span) * (width - 2 * padding);
+    const yFor = level => height - padding - (level / 10) * (height - 2 * padding);
+
     // Dibujar línea de datos
-    const step = (width - 2 * padding) / (state.measurements.length > 1 ? state.measurements.length - 1 : 1);
     ctx.strokeStyle = '#2196F3';
     ctx.lineWidth = 2;
     ctx.beginPath();
-
-    state.measurements.forEach((m, i) => {
-        const x = padding + i * step;
-        const y = height - padding - (m.severityLevel / 10) * (height - 2 * padding);
-        
+    points.forEach((m, i) => {
         if (i === 0) {
-            ctx.moveTo(x, y);
+            ctx.moveTo(xFor(m.timestamp), yFor(m.severityLevel));
         } else {
-            ctx.lineTo(x, y);
+            ctx.lineTo(xFor(m.timestamp), yFor(m.severityLevel));
         }
+    });
+    ctx.stroke();
 
-        // Puntos
-        ctx.fillStyle = '#2196F3';
+    // Puntos
+    ctx.fillStyle = '#2196F3';
+    points.forEach(m => {
         ctx.beginPath();
-        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.arc(xFor(m.timestamp), yFor(m.severityLevel), 4, 0, Math.PI * 2);
         ctx.fill();
     });
 
-    ctx.stroke();
+    // Marcas de las tomas de medicación
+    drawDoseMarkers(ctx, xFor, padding, height);
 
-    // Etiquetas de tiempo
+    // Etiquetas de tiempo: hora en la vista diaria, fecha en el resto
     ctx.fillStyle = '#666';
     ctx.font = '10px sans-serif';
     ctx.textAlign = 'center';
     
-    [0, Math.floor(state.measurements.length / 2), state.measurements.length - 1].forEach(i => {
-        if (state.measurements[i]) {
-            const date = new Date(state.measurements[i].timestamp);
-            const time = date.toLocaleTimeString('es-ES', { 
-                hour: '2-digit', 
-                minute: '2-digit' 
-            });
-            const x = padding + i * step;
-            ctx.fillText(time, x, height - 5);
-        }
+    const multiDay = startOfDay(range.to).getTime() > range.from;
+    [0, 0.5, 1].forEach(fraction => {
+        const date = new Date(range.from + fraction * span);
+        const label = multiDay
+            ? formatDate(date, { day: 'numeric', month: 'short' })
+            : formatTime(date, { hour: '2-digit', minute: '2-digit' });
+        ctx.fillText(label, xFor(date.getTime()), height - 5);
+    });
+}
+
+function drawDoseMarkers(ctx, xFor, padding, height) {
+    ctx.save();
+    ctx.strokeStyle = '#8e24aa';
+    ctx.fillStyle = '#8e24aa';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+
+    state.doses.forEach(dose => {
+        const x = xFor(dose.timestamp);
+        ctx.beginPath();
+        ctx.moveTo(x, padding);
+        ctx.lineTo(x, height - padding);
+        ctx.stroke();
+        ctx.fillText('💊', x, padding - 6);
     });
+
+    ctx.restore();
 }
 
 // Exportar datos
 function exportData() {
     if (state.measurements.length === 0) {
-        alert('No hay datos para exportar');
+        notify(t('export.noData'));
         return;
     }
 
     // Crear CSV
-    let csv = 'Fecha,Hora,Nivel de Temblor (0-10),Frecuencia (Hz),Amplitud,Interpretación\n';
+    let csv = csvRow(CSV_COLUMNS.map(key => t(`csv.${key}`)));
     
     state.measurements.forEach(m => {
         const date = new Date(m.timestamp);
-        const dateStr = date.toLocaleDateString('es-ES');
-        const timeStr = date.toLocaleTimeString('es-ES');
+        const change = isComparable(m) ? compareToBaseline(m, state.baselines) : null;
         
-        csv += `${dateStr},${timeStr},${m.severityLevel.toFixed(2)},${m.dominantFrequency.toFixed(2)},${m.amplitudeRMS.toFixed(3)},"${m.interpretation}"\n`;
+        csv += csvRow([
+            formatDate(date), formatTime(date), m.sessionId, m.task, m.hand,
+            csvNumber(m.severityLevel, 2), csvNumber(m.dominantFrequency, 2), csvNumber(m.amplitudeRMS, 3),
+            csvNumber(m.restBandPower, 5), csvNumber(m.posturalBandPower, 5), csvNumber(m.peakSharpness, 2),
+            csvNumber(m.sampleRate, 1), csvNumber(m.droppedSamples, 0), csvNumber(m.timingJitter, 1),
+            csvNumber(m.rotationRMS, 2), csvNumber(m.rotationFrequency, 2), m.linearSource,
+            csvNumber(m.displacementCm, 2), csvNumber(m.updrsItem, 0), measurementModel(m),
+            change ? csvNumber(change.severityChange, 2) : '', change ? csvNumber(change.displacementRatio, 2) : '',
+            m.source || 'live', csvNumber(m.qualityScore, 0), qualityMessages(m).join(' | '),
+            m.deviceProfile ? formatDate(m.deviceProfile.calibratedAt) : '', csvNumber(m.noiseFloorCm, 3),
+            m.motorState, csvNumber(m.minutesSinceDose, 0), m.lastDoseName,
+            diaryValueLabel('sleep', m.diary), diaryValueLabel('stress', m.diary), diaryValueLabel('caffeine', m.diary),
+            m.diary ? csvNumber(m.diary.rating, 0) : '', m.diary ? m.diary.note : '',
+            measurementInterpretation(m)
+        ]);
     });
 
-    // Estadísticas al final
-    const levels = state.measurements.map(m => m.severityLevel);
-    const avg = levels.reduce((a, b) => a + b, 0) / levels.length;
-    const max = Math.max(...levels);
-    const min = Math.min(...levels);
+    // Estadísticas al final (solo el modelo de severidad vigente)
+    const profile = activeProfile();
+    const comparable = comparableMeasurements();
+    const levels = comparable.map(m => m.severityLevel);
+    // Sin mediciones comparables (todas simuladas o del modelo anterior) las celdas quedan vacías
+    const avg = levels.length ? levels.reduce((a, b) => a + b, 0) / levels.length : null;
+    const max = levels.length ? Math.max(...levels) : null;
+    const min = levels.length ? Math.min(...levels) : null;
+
+    csv += `\n${csvRow([t('csv.statsTitle')])}`;
+    csv += csvRow([t('csv.patient'), profile.name]);
+    csv += csvRow([t('stats.average'), csvNumber(avg, 2)]);
+    csv += csvRow([t('stats.max'), csvNumber(max, 2)]);
+    csv += csvRow([t('stats.min'), csvNumber(min, 2)]);
+    csv += csvRow([t('csv.total'), levels.length]);
+    csv += csvRow([t('csv.severityModel'), SEVERITY_MODEL_VERSION]);
+
+    // Línea basal por tarea y mano frente a la media del periodo
+    const baselines = baselineRows(comparable);
+    if (baselines.length > 0) {
+        csv += `\n${csvRow([t('csv.baselineTitle', { count: profile.baselineSessions })])}`;
+        csv += csvRow(BASELINE_COLUMNS.map(key => t(`baseline.${key}`)));
+        baselines.forEach(row => {
+            csv += csvRow(row);
+        });
+    }
 
-    csv += `\nEstadísticas del día:\n`;
-    csv += `Promedio,${avg.toFixed(2)}\n`;
-    csv += `Máximo,${max.toFixed(2)}\n`;
-    csv += `Mínimo,${min.toFixed(2)}\n`;
-    csv += `Total de mediciones,${state.measurements.length}\n`;
+    // Tomas de medicación del periodo
+    if (state.doses.length > 0) {
+        csv += `\n${csvRow([t('csv.dosesTitle')])}`;
+        csv += csvRow([t('csv.date'), t('csv.time'), t('csv.medication'), t('csv.dose')]);
+        state.doses.forEach(dose => {
+            const date = new Date(dose.timestamp);
+            csv += csvRow([formatDate(date), formatTime(date), dose.name, dose.dose]);
+        });
+    }
 
     // Copiar al portapapeles
     navigator.clipboard.writeText(csv).then(() => {
-        alert('✅ Datos copiados al portapapeles.\n\nPuedes pegarlos en un correo o documento para tu médico.');
+        notify(t('export.copied'));
     }).catch(err => {
-        // Fallback: mostrar en alert
-        prompt('Copia estos datos para tu médico:', csv);
+        console.error('No se pudo copiar al portapapeles:', err);
+        // Sin acceso al portapapeles: el texto queda seleccionado para copiarlo a mano
+        showDialog({ message: t('export.copyPrompt'), text: csv, buttons: [{ label: t('dialog.ok'), value: true }] });
     });
 
     // También ofrecer descarga
     downloadCSV(csv);
 }
 
+// Columnas del CSV de mediciones (las cabeceras salen del catálogo de textos)
+const CSV_COLUMNS = [
+    'date', 'time', 'session', 'task', 'hand', 'level', 'frequency', 'amplitude', 'restPower', 'posturalPower',
+    'sharpness', 'sampleRate', 'dropped', 'jitter', 'rotationRMS', 'rotationFrequency', 'linear', 'displacement',
+    'updrs', 'severityModel', 'baselineChange', 'baselineRatio', 'source', 'quality', 'qualityIssues',
+    'calibration', 'noiseFloor', 'motorState',
+    'minutesSinceDose', 'lastDose', 'sleep', 'stress', 'caffeine', 'rating', 'diaryNote', 'interpretation'
+];
+
+// Una fila de CSV en el formato regional: con coma decimal (es) los campos van separados
+// por ';', que es lo que esperan las hojas de cálculo en ese idioma
+function csvRow(values) {
+    const { delimiter } = csvFormat();
+    return values.map(value => csvField(value, delimiter)).join(delimiter) + '\n';
+}
+
+function csvField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.includes(delimiter) || /["\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Valor numérico para CSV; vacío en mediciones antiguas que no tienen el campo
+function csvNumber(value, digits) {
+    return typeof value === 'number' ? value.toFixed(digits).replace('.', csvFormat().decimal) : '';
+}
+
+// Exportación HL7 FHIR R4 para la historia clínica del hospital
+function exportFHIR() {
+    const measurements = state.measurements.filter(m => !m.error && isLiveMeasurement(m));
+    if (measurements.length === 0) {
+        notify(t('export.noValidData'));
+        return;
+    }
+
+    const bundle = buildFHIRBundle({
+        profile: activeProfile(),
+        measurements,
+        doses: state.doses,
+        device: { userAgent: navigator.userAgent, platform: navigator.platform || null, calibration: deviceProfile() },
+        analysisVersion: ANALYSIS_VERSION
+    });
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(JSON.stringify(bundle, null, 2), `temblor_fhir_${date}.json`, FHIR_MIME_TYPE);
+}
+
 function downloadCSV(csv) {
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(csv, `temblor_parkinson_${date}.csv`, 'text/csv;charset=utf-8;');
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const link = document.createElement('a');
     const url = URL.createObjectURL(blob);
     
-    const date = new Date().toISOString().split('T')[0];
     link.setAttribute('href', url);
-    link.setAttribute('download', `temblor_parkinson_${date}.csv`);
+    link.setAttribute('download', filename);
     link.style.visibility = 'hidden';
     
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
+    URL.revokeObjectURL(url);
 }
 
-// Instalar como PWA
-window.addEventListener('beforeinstallprompt', (e) => {
-    e.preventDefault();
-    state.deferredPrompt = e;
+// Señal cruda: exportación (CSV, JSON, EDF+) e importación para reanálisis
+async function exportRawSignal(measurementId, format) {
+    const measurement = state.measurements.find(m => m.id === measurementId);
+    const raw = await getRawSignal(measurementId);
+    if (!measurement || !raw) {
+        notify(t('export.noRaw'));
+        return;
+    }
 
-    // Mostrar botón de instalación
-    const installBtn = document.createElement('button');
-    installBtn.className = 'btn btn-secondary';
-    installBtn.innerHTML = '📲 Instalar como App';
-    installBtn.onclick = installApp;
-    
-    document.querySelector('.container').insertBefore(
-        installBtn, 
-        document.querySelector('.container').firstChild
-    );
-});
+    const name = `temblor_senal_${measurementId}_${new Date(measurement.timestamp).toISOString().split('T')[0]}`;
+    if (format === 'json') {
+        const device = { userAgent: navigator.userAgent, platform: navigator.platform || null };
+        downloadFile(JSON.stringify(buildRawBundle(measurement, raw, device)), `${name}.json`, 'application/json');
+    } else if (format === 'edf') {
+        downloadFile(buildEDF(measurement, raw, activeProfile().patientId), `${name}.edf`, 'application/octet-stream');
+    } else {
+        downloadFile(buildRawCSV(raw), `${name}.csv`, 'text/csv;charset=utf-8;');
+    }
+}
 
-function installApp() {
-    if (!state.deferredPrompt) return;
-    
-    state.deferredPrompt.prompt();
-    state.deferredPrompt.userChoice.then((choiceResult) => {
-        if (choiceResult.outcome === 'accepted') {
-            console.log('PWA instalada');
+// Carga un registro exportado (JSON o CSV) y lo reanaliza con el algoritmo actual
+async function importRecording(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const recording = file.name.toLowerCase().endsWith('.json')
+            ? parseRawBundle(JSON.parse(text))
+            : parseRawCSV(text);
+
+        if (recording.samples.length <= 100) {
+            notify(t('import.tooShort'));
+            return;
         }
-        state.deferredPrompt = null;
-    });
+
+        const sampling = estimateSamplingStats(recording.timestamps, 0);
+        const quality = assessSignalQuality(recording.samples, recording.timestamps, {
+            sampleRate: sampling.sampleRate,
+            task: recording.tags.task
+        });
+        if (quality.status === 'rejected') {
+            notify(`${t('import.lowQuality')}\n\n${quality.issues.map(issue => `• ${issue.message}`).join('\n')}`);
+            return;
+        }
+
+        // Con la calibración del teléfono que grabó el registro, si la trae y es válida
+        const calibration = isDeviceProfile(recording.deviceProfile) ? recording.deviceProfile : null;
+        const metrics = calculateTremorMetrics(recording.samples, recording.timestamps, {
+            noiseFloor: calibration ? calibration.noiseFloor : null
+        });
+        // Viene de otro teléfono o de otra app: fuera de estadísticas, líneas base, avisos y envíos
+        const measurement = {
+            timestamp: recording.recordedAt || Date.now(),
+            ...recording.tags,
+            source: 'import',
+            profileId: activeProfile().id,
+            ...(calibration ? { deviceProfile: calibration } : {}),
+            ...metrics,
+            ...sampling,
+            ...qualityFields(quality),
+            linearSource: recording.linearSource || null,
+            analysisVersion: ANALYSIS_VERSION,
+            importedFrom: file.name,
+            interpretation: interpretLevel(metrics.severityLevel)
+        };
+
+        await saveMeasurement(measurement, { samples: recording.samples, timestamps: recording.timestamps });
+        dom.status.innerHTML = `📥 ${t('import.done')}<br>${measurement.interpretation}`;
+        updateHistory();
+    } catch (err) {
+        console.error('No se pudo importar el registro:', err);
+        notify(t('recording.invalidFile'));
+    }
 }
 
-// Inicialización
-function initializeApp() {
-    loadMeasurements();
-    
-    // Verificar soporte
-    if (!window.DeviceMotionEvent) {
-        dom.status.innerHTML = 
-            '⚠️ Tu navegador no soporta el acelerómetro.<br>Prueba con Chrome o Safari.';
-        dom.startBtn.disabled = true;
+// Medicación: pauta, recordatorios y registro de tomas
+const REMINDER_CHECK_INTERVAL = 30000; // ms entre comprobaciones de la pauta
+
+// La pauta es la del perfil activo; los recordatorios avisan de las de todos los perfiles
+async function updateMedicationTab() {
+    const profile = activeProfile();
+    const { medications } = profile;
+
+    document.getElementById('doseButtons').innerHTML = medications.length
+        ? medications.map(med => `
+            <button class="btn btn-dose" data-med="${escapeHTML(med.id)}">
+                <span>💊</span> ${t('medication.took', { name: escapeHTML(medicationLabel(med)) })}
+            </button>`).join('')
+        : `<div class="no-data">${t('medication.empty')}</div>`;
+    document.querySelectorAll('.btn-dose').forEach(btn => {
+        btn.addEventListener('click', () => logDose(btn.dataset.med));
+    });
+
+    document.getElementById('medicationSchedule').innerHTML = medications.map(med => `
+        <div class="history-item">
+            <div>
+                <div class="history-time">${escapeHTML(med.name)}</div>
+                <div style="font-size: 12px; color: #666;">${escapeHTML(med.dose || '')}</div>
+            </div>
+            <div style="text-align: right;">
+                <div style="font-size: 13px;">${escapeHTML(med.times.join(' · ')) || t('medication.noTimes')}</div>
+                <button class="link-btn" data-remove="${escapeHTML(med.id)}">${t('common.remove')}</button>
+            </div>
+        </div>`).join('');
+    document.querySelectorAll('[data-remove]').forEach(btn => {
+        btn.addEventListener('click', () => removeMedication(btn.dataset.remove));
+    });
+    renderReminders();
+
+    try {
+        const today = startOfDay(new Date()).getTime();
+        const doses = (await getDosesInRange(today, endOfDay(today)))
+            .filter(dose => recordProfile(dose) === profile.id);
+        document.getElementById('doseList').innerHTML = doses.length
+            ? doses.map(dose => `
+                <div class="history-item">
+                    <div class="history-time">${formatTime(dose.timestamp, { hour: '2-digit', minute: '2-digit' })}</div>
+                    <div>${escapeHTML(dose.name)} ${escapeHTML(dose.dose || '')}</div>
+                </div>`).reverse().join('')
+            : `<div class="no-data">${t('medication.noDosesToday')}</div>`;
+    } catch (err) {
+        console.error('No se pudieron cargar las tomas:', err);
     }
+}
 
-    // Adjuntar eventos
-    dom.startBtn.addEventListener('click', startMonitoring);
-    dom.exportBtn.addEventListener('click', exportData);
-    document.querySelectorAll('.tab').forEach(tab => {
-        tab.addEventListener('click', (e) => switchTab(e, e.currentTarget.dataset.tab));
+// Nombre y dosis tal como los escribió el usuario: escaparlos antes de ponerlos en HTML
+function medicationLabel(med) {
+    return `${med.name}${med.dose ? ` (${med.dose})` : ''}`;
+}
+
+function addMedication(event) {
+    event.preventDefault();
+    const name = document.getElementById('medName').value.trim();
+    if (!name) return;
+
+    const times = document.getElementById('medTimes').value
+        .split(',')
+        .map(t => t.trim())
+        .filter(t => /^\d{1,2}:\d{2}$/.test(t))
+        .map(t => t.padStart(5, '0'));
+
+    const profile = activeProfile();
+    profile.medications.push({
+        id: `m${Date.now()}`,
+        name,
+        dose: document.getElementById('medDose').value.trim(),
+        times
     });
+    saveProfile(profile);
+
+    event.target.reset();
+    updateMedicationTab();
+
+    // Los recordatorios usan notificaciones si el usuario las permite
+    if (times.length) {
+        requestNotificationPermission();
+    }
 }
 
-// Prevenir sleep durante monitoreo
-async function requestWakeLock() {
+function removeMedication(id) {
+    const profile = activeProfile();
+    profile.medications = profile.medications.filter(med => med.id !== id);
+    saveProfile(profile);
+    updateMedicationTab();
+    scheduleReminderNotifications();
+}
+
+function requestNotificationPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission().then(() => {
+            renderReminders();
+            scheduleReminderNotifications();
+        });
+    } else {
+        scheduleReminderNotifications();
+    }
+}
+
+// Registro de una toma con un solo toque (en el perfil al que pertenece el medicamento)
+async function logDose(medicationId) {
+    const profile = loadSettings().profiles.find(p => p.medications.some(m => m.id === medicationId));
+    if (!profile) return;
+    const med = profile.medications.find(m => m.id === medicationId);
+
+    try {
+        const dose = {
+            timestamp: Date.now(),
+            profileId: profile.id,
+            medicationId: med.id,
+            name: med.name,
+            dose: med.dose
+        };
+        dose.id = await saveDose(dose);
+        queueForSync('dose', dose);
+        vibrate([100]);
+        dom.reminderBanner.hidden = true;
+        updateMedicationTab();
+    } catch (err) {
+        console.error('No se pudo registrar la toma:', err);
+    }
+}
+
+// Avisa cuando llega la hora de una toma de la pauta
+function checkMedicationReminders() {
+    const now = new Date();
+    const time = now.toTimeString().slice(0, 5);
+    const day = now.toDateString();
+
+    const { profiles } = loadSettings();
+    profiles.forEach(profile => profile.medications.forEach(med => {
+        const key = `${med.id}@${day} ${time}`;
+        if (!med.times.includes(time) || state.remindedDoses.has(key)) return;
+
+        state.remindedDoses.add(key);
+        // Con varios perfiles en el teléfono, el aviso dice para quién es
+        showDoseReminder(med, profiles.length > 1 ? profile.name : '');
+    }));
+}
+
+function showDoseReminder(med, patientName = '') {
+    const text = `${patientName ? `${patientName} · ` : ''}${t('medication.reminder', { name: medicationLabel(med) })}`;
+
+    dom.reminderBanner.hidden = false;
+    dom.reminderBanner.innerHTML = `
+        <span>⏰ ${escapeHTML(text)}</span>
+        <button class="btn btn-dose" id="reminderLogBtn"><span>💊</span> ${t('medication.logDose')}</button>
+    `;
+    document.getElementById('reminderLogBtn').addEventListener('click', () => logDose(med.id));
+
+    vibrate([300, 100, 300]);
+    showSystemNotification(`💊 ${t('medication.notificationTitle')}`, { body: text, tag: med.id, data: { action: 'medication' } });
+}
+
+// Notificación a través del service worker: al tocarla, sw.js abre la app en el punto
+// adecuado ('notificationclick'). Sin service worker, notificación de la página.
+async function showSystemNotification(title, options) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
     try {
-        if ('wakeLock' in navigator) {
-            state.wakeLock = await navigator.wakeLock.request('screen');
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            new Notification(title, options);
         }
     } catch (err) {
-        console.log('Wake Lock no disponible:', err);
+        console.error('No se pudo mostrar la notificación:', err);
     }
 }
 
-// Modificar beginMonitoring para usar wake lock
-const originalBeginMonitoring = beginMonitoring;
-beginMonitoring = function() {
-    requestWakeLock();
-    dom.startBtn.removeEventListener('click', startMonitoring);
-    dom.startBtn.addEventListener('click', stopMonitoring);
-    originalBeginMonitoring();
-};
+// Recordatorios para medir (lib/reminders.js). Con la app abierta los avisa la propia app;
+// si el navegador admite Notification Triggers, además se programan las notificaciones de
+// las próximas horas para que lleguen con la app cerrada.
+const REMINDER_SCHEDULE_HOURS = 24; // Horizonte de las notificaciones programadas
+
+function supportsScheduledNotifications() {
+    return 'Notification' in window && 'showTrigger' in Notification.prototype && typeof TimestampTrigger === 'function';
+}
+
+function renderReminders() {
+    const profile = activeProfile();
+    const reminders = profile.reminders || [];
+
+    document.getElementById('reminderList').innerHTML = reminders.length
+        ? reminders.map(reminder => `
+            <div class="history-item">
+                <div>
+                    <div class="history-time">${describeReminder(reminder)}</div>
+                    <div style="font-size: 12px; color: #666;">${reminderTimes(reminder, profile).join(' · ') || t('reminders.noTimes')}</div>
+                </div>
+                <div style="text-align: right;">
+                    <button class="link-btn" data-remove-reminder="${reminder.id}">${t('common.remove')}</button>
+                </div>
+            </div>`).join('')
+        : `<div class="no-data">${t('reminders.empty')}</div>`;
+    document.querySelectorAll('[data-remove-reminder]').forEach(btn => {
+        btn.addEventListener('click', () => removeReminder(btn.dataset.removeReminder));
+    });
 
-// Modificar stopMonitoring para liberar wake lock
-const originalStopMonitoring = stopMonitoring;
-stopMonitoring = function() {
-    if (state.wakeLock) {
-        state.wakeLock.release();
-        state.wakeLock = null;
+    document.getElementById('reminderStatus').textContent = reminderSupportText();
+}
+
+function reminderSupportText() {
+    if (!('Notification' in window)) {
+        return t('reminders.unsupported');
     }
-    dom.startBtn.removeEventListener('click', stopMonitoring);
-    dom.startBtn.addEventListener('click', startMonitoring);
-    originalStopMonitoring();
-};
+    if (Notification.permission === 'denied') {
+        return t('reminders.blocked');
+    }
+    if (supportsScheduledNotifications()) {
+        return t('reminders.scheduled');
+    }
+    return t('reminders.openOnly');
+}
 
-// Service Worker para funcionalidad offline
-if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('./sw.js')
-        .then(() => console.log('Service Worker registrado'))
-        .catch(err => console.log('Service Worker error:', err));
+function toggleReminderFields() {
+    const medication = document.getElementById('reminderKind').value === 'medication';
+    document.getElementById('reminderIntervalFields').hidden = medication;
+    document.getElementById('reminderMedicationFields').hidden = !medication;
+}
+
+function addReminder(event) {
+    event.preventDefault();
+    const kind = document.getElementById('reminderKind').value;
+    const everyHours = Number(document.getElementById('reminderEvery').value);
+    const from = document.getElementById('reminderFrom').value;
+    const to = document.getElementById('reminderTo').value;
+
+    let reminder;
+    if (kind === 'medication') {
+        reminder = createReminder({ kind, offsetMinutes: Math.round(Number(document.getElementById('reminderOffset').value) || 0) });
+    } else {
+        if (!(everyHours > 0) || !from || !to || from > to) {
+            notify(t('reminders.invalid'));
+            return;
+        }
+        reminder = createReminder({ kind, everyHours, from, to });
+    }
+
+    const profile = activeProfile();
+    profile.reminders = [...(profile.reminders || []), reminder];
+    saveProfile(profile);
+    renderReminders();
+    requestNotificationPermission();
+}
+
+function removeReminder(id) {
+    const profile = activeProfile();
+    profile.reminders = (profile.reminders || []).filter(reminder => reminder.id !== id);
+    saveProfile(profile);
+    renderReminders();
+    scheduleReminderNotifications();
+}
+
+// Avisa de los recordatorios de todos los perfiles cuya hora acaba de llegar
+function checkMeasurementReminders() {
+    const now = Date.now();
+    const { profiles } = loadSettings();
+
+    upcomingReminders(profiles, now - 2 * REMINDER_CHECK_INTERVAL, now).forEach(reminder => {
+        if (state.notifiedReminders.has(reminder.key)) return;
+        state.notifiedReminders.add(reminder.key);
+
+        // Durante una medición no se interrumpe
+        if (state.session || recorder.isActive) return;
+        const profile = profiles.find(p => p.id === reminder.profileId);
+        showMeasurementReminder(reminder, profiles.length > 1 ? profile.name : '');
+    });
+}
+
+function showMeasurementReminder(reminder, patientName = '') {
+    const notification = measurementNotification(reminder, patientName);
+
+    dom.reminderBanner.hidden = false;
+    dom.reminderBanner.innerHTML = `
+        <span>⏰ ${escapeHTML(notification.options.body)}</span>
+        <button class="btn btn-primary" id="reminderMeasureBtn"><span>▶️</span> ${t('reminders.measureNow')}</button>
+    `;
+    document.getElementById('reminderMeasureBtn').addEventListener('click', () => openReminderMeasurement(reminder.profileId));
+
+    vibrate([300, 100, 300]);
+    // Misma etiqueta que la notificación programada: la sustituye en lugar de duplicarla
+    showSystemNotification(notification.title, notification.options);
+}
+
+function measurementNotification(reminder, patientName) {
+    return {
+        title: `📏 ${t('reminders.notificationTitle')}`,
+        options: {
+            body: `${patientName ? `${patientName} · ` : ''}${t('reminders.notificationBody')}`,
+            tag: reminder.key,
+            data: { action: 'measure', profileId: reminder.profileId }
+        }
+    };
+}
+
+// Reprograma las notificaciones de las próximas horas (la pauta puede haber cambiado)
+async function scheduleReminderNotifications() {
+    if (!supportsScheduledNotifications() || Notification.permission !== 'granted') return;
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration) return;
+
+        const now = Date.now();
+        const pending = await registration.getNotifications({ includeTriggered: true });
+        pending
+            .filter(notification => notification.tag.startsWith(`${REMINDER_TAG}:`) && notification.timestamp > now)
+            .forEach(notification => notification.close());
+
+        const { profiles } = loadSettings();
+        for (const reminder of upcomingReminders(profiles, now, now + REMINDER_SCHEDULE_HOURS * 60 * 60 * 1000)) {
+            const profile = profiles.find(p => p.id === reminder.profileId);
+            const notification = measurementNotification(reminder, profiles.length > 1 ? profile.name : '');
+            await registration.showNotification(notification.title, {
+                ...notification.options,
+                showTrigger: new TimestampTrigger(reminder.at)
+            });
+        }
+    } catch (err) {
+        console.error('No se pudieron programar los recordatorios:', err);
+    }
+}
+
+// Al tocar una notificación (sw.js): medición del perfil avisado o pestaña de medicación
+function handleNotificationAction({ action, profileId }) {
+    if (action === 'measure') {
+        openReminderMeasurement(profileId);
+    } else if (action === 'medication') {
+        showTab('medication');
+    } else if (action === 'alerts') {
+        showTab('history');
+    }
+}
+
+function showTab(tabName) {
+    const tab = document.querySelector(`.tab[data-tab="${tabName}"]`);
+    if (tab) tab.click();
+}
+
+// La medición empieza sola salvo que el sensor pida permiso con un toque (iOS)
+function openReminderMeasurement(profileId) {
+    if (state.session || recorder.isActive) return;
+
+    dom.reminderBanner.hidden = true;
+    const settings = loadSettings();
+    if (profileId && profileId !== settings.activeProfileId && settings.profiles.some(p => p.id === profileId)) {
+        selectProfile(profileId);
+    }
+    showTab('monitor');
+
+    if (window.DeviceMotionEvent && typeof DeviceMotionEvent.requestPermission !== 'function') {
+        startMonitoring();
+    } else {
+        dom.status.textContent = `⏰ ${t('reminders.pressStart')}`;
+        dom.startBtn.focus();
+    }
+}
+
+// Informe para el médico: página imprimible (o PDF desde el diálogo de impresión), sin conexión
+function printReport() {
+    if (state.measurements.length === 0) {
+        notify(t('report.noData'));
+        return;
+    }
+
+    dom.report.innerHTML = buildReportHTML(getHistoryRange());
+    window.print();
+}
+
+function buildReportHTML(range) {
+    const profile = activeProfile();
+    const comparable = comparableMeasurements();
+    const levels = comparable.map(m => m.severityLevel);
+    const avg = levels.length ? levels.reduce((a, b) => a + b, 0) / levels.length : 0;
+    const dateOptions = { day: 'numeric', month: 'long', year: 'numeric' };
+    const chart = document.getElementById('historyChart');
+
+    return `
+        <header class="report-header">
+            <h1>${t('report.title')}</h1>
+            <div class="report-meta">
+                <div><strong>${t('report.patient')}:</strong> ${escapeHTML(profile.name) || '—'}</div>
+                <div><strong>ID:</strong> ${escapeHTML(profile.patientId) || '—'}</div>
+                <div><strong>${t('report.diagnosis')}:</strong> ${escapeHTML(profile.diagnosis) || '—'}</div>
+                <div><strong>${t('report.affectedSide')}:</strong> ${AFFECTED_SIDES[profile.affectedSide] || '—'}</div>
+                <div><strong>${t('report.schedule')}:</strong> ${escapeHTML(profile.medications.map(med => `${med.name} ${med.dose}`.trim()).join(', ')) || '—'}</div>
+                <div><strong>${t('report.period')}:</strong> ${formatDate(range.from, dateOptions)}
+                    – ${formatDate(range.to, dateOptions)}</div>
+                <div><strong>${t('report.generated')}:</strong> ${formatDateTime(Date.now())}</div>
+            </div>
+        </header>
+
+        <section class="report-summary">
+            <div>${t('report.measurements', { count: comparable.length })}</div>
+            <div>${t('report.mean')} <strong>${formatNumber(avg, 1)}</strong>/10</div>
+            <div>${t('report.max')} <strong>${levels.length ? formatNumber(Math.max(...levels), 1) : '—'}</strong></div>
+            <div>${t('report.scale')} <strong>${SEVERITY_MODEL_VERSION}</strong></div>
+        </section>
+
+        <section>
+            <h2>${t('report.evolution')}</h2>
+            <img class="report-chart" src="${chart.toDataURL('image/png')}" alt="${t('report.chartAlt')}">
+        </section>
+
+        <div class="report-columns">
+            <section>
+                <h2>${t('report.daily')}</h2>
+                ${reportTable([t('daily.day'), 'N', t('daily.mean'), 'P90', t('daily.max')], aggregateByDay(comparable).map(d => [
+                    formatDate(d.day, { day: 'numeric', month: 'short' }),
+                    d.count, formatNumber(d.mean, 1), formatNumber(d.p90, 1), formatNumber(d.max, 1)
+                ]))}
+            </section>
+            <section>
+                <h2>${t('report.byTask')}</h2>
+                ${reportTable([t('baseline.task'), t('baseline.hand'), 'N', t('daily.mean'), 'Hz', 'UPDRS'], summarizeByTask(comparable))}
+            </section>
+        </div>
+
+        <div class="report-columns">
+            <section>
+                <h2>${t('report.baselineChange')}</h2>
+                ${reportTable(BASELINE_COLUMNS.map(key => t(`baseline.${key}`)), baselineRows(comparable))}
+                <p class="report-note">${t('report.baselineNote', { count: profile.baselineSessions })}</p>
+            </section>
+            <section>
+                <h2>${t('report.asymmetry')}</h2>
+                ${reportTable(ASYMMETRY_COLUMNS.map(key => t(`asymmetry.${key}`)), asymmetryRows(comparable))}
+            </section>
+        </div>
+
+        <div class="report-columns">
+            <section>
+                <h2>${t('report.frequencies')}</h2>
+                ${frequencyHistogramHTML(comparable)}
+            </section>
+            <section>
+                <h2>${t('report.medication')}</h2>
+                ${medicationSummaryHTML(comparable)}
+            </section>
+        </div>
+
+        <section>
+            <h2>${t('report.diary')}</h2>
+            ${reportTable(['session', 'sleep', 'stress', 'caffeine', 'perceived', 'measured', 'note'].map(key => t(`report.diary.${key}`)), diaryRows(comparable))}
+        </section>
+
+        <section>
+            <h2>${t('report.dataQuality')}</h2>
+            <ul class="report-notes">${dataQualityNotes().map(note => `<li>${note}</li>`).join('')}</ul>
+        </section>
+
+        <footer class="report-footer">
+            ${t('report.disclaimer')}
+        </footer>
+    `;
+}
+
+function reportTable(headers, rows) {
+    if (rows.length === 0) return `<p class="no-data">${t('common.noData')}</p>`;
+    return `
+        <table class="daily-table">
+            <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+}
+
+// Media de severidad, frecuencia e ítem UPDRS por combinación de tarea y mano
+function summarizeByTask(measurements) {
+    const groups = new Map();
+    measurements.forEach(m => {
+        const key = `${m.task || ''}|${m.hand || ''}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(m);
+    });
+
+    const mean = (list, field) => list.reduce((sum, m) => sum + m[field], 0) / list.length;
+
+    return [...groups.entries()].map(([key, list]) => {
+        const [task, hand] = key.split('|');
+        return [
+            TASKS[task] ? TASKS[task].label : t('report.noTask'),
+            HANDS[hand] || '—',
+            list.length,
+            formatNumber(mean(list, 'severityLevel'), 1),
+            formatNumber(mean(list, 'dominantFrequency'), 1),
+            Math.max(...list.map(m => m.updrsItem))
+        ];
+    });
+}
+
+// Histograma de frecuencia dominante en bins de 1 Hz dentro de la banda de búsqueda
+function frequencyHistogramHTML(measurements) {
+    const [low, high] = TREMOR_SEARCH_BAND;
+    const bins = [];
+    for (let f = low; f < high; f++) {
+        bins.push({ label: `${f}-${f + 1} Hz`, count: 0 });
+    }
+    measurements.forEach(m => {
+        const index = Math.floor(m.dominantFrequency) - low;
+        if (index >= 0 && index < bins.length) bins[index].count++;
+    });
+
+    const max = Math.max(1, ...bins.map(b => b.count));
+    return bins.map(b => `
+        <div class="report-bar">
+            <span class="report-bar-label">${b.label}</span>
+            <span class="report-bar-fill" style="width: ${(b.count / max) * 100}%"></span>
+            <span>${b.count}</span>
+        </div>`).join('');
+}
+
+// Una fila por sesión con diario: respuestas y severidad media medida en esa sesión
+function diaryRows(measurements) {
+    const sessions = new Map();
+    measurements.forEach(m => {
+        if (!m.sessionId || isDiaryEmpty(m.diary)) return;
+        if (!sessions.has(m.sessionId)) sessions.set(m.sessionId, []);
+        sessions.get(m.sessionId).push(m);
+    });
+
+    return [...sessions.values()].map(list => {
+        const { diary, timestamp } = list[0];
+        const mean = list.reduce((sum, m) => sum + m.severityLevel, 0) / list.length;
+        return [
+            formatDateTime(timestamp, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }),
+            diaryValueLabel('sleep', diary) || '—',
+            diaryValueLabel('stress', diary) || '—',
+            diaryValueLabel('caffeine', diary) || '—',
+            diaryValueLabel('rating', diary) || '—',
+            `${formatNumber(mean, 1)}/10`,
+            escapeHTML(diary.note)
+        ];
+    });
+}
+
+function medicationSummaryHTML(measurements) {
+    const doses = state.doses.map(dose => {
+        const date = new Date(dose.timestamp);
+        return [
+            formatDate(date, { day: 'numeric', month: 'short' }),
+            formatTime(date, { hour: '2-digit', minute: '2-digit' }),
+            escapeHTML(dose.name),
+            escapeHTML(dose.dose || '')
+        ];
+    });
+
+    const byState = Object.entries(MOTOR_STATES).map(([key, label]) => {
+        const list = measurements.filter(m => m.motorState === key);
+        const mean = list.length ? list.reduce((sum, m) => sum + m.severityLevel, 0) / list.length : null;
+        return [label, list.length, mean === null ? '—' : formatNumber(mean, 1)];
+    });
+
+    return `
+        ${reportTable([t('report.state'), 'N', t('daily.mean')], byState)}
+        <h3>${t('report.doses')}</h3>
+        ${reportTable([t('daily.day'), t('csv.time'), t('csv.medication'), t('csv.dose')], doses)}`;
+}
+
+function dataQualityNotes() {
+    const valid = state.measurements.filter(m => !m.error);
+    const failed = state.measurements.length - valid.length;
+    const timed = valid.filter(m => typeof m.sampleRate === 'number');
+    const notes = [];
+
+    if (timed.length) {
+        const rate = timed.reduce((sum, m) => sum + m.sampleRate, 0) / timed.length;
+        const jitter = timed.reduce((sum, m) => sum + m.timingJitter, 0) / timed.length;
+        const dropped = timed.reduce((sum, m) => sum + m.droppedSamples, 0);
+        notes.push(t('quality.note.sampling', { rate: formatNumber(rate, 0), jitter: formatNumber(jitter, 1), count: dropped }));
+    }
+
+    const filtered = valid.filter(m => m.linearSource === 'filter').length;
+    if (filtered) {
+        notes.push(t('quality.note.filtered', { count: filtered }));
+    }
+
+    const live = valid.filter(isLiveMeasurement);
+    const calibrated = live.filter(m => m.deviceProfile);
+    if (calibrated.length) {
+        const latest = calibrated.reduce((a, b) => (b.deviceProfile.calibratedAt > a.deviceProfile.calibratedAt ? b : a));
+        notes.push(t('quality.note.calibrated', {
+            count: calibrated.length,
+            date: formatDate(latest.deviceProfile.calibratedAt),
+            cm: formatNumber(latest.deviceProfile.noiseFloor.displacementCm, 3)
+        }));
+    }
+    if (live.length > calibrated.length) {
+        notes.push(t('quality.note.uncalibrated', { count: live.length - calibrated.length }));
+    }
+
+    const simulated = valid.filter(m => !isLiveMeasurement(m)).length;
+    const legacy = valid.length - simulated - comparableMeasurements().length;
+    if (legacy) {
+        notes.push(t('quality.note.legacy', { count: legacy }));
+    }
+
+    if (simulated) {
+        notes.push(t('quality.note.simulated', { count: simulated }));
+    }
+
+    const flagged = valid.filter(m => m.qualityStatus === 'flagged');
+    if (flagged.length) {
+        notes.push(t('quality.note.flagged', { count: flagged.length, issues: summarizeQualityIssues(flagged) }));
+    }
+
+    const rejected = state.measurements.filter(m => m.error && m.qualityStatus === 'rejected');
+    if (rejected.length) {
+        notes.push(t('quality.note.rejected', { count: rejected.length, issues: summarizeQualityIssues(rejected) }));
+    }
+
+    if (failed > rejected.length) {
+        notes.push(t('quality.note.failed', { count: failed - rejected.length }));
+    }
+
+    return notes.length ? notes : [t('quality.note.none')];
+}
+
+// Incidencias más frecuentes, p. ej. "Huecos en el registro (3), Señal saturada (1)"
+function summarizeQualityIssues(measurements) {
+    const counts = new Map();
+    measurements.forEach(m => qualityMessages(m).forEach(message => {
+        counts.set(message, (counts.get(message) || 0) + 1);
+    }));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([message, count]) => `${message} (${count})`)
+        .join(', ');
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Perfiles de paciente (lib/profiles.js): el activo acota historial, pauta, informe y exportaciones
+function activeProfile() {
+    return getActiveProfile(loadSettings());
+}
+
+function saveProfile(profile) {
+    const settings = loadSettings();
+    settings.profiles = settings.profiles.map(p => (p.id === profile.id ? profile : p));
+    saveSettings(settings);
+}
+
+function renderProfileSelect() {
+    const settings = loadSettings();
+    dom.profileSelect.innerHTML = settings.profiles
+        .map(p => `<option value="${p.id}">${escapeHTML(p.name) || t('profile.unnamed')}</option>`)
+        .join('');
+    dom.profileSelect.value = getActiveProfile(settings).id;
+}
+
+// Cambiar de perfil recarga sus mediciones, su pauta y su línea basal
+function selectProfile(profileId) {
+    saveSettings({ ...loadSettings(), activeProfileId: profileId });
+    renderProfileSelect();
+    updateProfileTab();
+    updateMedicationTab();
+    loadMeasurements();
+    dom.alertBanner.hidden = true;
+    checkAlerts();
+}
+
+// Nuevo perfil vacío: pasa a ser el activo para rellenar sus datos
+function addProfile() {
+    if (state.session) {
+        notify(t('profile.finishFirst'));
+        return;
+    }
+
+    const settings = loadSettings();
+    const profile = createProfile();
+    settings.profiles.push(profile);
+    saveSettings(settings);
+    selectProfile(profile.id);
+    document.getElementById('profileName').focus();
+}
+
+function saveProfileForm(event) {
+    event.preventDefault();
+    const sessions = Math.round(Number(document.getElementById('profileBaselineSessions').value));
+
+    saveProfile({
+        ...activeProfile(),
+        name: document.getElementById('profileName').value.trim(),
+        patientId: document.getElementById('profilePatientId').value.trim(),
+        affectedSide: document.getElementById('profileSide').value,
+        diagnosis: document.getElementById('profileDiagnosis').value.trim(),
+        baselineSessions: sessions > 0 ? sessions : BASELINE_SESSIONS
+    });
+    renderProfileSelect();
+    updateProfileTab();
+}
+
+async function updateProfileTab() {
+    const profile = activeProfile();
+    document.getElementById('profileName').value = profile.name;
+    document.getElementById('profilePatientId').value = profile.patientId;
+    document.getElementById('profileSide').value = profile.affectedSide;
+    document.getElementById('profileDiagnosis').value = profile.diagnosis;
+    document.getElementById('profileBaselineSessions').value = profile.baselineSessions;
+
+    renderSyncStatus();
+    renderClinicianNotes();
+    renderCalibration();
+    fillAlertForm();
+
+    await refreshBaselines();
+    const baselines = Object.values(state.baselines);
+    document.getElementById('baselineSummary').innerHTML = baselines.length
+        ? reportTable([t('baseline.task'), t('baseline.hand'), t('baseline.sessions'), t('daily.mean'), 'cm', 'Hz'], baselines.map(b => [
+            taskLabel(b.task),
+            HANDS[b.hand] || b.hand,
+            `${b.sessions}/${b.required}`,
+            formatNumber(b.severity, 1),
+            formatNumber(b.displacementCm, 2),
+            formatNumber(b.frequency, 1)
+        ]))
+        : `<div class="no-data">${t('profile.noBaseline')}</div>`;
+}
+
+// Línea basal del perfil activo: se calcula con todo su historial, no solo con el periodo visible
+async function refreshBaselines() {
+    const profile = activeProfile();
+    try {
+        const history = (await getMeasurementsInRange(0, Date.now()))
+            .filter(m => recordProfile(m) === profile.id && isComparable(m));
+        state.baselines = computeBaselines(history, profile.baselineSessions);
+    } catch (err) {
+        console.error('No se pudo calcular la línea basal:', err);
+    }
+    return state.baselines;
+}
+
+// Por tarea y mano: [tarea, mano, basal, media del periodo, cambio]
+const BASELINE_COLUMNS = ['task', 'hand', 'baseline', 'period', 'change'];
+
+function baselineRows(measurements) {
+    return Object.entries(state.baselines).map(([key, baseline]) => {
+        const list = measurements.filter(m => baselineKey(m) === key);
+        const mean = list.length ? list.reduce((sum, m) => sum + m.severityLevel, 0) / list.length : null;
+        return [
+            taskLabel(baseline.task),
+            HANDS[baseline.hand] || escapeHTML(baseline.hand),
+            baseline.complete
+                ? formatNumber(baseline.severity, 1)
+                : t('baseline.progress', { sessions: baseline.sessions, required: baseline.required }),
+            mean === null ? '—' : formatNumber(mean, 1),
+            baseline.complete && mean !== null ? formatSigned(mean - baseline.severity) : '—'
+        ];
+    });
+}
+
+// Por tarea: [tarea, izquierda (N), derecha (N), diferencia izquierda - derecha]
+const ASYMMETRY_COLUMNS = ['task', 'left', 'right', 'difference'];
+
+function asymmetryRows(measurements) {
+    return handAsymmetry(measurements).map(a => [
+        taskLabel(a.task),
+        `${formatNumber(a.left, 1)} (${a.leftCount})`,
+        `${formatNumber(a.right, 1)} (${a.rightCount})`,
+        formatSigned(a.difference)
+    ]);
+}
+
+function renderBaselineStats(comparable) {
+    const rows = baselineRows(comparable);
+    const asymmetry = asymmetryRows(comparable);
+    document.getElementById('baselineStats').innerHTML = rows.length
+        ? reportTable(BASELINE_COLUMNS.map(key => t(`baseline.${key}`)), rows) +
+            (asymmetry.length ? reportTable(ASYMMETRY_COLUMNS.map(key => t(`asymmetry.${key}`)), asymmetry) : '')
+        : `<div class="no-data">${t('baseline.pending', { count: activeProfile().baselineSessions })}</div>`;
+}
+
+// Cambio de la medición respecto a la línea basal de su tarea y mano
+function formatBaselineChange(m) {
+    const change = isComparable(m) ? compareToBaseline(m, state.baselines) : null;
+    if (!change) return '';
+
+    return `
+                        <div class="baseline-change">
+                            📏 ${change.isBaseline ? t('detail.baseline') : t('baseline.vs', { change: formatSigned(change.severityChange) })}
+                        </div>`;
+}
+
+function formatSigned(value) {
+    const rounded = Math.round(value * 10) / 10;
+    return `${rounded > 0 ? '+' : ''}${formatNumber(rounded, 1)}`;
+}
+
+function taskLabel(task) {
+    return TASKS[task] ? TASKS[task].label : t('report.noTask');
+}
+
+// Avisos de empeoramiento (lib/alerts.js): se evalúan al abrir la app, al cambiar de
+// perfil y al terminar cada sesión. Las nuevas se guardan en el registro de alertas,
+// se muestran en la app y llegan como notificación del sistema.
+async function checkAlerts() {
+    const profile = activeProfile();
+    try {
+        const history = (await getMeasurementsInRange(0, Date.now()))
+            .filter(m => recordProfile(m) === profile.id && isComparable(m));
+        const baselines = computeBaselines(history, profile.baselineSessions);
+        const known = new Set((await getAlerts(profile.id)).map(alert => alert.key));
+        const alerts = evaluateAlerts(history, baselines, alertSettings(profile))
+            .filter(alert => !known.has(alert.key))
+            .map(alert => ({ ...alert, profileId: profile.id }));
+        if (alerts.length === 0) return;
+
+        await saveAlerts(alerts);
+        showAlerts(alerts, profile);
+        renderAlertLog();
+    } catch (err) {
+        console.error('No se pudieron evaluar las alertas:', err);
+    }
+}
+
+function showAlerts(alerts, profile) {
+    const texts = alerts.map(describeAlert);
+    const title = t('alerts.bannerTitle', { count: alerts.length });
+
+    dom.alertBanner.hidden = false;
+    dom.alertBanner.innerHTML = `
+        <span>⚠️ ${title}</span>
+        <ul>${texts.map(text => `<li>${escapeHTML(text)}</li>`).join('')}</ul>
+        <button class="btn btn-primary" id="alertSeenBtn"><span>✔️</span> ${t('alerts.seen')}</button>
+        <button class="btn btn-secondary" id="alertShareBtn"><span>📤</span> ${t('alerts.share')}</button>
+    `;
+    document.getElementById('alertSeenBtn').addEventListener('click', () => acknowledgeAlerts(alerts));
+    document.getElementById('alertShareBtn').addEventListener('click', () => shareAlerts(alerts));
+
+    vibrate([300, 100, 300, 100, 300]);
+    announce(`${title}. ${texts.join('. ')}`, true);
+    // Con varios perfiles en el teléfono, la notificación dice de quién es
+    const patient = loadSettings().profiles.length > 1 ? `${profile.name || t('profile.unnamed')} · ` : '';
+    showSystemNotification(`⚠️ ${t('alerts.notificationTitle')}`, {
+        body: `${patient}${texts.join(' · ')}`,
+        tag: `alert:${alerts[0].key}`,
+        data: { action: 'alerts' }
+    });
+}
+
+async function acknowledgeAlerts(alerts) {
+    dom.alertBanner.hidden = true;
+    const acknowledgedAt = Date.now();
+    try {
+        await Promise.all(alerts.map(alert => updateAlert(alert.key, { acknowledgedAt })));
+    } catch (err) {
+        console.error('No se pudo actualizar el registro de alertas:', err);
+    }
+    renderAlertLog();
+}
+
+// Resumen para el cuidador: por correo si el perfil tiene su dirección y, si no, con la
+// hoja de compartir del sistema (mensajería, correo, etc.). Queda anotado en el registro.
+async function shareAlerts(alerts) {
+    const profile = activeProfile();
+    const settings = alertSettings(profile);
+    const title = t('alerts.summaryTitle', { name: profile.name || t('profile.unnamed') });
+    const text = caregiverSummary(alerts, profile, settings);
+
+    let via;
+    if (settings.caregiverEmail) {
+        window.location.href = `mailto:${encodeURIComponent(settings.caregiverEmail)}?subject=${encodeURIComponent(title)}&body=${encodeURIComponent(text)}`;
+        via = 'email';
+    } else if (navigator.share) {
+        try {
+            await navigator.share({ title, text });
+            via = 'share';
+        } catch (err) {
+            if (err.name !== 'AbortError') console.error('No se pudo compartir:', err);
+            return;
+        }
+    } else {
+        notify(t('alerts.noShare'));
+        return;
+    }
+
+    const sharedAt = Date.now();
+    try {
+        await Promise.all(alerts.map(alert => updateAlert(alert.key, { sharedAt, sharedVia: via })));
+    } catch (err) {
+        console.error('No se pudo actualizar el registro de alertas:', err);
+    }
+    renderAlertLog();
+}
+
+function caregiverSummary(alerts, profile, settings) {
+    const lines = alerts.map(alert => `• ${formatDateTime(alert.timestamp, {
+        day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+    })}: ${describeAlert(alert)}`);
+    return [
+        settings.caregiverName ? t('alerts.summaryGreeting', { name: settings.caregiverName }) : null,
+        t('alerts.summaryIntro', { name: profile.name || t('profile.unnamed') }),
+        ...lines,
+        '',
+        t('alerts.summaryFooter')
+    ].filter(line => line !== null).join('\n');
+}
+
+// Registro de alertas del perfil activo (todas, no solo las del periodo visible)
+async function renderAlertLog() {
+    const container = document.getElementById('alertLog');
+    try {
+        const alerts = await getAlerts(activeProfile().id);
+        container.innerHTML = alerts.length
+            ? alerts.map(formatAlertEntry).reverse().join('')
+            : `<div class="no-data">${t('alerts.logEmpty')}</div>`;
+        container.querySelectorAll('[data-share-alert]').forEach(btn => {
+            btn.addEventListener('click', () => shareAlerts(alerts.filter(alert => alert.key === btn.dataset.shareAlert)));
+        });
+    } catch (err) {
+        console.error('No se pudo cargar el registro de alertas:', err);
+    }
+}
+
+function formatAlertEntry(alert) {
+    const time = value => formatDateTime(value, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+    const status = [
+        alert.acknowledgedAt ? t('alerts.acknowledged', { time: time(alert.acknowledgedAt) }) : t('alerts.pending'),
+        alert.sharedAt ? t('alerts.shared', { time: time(alert.sharedAt), via: t(`alerts.via.${alert.sharedVia}`) }) : null
+    ].filter(Boolean).join(' · ');
+    return `
+        <div class="clinician-note alert-entry">
+            <div class="history-time">${ALERT_RULES[alert.rule]} · ${time(alert.timestamp)}</div>
+            <div>${escapeHTML(describeAlert(alert))}</div>
+            <div class="alert-status">
+                ${status}
+                ${alert.sharedAt ? '' : `<button class="link-btn" data-share-alert="${alert.key}">📤 ${t('alerts.share')}</button>`}
+            </div>
+        </div>`;
+}
+
+// Reglas y umbrales del perfil: casillas data-alert-rule y campos data-alert-field
+function fillAlertForm() {
+    const settings = alertSettings(activeProfile());
+    document.querySelectorAll('[data-alert-rule]').forEach(input => {
+        input.checked = settings[input.dataset.alertRule];
+    });
+    document.querySelectorAll('[data-alert-field]').forEach(input => {
+        input.value = settings[input.dataset.alertField];
+    });
+    document.getElementById('caregiverName').value = settings.caregiverName;
+    document.getElementById('caregiverEmail').value = settings.caregiverEmail;
+}
+
+function saveAlertForm(event) {
+    event.preventDefault();
+    const profile = activeProfile();
+    const alerts = alertSettings(profile);
+
+    document.querySelectorAll('[data-alert-rule]').forEach(input => {
+        alerts[input.dataset.alertRule] = input.checked;
+    });
+    document.querySelectorAll('[data-alert-field]').forEach(input => {
+        const value = Number(input.value);
+        if (value > 0) alerts[input.dataset.alertField] = value;
+    });
+    alerts.trendDays = Math.round(alerts.trendDays);
+    alerts.missedDays = Math.round(alerts.missedDays);
+    alerts.caregiverName = document.getElementById('caregiverName').value.trim();
+    alerts.caregiverEmail = document.getElementById('caregiverEmail').value.trim();
+
+    saveProfile({ ...profile, alerts });
+    fillAlertForm();
+    requestNotificationPermission();
+    checkAlerts();
+}
+
+// Calibración del teléfono (lib/calibration.js): una vez por dispositivo, en reposo
+// sobre una mesa. Se graba con su propio grabador para no mezclarse con las tareas.
+const CALIBRATION_FAILURES = {
+    'moved': 'calibration.failed.moved',
+    'no-gravity': 'calibration.failed.noGravity',
+};
+
+const calibrationRecorder = createRecorder({
+    analyse: recording => characterizeSensor(recording, { userAgent: navigator.userAgent })
+})
+    .on('started', () => showCalibrationStatus(`⏳ ${t('calibration.settling')}`))
+    .on('resumed', () => showCalibrationStatus(`⏳ ${t('calibration.settling')}`))
+    .on('paused', () => showCalibrationStatus(`⏸️ ${t('calibration.paused')}`))
+    .on('progress', showCalibrationProgress)
+    .on('completed', saveCalibration)
+    .on('failed', showCalibrationFailed);
+
+// Perfil del sensor de este teléfono, o null si aún no se ha calibrado
+function deviceProfile() {
+    return findDeviceProfile(loadSettings().deviceProfiles, navigator.userAgent);
+}
+
+function startCalibration() {
+    if (state.session || recorder.isActive || calibrationRecorder.isActive) return;
+    if (!window.DeviceMotionEvent) {
+        notify(t('monitor.noSensor'));
+        return;
+    }
+
+    document.getElementById('calibrateBtn').disabled = true;
+    if (typeof DeviceMotionEvent.requestPermission === 'function') {
+        requestMotionPermission(calibrationRecorder).then(granted => {
+            if (granted) {
+                beginCalibration();
+                return;
+            }
+            document.getElementById('calibrateBtn').disabled = false;
+            showCalibrationStatus(permissionFailureText(calibrationRecorder));
+        });
+    } else {
+        beginCalibration();
+    }
+}
+
+function beginCalibration() {
+    requestWakeLock();
+    calibrationRecorder.start(createDeviceMotionSource(), CALIBRATION_STEP);
+    if (document.hidden) calibrationRecorder.pause('hidden');
+}
+
+function showCalibrationProgress(progress) {
+    const remaining = Math.ceil(progress.remaining / 1000);
+    if (progress.state === 'recording' && remaining > 0) {
+        showCalibrationStatus(`📐 ${t('calibration.running', { count: remaining })}`);
+    }
+}
+
+function saveCalibration({ profile }) {
+    finishCalibration();
+    const settings = loadSettings();
+    saveSettings({ ...settings, deviceProfiles: { ...settings.deviceProfiles, [profile.userAgent]: profile } });
+
+    vibrate([200, 100, 200]);
+    announce(t('calibration.done'));
+    showCalibrationStatus(`✅ ${t('calibration.done')}`);
+    renderCalibration();
+}
+
+function showCalibrationFailed({ reason }) {
+    finishCalibration();
+    const message = t(CALIBRATION_FAILURES[reason] || 'calibration.failed.generic');
+    announce(message);
+    showCalibrationStatus(`⚠️ ${message}`);
+}
+
+function finishCalibration() {
+    releaseWakeLock();
+    document.getElementById('calibrateBtn').disabled = false;
+}
+
+function showCalibrationStatus(text) {
+    document.getElementById('calibrationStatus').textContent = text;
+}
+
+// Resumen del perfil en la pestaña de perfil y aviso en el monitor si falta
+function renderCalibration() {
+    const profile = deviceProfile();
+    document.getElementById('calibrationHint').hidden = Boolean(profile);
+    document.getElementById('calibrationSummary').innerHTML = profile
+        ? reportTable([t('calibration.property'), t('calibration.value')], [
+            [t('calibration.date'), formatDateTime(profile.calibratedAt, { dateStyle: 'medium', timeStyle: 'short' })],
+            [t('csv.sampleRate'), `${formatNumber(profile.sampleRate, 1)} · ± ${formatNumber(profile.timingJitter, 1)} ms`],
+            [t('calibration.gravity'), `${formatNumber(profile.gravity, 2)} m/s²`],
+            [t('calibration.noise'), ['x', 'y', 'z'].map(axis => formatNumber(profile.noiseRMS[axis], 3)).join(' / ') + ' m/s²'],
+            [t('calibration.noiseFloor'), `${formatNumber(profile.noiseFloor.displacementCm, 3)} cm`]
+        ])
+        : `<div class="no-data">${t('calibration.none')}</div>`;
+}
+
+// Sincronización con la clínica (lib/sync.js): opcional, con cola para cuando no hay conexión.
+// Las mediciones simuladas no se envían.
+function queueForSync(kind, record) {
+    if (kind === 'measurement' && !isLiveMeasurement(record)) return;
+
+    queueRecord(kind, record)
+        .then(queued => {
+            if (queued) requestSync();
+        })
+        .catch(err => console.error('No se pudo poner en cola para sincronizar:', err));
+}
+
+// Con Background Sync el service worker envía la cola aunque se cierre la app;
+// sin él, se envía desde la página. Con el cifrado activado el worker no puede leer la
+// cola (no tiene la clave): la envía la página mientras está desbloqueada.
+function requestSync() {
+    if ('serviceWorker' in navigator && 'SyncManager' in window && !isEncryptionEnabled()) {
+        navigator.serviceWorker.ready
+            .then(registration => {
+                // El worker clásico (sw-core.js) no atiende Background Sync
+                if (registration.active.scriptURL.endsWith('/sw-core.js')) return runSync();
+                return registration.sync.register(SYNC_TAG);
+            })
+            .catch(() => runSync());
+    } else {
+        runSync();
+    }
+}
+
+async function runSync() {
+    if (state.syncing || !isSyncConfigured(loadSettings())) return;
+
+    state.syncing = true;
+    try {
+        state.lastSync = { at: Date.now(), ...(await syncNow()) };
+    } catch (err) {
+        console.error('No se pudo sincronizar:', err);
+        state.lastSync = { at: Date.now(), error: err.message };
+    } finally {
+        state.syncing = false;
+    }
+    renderSyncStatus();
+    renderClinicianNotes();
+}
+
+// Respuestas que ha dejado el service worker tras un envío en segundo plano
+async function applySyncResults() {
+    try {
+        const summary = await processSyncResults();
+        state.lastSync = { at: Date.now(), notes: 0, ...summary };
+        // Los conflictos fusionados vuelven a la cola
+        if (summary.conflicts > 0) requestSync();
+    } catch (err) {
+        console.error('No se pudieron procesar las respuestas de sincronización:', err);
+    }
+    renderSyncStatus();
+}
+
+function fillSyncForm() {
+    const sync = syncSettings(loadSettings());
+    document.getElementById('syncBackend').innerHTML = Object.entries(SYNC_BACKENDS)
+        .map(([id, backend]) => `<option value="${id}">${backend.label}</option>`)
+        .join('');
+    document.getElementById('syncEnabled').checked = sync.enabled;
+    document.getElementById('syncBackend').value = sync.backend;
+    document.getElementById('syncEndpoint').value = sync.endpoint;
+    document.getElementById('syncToken').value = sync.token;
+}
+
+async function saveSyncForm(event) {
+    event.preventDefault();
+    const settings = loadSettings();
+    const sync = syncSettings(settings);
+    const enabled = document.getElementById('syncEnabled').checked;
+
+    saveSettings(ensureDeviceId({
+        ...settings,
+        sync: {
+            ...sync,
+            enabled,
+            backend: document.getElementById('syncBackend').value,
+            endpoint: document.getElementById('syncEndpoint').value.trim(),
+            token: document.getElementById('syncToken').value.trim()
+        }
+    }));
+
+    // Al activarla se envía también lo que aún no estaba sincronizado
+    if (enabled && !sync.enabled) {
+        try {
+            await queueUnsynced();
+        } catch (err) {
+            console.error('No se pudo preparar el historial para sincronizar:', err);
+        }
+    }
+    requestSync();
+    renderSyncStatus();
+}
+
+async function queueUnsynced() {
+    const now = Date.now();
+    const measurements = (await getMeasurementsInRange(0, now)).filter(m => !m.syncVersion && isLiveMeasurement(m));
+    const doses = (await getDosesInRange(0, now)).filter(dose => !dose.syncVersion);
+    for (const m of measurements) await queueRecord('measurement', m);
+    for (const dose of doses) await queueRecord('dose', dose);
+}
+
+async function renderSyncStatus() {
+    const container = document.getElementById('syncStatus');
+    if (!isSyncConfigured(loadSettings())) {
+        container.textContent = t('sync.disabled');
+        return;
+    }
+
+    const parts = [];
+    try {
+        const pending = await countSyncRequests();
+        parts.push(pending ? t('sync.pending', { count: pending }) : t('sync.allSent'));
+    } catch (err) {
+        console.error('No se pudo consultar la cola de sincronización:', err);
+    }
+
+    const last = state.lastSync;
+    if (last) {
+        const time = formatTime(last.at, { hour: '2-digit', minute: '2-digit' });
+        if (last.error) {
+            parts.push(t('sync.offline', { time }));
+        } else {
+            parts.push(t('sync.last', { time, sent: t('sync.sent', { count: last.accepted }) }) +
+                (last.conflicts ? `, ${t('sync.conflicts', { count: last.conflicts })}` : '') +
+                (last.rejected.length ? `, ${t('sync.rejected', { count: last.rejected.length })}` : '') +
+                (last.notes ? `, ${t('sync.notes', { count: last.notes })}` : ''));
+        }
+    }
+    container.textContent = `🔄 ${parts.join(' · ')}`;
+}
+
+async function renderClinicianNotes() {
+    const container = document.getElementById('clinicianNotes');
+    try {
+        const notes = await getNotes(activeProfile().id);
+        container.innerHTML = notes.length
+            ? notes.map(formatClinicianNote).reverse().join('')
+            : `<div class="no-data">${t('sync.noNotes')}</div>`;
+    } catch (err) {
+        console.error('No se pudieron cargar las notas:', err);
+    }
+}
+
+function formatClinicianNote(note) {
+    const date = formatDateTime(note.createdAt, {
+        day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+    });
+    return `
+        <div class="clinician-note">
+            <div class="history-time">${escapeHTML(note.author || t('sync.clinic'))} · ${date}</div>
+            <div>${escapeHTML(note.text)}</div>
+        </div>`;
+}
+
+// Instalar como PWA
+window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    state.deferredPrompt = e;
+
+    // Mostrar botón de instalación
+    const installBtn = document.createElement('button');
+    installBtn.className = 'btn btn-secondary';
+    installBtn.innerHTML = `📲 ${t('app.install')}`;
+    installBtn.onclick = installApp;
+    
+    document.querySelector('.container').insertBefore(
+        installBtn, 
+        document.querySelector('.container').firstChild
+    );
+});
+
+// Privacidad: cifrado de los datos (lib/storage.js) y bloqueo con código
+const AUTO_LOCK_DEFAULT = 5; // minutos sin uso
+const AUTO_LOCK_CHECK_INTERVAL = 15000;
+
+// Con el cifrado activado la app arranca bloqueada: no se lee nada hasta dar el código
+function startApp() {
+    initLocale();
+    if (!isLocked()) {
+        initializeApp();
+        return;
+    }
+
+    document.getElementById('lockScreen').hidden = false;
+    document.getElementById('unlockForm').addEventListener('submit', unlockApp);
+    document.getElementById('forgotPasscodeBtn').addEventListener('click', forgotPasscode);
+    document.getElementById('unlockPasscode').focus();
+}
+
+async function unlockApp(event) {
+    event.preventDefault();
+    const input = document.getElementById('unlockPasscode');
+    const error = document.getElementById('unlockError');
+    const button = document.getElementById('unlockBtn');
+
+    button.disabled = true;
+    error.textContent = t('lock.checking');
+    try {
+        if (await unlockStorage(input.value)) {
+            input.value = '';
+            error.textContent = '';
+            document.getElementById('lockScreen').hidden = true;
+            initializeApp();
+            return;
+        }
+        error.textContent = t('lock.wrongPasscode');
+        input.select();
+    } catch (err) {
+        console.error('No se pudo desbloquear:', err);
+        error.textContent = t('lock.decryptFailed');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Sin el código los datos cifrados son irrecuperables: solo queda borrarlos
+async function forgotPasscode() {
+    if (!await askConfirm(t('lock.confirmErase'), t('dialog.erase'))) return;
+
+    try {
+        await eraseAllData();
+    } catch (err) {
+        console.error('No se pudieron borrar los datos:', err);
+    }
+    window.location.reload();
+}
+
+// Bloqueo automático tras unos minutos sin tocar la app
+function startAutoLock() {
+    const touch = () => { state.lastActivity = Date.now(); };
+    ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+        document.addEventListener(type, touch, { passive: true });
+    });
+    // En segundo plano los temporizadores se frenan: se comprueba también al volver
+    document.addEventListener('visibilitychange', checkAutoLock);
+    setInterval(checkAutoLock, AUTO_LOCK_CHECK_INTERVAL);
+    touch();
+}
+
+function checkAutoLock() {
+    const lock = loadLockConfig();
+    if (!lock || !lock.autoLockMinutes) return;
+
+    // Una medición o una calibración en curso cuenta como uso
+    if (state.session || recorder.isActive || calibrationRecorder.isActive) {
+        state.lastActivity = Date.now();
+        return;
+    }
+    if (Date.now() - state.lastActivity >= lock.autoLockMinutes * 60000) lockApp();
+}
+
+// Bloquear recarga la página: así no queda en memoria nada descifrado
+function lockApp() {
+    if (state.session || recorder.isActive || calibrationRecorder.isActive) {
+        notify(t('lock.finishFirst'));
+        return;
+    }
+    lockStorage();
+    window.location.reload();
+}
+
+function renderPrivacySettings() {
+    const available = isCryptoAvailable();
+    const enabled = isEncryptionEnabled();
+    const lock = loadLockConfig();
+    const status = document.getElementById('encryptionStatus');
+
+    if (!available) {
+        status.textContent = t('privacy.unavailable');
+    } else if (enabled) {
+        status.textContent = t('privacy.enabled');
+    } else {
+        status.textContent = t('privacy.disabled');
+    }
+
+    document.getElementById('currentPasscode').hidden = !enabled;
+    const submit = document.getElementById('encryptionSubmit');
+    submit.innerHTML = enabled
+        ? `<span>🔑</span> ${t('privacy.changePasscode')}`
+        : `<span>🔒</span> ${t('privacy.enable')}`;
+    submit.disabled = !available;
+    document.getElementById('lockOptions').hidden = !enabled;
+    document.getElementById('autoLockSelect').value = String(lock ? lock.autoLockMinutes : AUTO_LOCK_DEFAULT);
+    document.getElementById('backupBtn').disabled = !available;
+}
+
+// Activa el cifrado o cambia el código
+async function saveEncryptionForm(event) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const current = document.getElementById('currentPasscode').value;
+    const passcode = document.getElementById('newPasscode').value;
+
+    if (passcode.length < MIN_PASSCODE_LENGTH) {
+        notify(t('privacy.tooShort', { count: MIN_PASSCODE_LENGTH }));
+        return;
+    }
+    if (passcode !== document.getElementById('confirmPasscode').value) {
+        notify(t('privacy.mismatch'));
+        return;
+    }
+
+    const submit = document.getElementById('encryptionSubmit');
+    submit.disabled = true;
+    try {
+        if (isEncryptionEnabled()) {
+            if (!(await changePasscode(current, passcode))) {
+                notify(t('privacy.wrongCurrent'));
+                return;
+            }
+            notify(t('privacy.changed'));
+        } else {
+            document.getElementById('encryptionStatus').textContent = t('privacy.encrypting');
+            await enableEncryption(passcode, AUTO_LOCK_DEFAULT);
+            notify(t('privacy.encrypted'));
+        }
+        form.reset();
+    } catch (err) {
+        console.error('No se pudo guardar el cifrado:', err);
+        notify(t('privacy.failed'));
+    } finally {
+        renderPrivacySettings();
+    }
+}
+
+async function disableEncryptionWithPasscode() {
+    const current = document.getElementById('currentPasscode');
+    if (!current.value) {
+        notify(t('privacy.currentRequired')).then(() => current.focus());
+        return;
+    }
+    if (!await askConfirm(t('privacy.confirmDisable'))) return;
+
+    try {
+        if (!(await disableEncryption(current.value))) {
+            notify(t('privacy.wrongCurrent'));
+            return;
+        }
+        document.getElementById('encryptionForm').reset();
+        notify(t('privacy.disabledDone'));
+    } catch (err) {
+        console.error('No se pudo desactivar el cifrado:', err);
+        notify(t('privacy.disableFailed'));
+    } finally {
+        renderPrivacySettings();
+    }
+}
+
+// Copia de seguridad cifrada con su propio código (sirve para cambiar de teléfono)
+async function downloadBackup() {
+    const passcode = document.getElementById('backupPasscode').value;
+    if (passcode.length < MIN_PASSCODE_LENGTH) {
+        notify(t('backup.tooShort', { count: MIN_PASSCODE_LENGTH }));
+        return;
+    }
+
+    try {
+        const backup = await exportBackup(passcode);
+        const date = new Date().toISOString().split('T')[0];
+        downloadFile(backup, `temblor_copia_${date}.json`, 'application/json');
+    } catch (err) {
+        console.error('No se pudo crear la copia:', err);
+        notify(t('backup.failed'));
+    }
+}
+
+// Causas de decryptBackup (lib/crypto.js); cualquier otro error es un fallo al restaurar
+const BACKUP_FAILURES = {
+    'not-backup': 'backup.notBackup',
+    'newer-version': 'backup.newerVersion',
+    'unsupported-kdf': 'backup.unsupportedKdf',
+    'wrong-passcode': 'backup.wrongPasscode',
+};
+
+async function restoreFromBackup(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const passcode = document.getElementById('backupPasscode').value;
+    if (!passcode) {
+        notify(t('backup.passcodeRequired'));
+        return;
+    }
+    if (state.session) {
+        notify(t('backup.finishFirst'));
+        return;
+    }
+    if (!await askConfirm(t('backup.confirmRestore'))) return;
+
+    try {
+        const counts = await restoreBackup(await file.text(), passcode);
+        selectProfile(loadSettings().activeProfileId);
+        fillSyncForm();
+        dom.storeRaw.checked = loadSettings().storeRawSignals;
+        notify(t('backup.restored', {
+            measurements: t('backup.measurements', { count: counts.measurements }),
+            doses: t('backup.doses', { count: counts.doses })
+        }));
+    } catch (err) {
+        console.error('No se pudo restaurar la copia:', err);
+        notify(`❌ ${t(BACKUP_FAILURES[err.code] || 'backup.restoreFailed')}`);
+    }
+}
+
+function installApp() {
+    if (!state.deferredPrompt) return;
+    
+    state.deferredPrompt.prompt();
+    state.deferredPrompt.userChoice.then((choiceResult) => {
+        if (choiceResult.outcome === 'accepted') {
+            console.log('PWA instalada');
+        }
+        state.deferredPrompt = null;
+    });
+}
+
+// Avisos y confirmaciones en la página en lugar de alert(), confirm() y prompt():
+// no bloquean la medición, los anuncia el lector de pantalla y tienen botones grandes.
+// Se muestran de uno en uno; cada llamada devuelve una promesa con el botón elegido.
+let dialogQueue = Promise.resolve();
+
+function showDialog({ message, buttons, text = null }) {
+    const shown = dialogQueue.then(() => openDialog(message, buttons, text));
+    dialogQueue = shown;
+    return shown;
+}
+
+function notify(message) {
+    return showDialog({ message, buttons: [{ label: t('dialog.ok'), value: true }] });
+}
+
+// El foco empieza en «Cancelar»: un toque involuntario no confirma nada
+function askConfirm(message, confirmLabel = t('dialog.accept')) {
+    return showDialog({
+        message,
+        buttons: [
+            { label: t('dialog.cancel'), value: false, className: 'btn-secondary', cancel: true },
+            { label: confirmLabel, value: true }
+        ]
+    });
+}
+
+function openDialog(message, buttons, text) {
+    return new Promise(resolve => {
+        const overlay = document.getElementById('dialogView');
+        const textArea = document.getElementById('dialogText');
+        const container = document.getElementById('dialogButtons');
+        const opener = document.activeElement;
+        const escapeValue = (buttons.find(button => button.cancel) || buttons[0]).value;
+
+        document.getElementById('dialogMessage').textContent = message;
+        textArea.hidden = text === null;
+        textArea.value = text || '';
+        container.innerHTML = buttons
+            .map((button, i) => `<button type="button" class="btn ${button.className || 'btn-primary'}" data-index="${i}">${button.label}</button>`)
+            .join('');
+
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                close(escapeValue);
+            } else {
+                trapFocus(e, overlay);
+            }
+        };
+        const close = (value) => {
+            overlay.hidden = true;
+            overlay.removeEventListener('keydown', onKeydown);
+            if (opener && opener.focus) opener.focus();
+            resolve(value);
+        };
+        container.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', () => close(buttons[btn.dataset.index].value));
+        });
+        overlay.addEventListener('keydown', onKeydown);
+
+        overlay.hidden = false;
+        if (text === null) {
+            container.querySelector('button').focus();
+        } else {
+            textArea.focus();
+            textArea.select();
+        }
+    });
+}
+
+// Tab y Mayús+Tab no salen de un diálogo modal
+function trapFocus(e, container) {
+    if (e.key !== 'Tab') return;
+    const focusable = Array.from(container.querySelectorAll('button, select, input, textarea, [href], [tabindex]:not([tabindex="-1"])'))
+        .filter(el => !el.disabled && !el.hidden && !el.closest('[hidden]'));
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// Tema de texto grande y alto contraste; sin elección guardada sigue la preferencia
+// del sistema. Como el idioma, se aplica ya en la pantalla de bloqueo.
+function initTheme() {
+    const saved = loadTheme();
+    const large = saved
+        ? saved === 'large'
+        : Boolean(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches);
+    const checkbox = document.getElementById('largeTheme');
+    document.body.classList.toggle('theme-large', large);
+    checkbox.checked = large;
+    checkbox.addEventListener('change', () => {
+        document.body.classList.toggle('theme-large', checkbox.checked);
+        saveTheme(checkbox.checked ? 'large' : 'default');
+        // Los lienzos se dibujan al tamaño de la pantalla
+        if (!isLocked()) updateHistory();
+    });
+}
+
+// Idioma de la interfaz (lib/i18n.js)
+// Se elige antes del bloqueo para que la pantalla del código ya salga traducida
+function initLocale() {
+    setLocale(loadLocale() || detectLocale(navigator.languages || [navigator.language]));
+    translatePage();
+    renderIdleTexts();
+    initTheme();
+}
+
+// Los textos fijos de index.html llevan data-i18n con su clave: se sustituye solo el
+// texto propio del elemento para conservar los iconos y los controles que contiene
+function translatePage() {
+    document.documentElement.lang = getLocale();
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        const text = t(el.dataset.i18n);
+        const node = Array.from(el.childNodes)
+            .find(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim());
+        if (node) {
+            node.textContent = node.textContent.replace(/\S[\s\S]*\S|\S/, () => text);
+        } else {
+            el.append(text);
+        }
+    });
+    ['placeholder', 'aria-label'].forEach(attribute => {
+        document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+// Textos del monitor que script.js cambia durante la medición (en reposo)
+function renderIdleTexts() {
+    dom.startBtn.innerHTML = `▶️ ${t('monitor.start')}`;
+    dom.status.innerHTML = window.DeviceMotionEvent ? t('monitor.idle') : t('app.noAccelerometer');
+    if (!state.replayRecording) {
+        document.getElementById('replayInfo').textContent = t('dev.noRecording');
+    }
+}
+
+// Listas de opciones con textos de lib/: se rehacen conservando lo elegido
+function renderLocalizedOptions() {
+    const lists = [
+        [dom.protocolSelect, Object.entries(PROTOCOLS).map(([id, protocol]) => [id, protocol.name])],
+        [document.getElementById('profileSide'), Object.entries(AFFECTED_SIDES)],
+        [document.getElementById('reminderKind'), Object.entries(REMINDER_KINDS)]
+    ];
+    lists.forEach(([select, options]) => {
+        const value = select.value;
+        select.innerHTML = options
+            .map(([id, label]) => `<option value="${id}">${label}</option>`)
+            .join('');
+        if (value) select.value = value;
+    });
+}
+
+// El selector está desactivado durante una medición (setProtocolControlsEnabled)
+function changeLocale() {
+    setLocale(dom.localeSelect.value);
+    saveLocale(getLocale());
+    translatePage();
+    renderIdleTexts();
+    renderLocalizedOptions();
+    renderInstructions();
+
+    // El diario conserva las respuestas ya elegidas
+    const diary = new FormData(dom.diaryForm);
+    renderDiaryFields();
+    Object.keys(DIARY_FIELDS).forEach(key => {
+        document.getElementById(`diary-${key}`).value = diary.get(key) || '';
+    });
+
+    renderViewSwitch(document.getElementById('liveViewSwitch'), state.liveView, selectLiveView);
+    if (state.detail) openMeasurementDetail(state.detail.measurement.id);
+    renderPrivacySettings();
+    updateHistory();
+    updateMedicationTab();
+    updateProfileTab();
+    // La orden de voz y el idioma del reconocimiento cambian con el idioma
+    armHandsFree();
+}
+
+// Inicialización
+function initializeApp() {
+    loadMeasurements();
+    
+    // Verificar soporte
+    if (!window.DeviceMotionEvent) {
+        dom.startBtn.disabled = true;
+    }
+
+    // Opciones de protocolo, lado afectado y recordatorios en el idioma elegido
+    renderLocalizedOptions();
+    dom.protocolSelect.value = DEFAULT_PROTOCOL;
+    renderInstructions();
+    dom.localeSelect.innerHTML = Object.entries(LOCALES)
+        .map(([code, locale]) => `<option value="${code}">${locale.name}</option>`)
+        .join('');
+    dom.localeSelect.value = getLocale();
+    dom.localeSelect.addEventListener('change', changeLocale);
+
+    const settings = loadSettings();
+    dom.storeRaw.checked = settings.storeRawSignals;
+    dom.handsFreeSelect.value = settings.handsFree;
+
+    // Adjuntar eventos
+    dom.startBtn.addEventListener('click', toggleMonitoring);
+    dom.protocolSelect.addEventListener('change', renderInstructions);
+    dom.handSelect.addEventListener('change', renderInstructions);
+    dom.storeRaw.addEventListener('change', () => {
+        saveSettings({ ...loadSettings(), storeRawSignals: dom.storeRaw.checked });
+    });
+    dom.handsFreeSelect.addEventListener('change', changeHandsFreeMode);
+    document.getElementById('calibrateBtn').addEventListener('click', startCalibration);
+    renderCalibration();
+    document.addEventListener('visibilitychange', armHandsFree);
+    document.addEventListener('visibilitychange', handleRecordingVisibility);
+    dom.exportBtn.addEventListener('click', exportData);
+    dom.fhirBtn.addEventListener('click', exportFHIR);
+    dom.reportBtn.addEventListener('click', printReport);
+    document.getElementById('importFile').addEventListener('change', importRecording);
+    dom.sourceSelect.addEventListener('change', selectSampleSource);
+    document.getElementById('replayFile').addEventListener('change', loadReplayFile);
+    renderProfileSelect();
+    dom.profileSelect.addEventListener('change', () => selectProfile(dom.profileSelect.value));
+    document.getElementById('profileForm').addEventListener('submit', saveProfileForm);
+    document.getElementById('alertForm').addEventListener('submit', saveAlertForm);
+    document.getElementById('newProfileBtn').addEventListener('click', addProfile);
+    fillSyncForm();
+    document.getElementById('syncForm').addEventListener('submit', saveSyncForm);
+    document.getElementById('syncNowBtn').addEventListener('click', runSync);
+    window.addEventListener('online', runSync);
+    document.querySelectorAll('.tab').forEach(tab => {
+        tab.addEventListener('click', (e) => switchTab(e, e.currentTarget.dataset.tab));
+    });
+    document.querySelectorAll('.range-btn').forEach(btn => {
+        btn.addEventListener('click', selectHistoryRange);
+    });
+    document.getElementById('rangeFrom').addEventListener('change', updateHistory);
+    document.getElementById('rangeTo').addEventListener('change', updateHistory);
+    document.getElementById('medicationForm').addEventListener('submit', addMedication);
+    document.getElementById('reminderKind').addEventListener('change', toggleReminderFields);
+    document.getElementById('reminderForm').addEventListener('submit', addReminder);
+    renderDiaryFields();
+    dom.diaryForm.addEventListener('submit', saveDiary);
+    document.getElementById('diarySkipBtn').addEventListener('click', hideDiaryForm);
+    renderViewSwitch(document.getElementById('liveViewSwitch'), state.liveView, selectLiveView);
+    document.getElementById('detailClose').addEventListener('click', closeMeasurementDetail);
+    document.getElementById('detailView').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeMeasurementDetail();
+    });
+    document.getElementById('detailView').addEventListener('keydown', (e) => {
+        trapFocus(e, e.currentTarget);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && state.detail) closeMeasurementDetail();
+    });
+
+    // Recordatorios de medicación y de medición mientras la app está abierta
+    checkMedicationReminders();
+    checkMeasurementReminders();
+    setInterval(() => {
+        checkMedicationReminders();
+        checkMeasurementReminders();
+    }, REMINDER_CHECK_INTERVAL);
+    scheduleReminderNotifications();
+    checkAlerts();
+
+    // App abierta desde una notificación (sw.js)
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('measure') || params.has('tab')) {
+        window.history.replaceState(null, '', window.location.pathname);
+        handleNotificationAction(params.has('measure')
+            ? { action: 'measure', profileId: params.get('measure') }
+            : { action: params.get('tab') });
+    }
+
+    // Privacidad: cifrado, bloqueo y copia de seguridad
+    renderPrivacySettings();
+    document.getElementById('encryptionForm').addEventListener('submit', saveEncryptionForm);
+    document.getElementById('autoLockSelect').addEventListener('change', (e) => {
+        setAutoLockMinutes(Number(e.target.value));
+    });
+    document.getElementById('lockNowBtn').addEventListener('click', lockApp);
+    document.getElementById('disableEncryptionBtn').addEventListener('click', disableEncryptionWithPasscode);
+    document.getElementById('backupBtn').addEventListener('click', downloadBackup);
+    document.getElementById('restoreFile').addEventListener('change', restoreFromBackup);
+    startAutoLock();
+
+    // Envíos pendientes y notas nuevas de la clínica
+    runSync();
+
+    armHandsFree();
+}
+
+// Prevenir sleep durante monitoreo. Devuelve false si el navegador no lo concede.
+async function requestWakeLock() {
+    if (!('wakeLock' in navigator)) return true;
+    try {
+        const sentinel = await navigator.wakeLock.request('screen');
+        sentinel.addEventListener('release', () => handleWakeLockRelease(sentinel));
+        state.wakeLock = sentinel;
+        return true;
+    } catch (err) {
+        console.log('Wake Lock no disponible:', err);
+        return false;
+    }
+}
+
+function releaseWakeLock() {
+    const sentinel = state.wakeLock;
+    state.wakeLock = null;
+    if (sentinel) sentinel.release();
+}
+
+// El sistema retira el bloqueo al pasar a segundo plano (lo trata la pausa) o por
+// ahorro de batería: se pide otra vez y, si no se concede, la pantalla se apagaría
+// a mitad de la tarea, así que se da por perdida
+async function handleWakeLockRelease(sentinel) {
+    if (state.wakeLock !== sentinel) return; // Lo soltó releaseWakeLock
+    state.wakeLock = null;
+    if (document.hidden || (recorder.state !== 'calibrating' && recorder.state !== 'recording')) return;
+
+    if (!await requestWakeLock()) recorder.invalidate('wake-lock-lost');
+}
+
+// Service Worker para funcionalidad offline
+if ('serviceWorker' in navigator) {
+    // Módulo: comparte con la página el envío de la cola (lib/outbox.js). Donde no se
+    // admiten service workers de tipo módulo se registra la parte clásica, sin la cola
+    navigator.serviceWorker.register('./sw.js', { type: 'module' })
+        .catch(err => {
+            console.log('Service Worker como módulo no disponible:', err);
+            return navigator.serviceWorker.register('./sw-core.js');
+        })
+        .then(registration => {
+            console.log('Service Worker registrado');
+            watchForUpdates(registration);
+        })
+        .catch(err => console.log('Service Worker error:', err));
+
+    // El service worker avisa cuando ha enviado la cola en segundo plano
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (isLocked()) return;
+        if (e.data && e.data.type === 'SYNC_RESULTS') applySyncResults();
+        if (e.data && e.data.type === 'NOTIFICATION_ACTION') handleNotificationAction(e.data);
+    });
+
+    // Cuando la nueva versión toma el control, recargar una sola vez
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+}
+
+// Aviso de "actualización disponible" cuando hay un worker nuevo en espera
+function watchForUpdates(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            // Sin controller es la primera instalación: no hay nada que actualizar
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+}
+
+function showUpdatePrompt(worker) {
+    const banner = document.getElementById('updateBanner');
+    banner.hidden = false;
+    banner.innerHTML = `
+        <span>🔄 ${t('update.available')}</span>
+        <button class="btn btn-primary" id="reloadBtn"><span>⟳</span> ${t('update.reload')}</button>
+    `;
+    document.getElementById('reloadBtn').addEventListener('click', () => {
+        // No interrumpir una medición en curso
+        if (recorder.isActive || state.session) {
+            notify(t('update.finishFirst'));
+            return;
+        }
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
 }
 
 // Iniciar la aplicación cuando el DOM esté listo
-document.addEventListener('DOMContentLoaded', initializeApp);
+document.addEventListener('DOMContentLoaded', startApp);
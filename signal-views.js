@@ -0,0 +1,227 @@
+// signal-views.js - Vistas de la señal en canvas: ondas por eje, espectro y espectrograma.
+// Las comparten la vista en vivo durante la medición y el detalle de una medición guardada.
+import {
+    ANALYSIS_RATE,
+    TREMOR_BANDS,
+    TREMOR_SEARCH_BAND,
+    computeSpectrogram,
+    findSpectralPeak,
+    tremorSignal,
+    welchPSD
+} from './lib/analysis.js';
+import { t } from './lib/i18n.js';
+
+export const SIGNAL_VIEWS = {
+    get waves() { return t('view.waves'); },
+    get spectrum() { return t('view.spectrum'); },
+    get spectrogram() { return t('view.spectrogram'); },
+};
+
+const MAX_FREQ = 15; // Hz mostrados en el espectro y el espectrograma
+const MIN_ANALYSIS_SAMPLES = 32; // Muestras uniformes mínimas para un espectro
+const SPECTROGRAM_RANGE_DB = 30; // Rango dinámico del color del espectrograma
+const AXIS_COLORS = ['#e53935', '#43a047', '#1e88e5'];
+const BAND_FILLS = {
+    rest: 'rgba(255, 152, 0, 0.15)',
+    postural: 'rgba(142, 36, 170, 0.12)',
+};
+const PADDING = { left: 34, right: 8, top: 10, bottom: 18 };
+
+// Dibuja la vista elegida con las muestras ({ x, y, z, lx, ly, lz, magnitude }) y sus timestamps (ms)
+export function drawSignalView(canvas, view, samples, timestamps) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (samples.length < 2) return;
+
+    if (view === 'spectrum') {
+        drawSpectrum(canvas, ctx, samples, timestamps);
+    } else if (view === 'spectrogram') {
+        drawSpectrogram(canvas, ctx, samples, timestamps);
+    } else {
+        drawWaveforms(canvas, ctx, samples, timestamps);
+    }
+}
+
+// Un carril por eje, cada uno con su propia escala (±máximo alrededor de la media)
+function drawWaveforms(canvas, ctx, samples, timestamps) {
+    const linear = typeof samples[0].lx === 'number';
+    const keys = linear ? ['lx', 'ly', 'lz'] : ['x', 'y', 'z'];
+    const labels = ['X', 'Y', 'Z'];
+    const width = canvas.width;
+    const laneHeight = canvas.height / keys.length;
+    const t0 = timestamps[0];
+    const span = Math.max(1, timestamps[timestamps.length - 1] - t0);
+    const xFor = t => PADDING.left + ((t - t0) / span) * (width - PADDING.left - PADDING.right);
+
+    keys.forEach((key, lane) => {
+        const values = samples.map(s => s[key] || 0);
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const scale = Math.max(0.01, ...values.map(v => Math.abs(v - mean)));
+        const center = lane * laneHeight + laneHeight / 2;
+        const half = laneHeight / 2 - 4;
+
+        // Línea de referencia
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, center);
+        ctx.lineTo(width - PADDING.right, center);
+        ctx.stroke();
+
+        ctx.strokeStyle = AXIS_COLORS[lane];
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        values.forEach((v, i) => {
+            const x = xFor(timestamps[i]);
+            const y = center - ((v - mean) / scale) * half;
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#666';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(labels[lane], 4, center + 3);
+        ctx.textAlign = 'right';
+        ctx.fillText(`±${scale.toFixed(scale < 1 ? 2 : 1)} m/s²`, width - PADDING.right, lane * laneHeight + 10);
+    });
+}
+
+// Densidad espectral (Welch) con las bandas de temblor sombreadas y el pico marcado
+function drawSpectrum(canvas, ctx, samples, timestamps) {
+    const signal = tremorSignal(samples, timestamps);
+    if (signal.length < MIN_ANALYSIS_SAMPLES) {
+        drawWaiting(canvas, ctx);
+        return;
+    }
+
+    const spectrum = welchPSD(signal, ANALYSIS_RATE);
+    const plot = plotArea(canvas);
+    const visible = spectrum.freqs.map((f, k) => [f, spectrum.psd[k]]).filter(([f]) => f <= MAX_FREQ);
+    const maxPower = Math.max(1e-12, ...visible.filter(([f]) => f >= 1).map(([, p]) => p));
+    const yFor = p => plot.bottom - Math.min(1, p / maxPower) * (plot.bottom - plot.top);
+
+    drawBands(ctx, plot);
+
+    ctx.strokeStyle = '#2196F3';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    visible.forEach(([f, p], i) => {
+        if (i === 0) {
+            ctx.moveTo(plot.xFor(f), yFor(p));
+        } else {
+            ctx.lineTo(plot.xFor(f), yFor(p));
+        }
+    });
+    ctx.stroke();
+
+    const peak = findSpectralPeak(spectrum, TREMOR_SEARCH_BAND[0], TREMOR_SEARCH_BAND[1]);
+    if (peak.power > 0) {
+        const x = plot.xFor(peak.frequency);
+        ctx.fillStyle = '#333';
+        ctx.beginPath();
+        ctx.arc(x, yFor(peak.power), 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${peak.frequency.toFixed(1)} Hz`, x, Math.max(plot.top + 10, yFor(peak.power) - 6));
+    }
+
+    drawFrequencyAxis(ctx, plot);
+}
+
+// Columnas de espectro a lo largo del tiempo; color = potencia relativa en dB
+function drawSpectrogram(canvas, ctx, samples, timestamps) {
+    const signal = tremorSignal(samples, timestamps);
+    const { freqs, frames } = computeSpectrogram(signal, ANALYSIS_RATE);
+    if (frames.length === 0) {
+        drawWaiting(canvas, ctx);
+        return;
+    }
+
+    const plot = plotArea(canvas);
+    const bins = freqs.filter(f => f <= MAX_FREQ).length;
+    const maxPower = Math.max(1e-12, ...frames.map(frame => Math.max(...frame.psd.slice(1, bins))));
+    const columnWidth = (plot.right - plot.left) / frames.length;
+    const rowHeight = (plot.bottom - plot.top) / bins;
+
+    frames.forEach((frame, c) => {
+        for (let k = 0; k < bins; k++) {
+            const db = 10 * Math.log10(Math.max(frame.psd[k], 1e-12) / maxPower);
+            const level = Math.max(0, 1 + db / SPECTROGRAM_RANGE_DB);
+            ctx.fillStyle = `hsl(${240 - level * 240}, 80%, ${15 + level * 45}%)`;
+            ctx.fillRect(plot.left + c * columnWidth, plot.bottom - (k + 1) * rowHeight, columnWidth + 0.5, rowHeight + 0.5);
+        }
+    });
+
+    // Límites de las bandas de temblor
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.setLineDash([4, 3]);
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    [TREMOR_BANDS.rest[0], TREMOR_BANDS.rest[1], TREMOR_BANDS.postural[1]].forEach(f => {
+        const y = plot.bottom - (f / MAX_FREQ) * (plot.bottom - plot.top);
+        ctx.beginPath();
+        ctx.moveTo(plot.left, y);
+        ctx.lineTo(plot.right, y);
+        ctx.stroke();
+        ctx.fillText(`${f} Hz`, plot.left - 4, y + 3);
+    });
+    ctx.restore();
+
+    // Duración en segundos
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${(signal.length / ANALYSIS_RATE).toFixed(0)} s`, plot.right, canvas.height - 4);
+}
+
+function plotArea(canvas) {
+    const area = {
+        left: PADDING.left,
+        right: canvas.width - PADDING.right,
+        top: PADDING.top,
+        bottom: canvas.height - PADDING.bottom,
+    };
+    area.xFor = f => area.left + (f / MAX_FREQ) * (area.right - area.left);
+    return area;
+}
+
+function drawBands(ctx, plot) {
+    Object.entries(TREMOR_BANDS).forEach(([band, [low, high]]) => {
+        ctx.fillStyle = BAND_FILLS[band];
+        ctx.fillRect(plot.xFor(low), plot.top, plot.xFor(high) - plot.xFor(low), plot.bottom - plot.top);
+    });
+}
+
+function drawFrequencyAxis(ctx, plot) {
+    ctx.strokeStyle = '#ccc';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, plot.bottom);
+    ctx.lineTo(plot.right, plot.bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    [0, TREMOR_BANDS.rest[0], TREMOR_BANDS.rest[1], TREMOR_BANDS.postural[1], MAX_FREQ].forEach(f => {
+        ctx.fillText(`${f}`, plot.xFor(f), plot.bottom + 12);
+    });
+    ctx.textAlign = 'left';
+    ctx.fillText('Hz', plot.right - 12, plot.top + 8);
+}
+
+function drawWaiting(canvas, ctx) {
+    ctx.fillStyle = '#999';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(t('view.collecting'), canvas.width / 2, canvas.height / 2);
+}
@@ -0,0 +1,117 @@
+// sw-core.js - Service Worker básico: caché sin conexión, actualizaciones y notificaciones.
+// Es un script clásico (sin import ni export): sw.js lo importa como módulo y, donde el
+// navegador no admite service workers de tipo módulo (Firefox), se registra él solo.
+
+// Cambiar la versión en cada despliegue: los clientes verán el aviso de actualización
+const CACHE_VERSION = 'monitor-temblor-v16';
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './script.js',
+  './style.css',
+  './signal-views.js',
+  './lib/analysis.js',
+  './lib/severity.js',
+  './lib/protocol.js',
+  './lib/recorder.js',
+  './lib/quality.js',
+  './lib/sources.js',
+  './lib/formats.js',
+  './lib/storage.js',
+  './lib/profiles.js',
+  './lib/sync.js',
+  './lib/outbox.js',
+  './lib/fhir.js',
+  './lib/reminders.js',
+  './lib/diary.js',
+  './lib/crypto.js',
+  './lib/i18n.js',
+  './lib/locales/es.js',
+  './lib/locales/en.js',
+  './lib/handsfree.js',
+  './lib/calibration.js',
+  './lib/alerts.js',
+];
+
+self.addEventListener('install', e => {
+  // Precarga de la app. No se llama a skipWaiting: la nueva versión espera
+  // a que el usuario acepte recargar desde el aviso de la interfaz.
+  e.waitUntil(
+    caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', e => {
+  // Borrar cachés de versiones anteriores
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', e => {
+  if (e.data && e.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', e => {
+  // Las peticiones de sincronización (lib/sync.js) van siempre a la red
+  if (e.request.method !== 'GET' || e.request.headers.has('X-Sync-Schema')) return;
+
+  // Estrategia: cache first. Las navegaciones se sirven con index.html
+  // precargado; lo que no está en caché se pide a la red y se guarda
+  // (p. ej. las fuentes) para la próxima vez sin conexión.
+  e.respondWith(
+    caches.match(e.request, { ignoreSearch: e.request.mode === 'navigate' })
+      .then(cached => {
+        if (cached) return cached;
+
+        return fetch(e.request)
+          .then(response => {
+            if (response.ok || response.type === 'opaque') {
+              const copy = response.clone();
+              caches.open(CACHE_VERSION).then(cache => cache.put(e.request, copy));
+            }
+            return response;
+          })
+          .catch(() => {
+            if (e.request.mode === 'navigate') {
+              return caches.match('./index.html');
+            }
+            return Response.error();
+          });
+      })
+  );
+});
+
+// Al tocar una notificación se abre la app donde corresponde: una medición del perfil
+// avisado (recordatorios de lib/reminders.js), la pestaña de medicación o el registro
+// de alertas (lib/alerts.js)
+self.addEventListener('notificationclick', e => {
+  e.notification.close();
+  const data = e.notification.data || {};
+  e.waitUntil(openApp(data));
+});
+
+async function openApp(data) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    // La app ya está abierta: se le pasa la acción y se trae al frente
+    windows[0].postMessage({ type: 'NOTIFICATION_ACTION', ...data });
+    return windows[0].focus();
+  }
+
+  let url = './';
+  if (data.action === 'measure') {
+    url = `./?measure=${encodeURIComponent(data.profileId || '')}`;
+  } else if (data.action === 'medication') {
+    url = './?tab=medication';
+  } else if (data.action === 'alerts') {
+    url = './?tab=alerts';
+  }
+  return self.clients.openWindow(url);
+}
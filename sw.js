@@ -1,13 +1,78 @@
-// sw.js - Service Worker
-self.addEventListener('install', e => {
-  self.skipWaiting();
-});
+// sw.js - Service Worker (se registra como módulo)
+// Añade a sw-core.js el envío de la cola en segundo plano, que comparte con la página
+// (lib/outbox.js). Si el navegador no admite el registro como módulo, script.js registra
+// sw-core.js como script clásico: sin Background Sync la cola la envía la página.
+import './sw-core.js';
+import { SYNC_TAG, completeOutboxEntry, replayEntries } from './lib/outbox.js';
+
+const DB_NAME = 'monitor-temblor';
 
-self.addEventListener('fetch', e => {
-  // Estrategia: Network falling back to cache
-  // Intenta obtener el recurso de la red primero. Si falla (offline),
-  // intenta obtenerlo del caché.
-  e.respondWith(
-    fetch(e.request).catch(() => caches.match(e.request))
-  );
+// Background Sync: envía la cola de sincronización aunque la app esté cerrada.
+// Las peticiones ya están completas en 'outbox' (lib/sync.js); aquí solo se repiten, con
+// los mismos reintentos que en la página (lib/outbox.js), y las respuestas se dejan en
+// 'syncResults' para que las procese la página.
+// Con el cifrado activado (lib/storage.js) las peticiones van cifradas ('sealed') y el
+// service worker no tiene la clave: esas las envía la página al desbloquearse.
+self.addEventListener('sync', e => {
+  if (e.tag === SYNC_TAG) {
+    e.waitUntil(replayOutbox());
+  }
 });
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    // La base de datos la crea y migra la página: si aún no existe no hay nada que enviar
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function replayOutbox() {
+  const db = await openDatabase();
+  if (!db.objectStoreNames.contains('outbox')) return;
+
+  const now = Date.now();
+  const due = (await requestToPromise(
+    db.transaction('outbox').objectStore('outbox').index('nextAttempt').getAll(IDBKeyRange.upperBound(now))
+  )).filter(entry => !entry.sealed);
+
+  await replayEntries(due, {
+    reschedule: entry => {
+      const tx = db.transaction('outbox', 'readwrite');
+      tx.objectStore('outbox').put(entry);
+      return transactionDone(tx);
+    },
+    complete: (entry, result) => {
+      const tx = db.transaction(['outbox', 'syncResults'], 'readwrite');
+      completeOutboxEntry(tx, entry, result);
+      return transactionDone(tx);
+    }
+  }, fetch, now);
+
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage({ type: 'SYNC_RESULTS' }));
+
+  // Si queda algo en la cola, el error hace que el navegador repita el evento más tarde
+  const pending = await requestToPromise(db.transaction('outbox').objectStore('outbox').getAll());
+  const remaining = pending.filter(entry => !entry.sealed).length;
+  if (remaining > 0) {
+    throw new Error(`${remaining} envío(s) pendientes`);
+  }
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
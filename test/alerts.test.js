@@ -0,0 +1,113 @@
+// alerts.test.js - Reglas de aviso sobre el historial (lib/alerts.js): tendencia sobre la
+// línea basal, cambio de frecuencia, días sin medir y asimetría entre manos
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ALERT_DEFAULTS, describeAlert, evaluateAlerts } from '../lib/alerts.js';
+import { computeBaselines } from '../lib/profiles.js';
+
+const NOW = new Date(2026, 0, 10, 20).getTime();
+let nextId = 1;
+
+// Medición postural de una mano el día 'day' de enero de 2026 (hora local)
+function measure(day, hand, fields = {}) {
+    const id = nextId++;
+    return {
+        id,
+        sessionId: `s${day}`,
+        timestamp: new Date(2026, 0, day, 9).getTime(),
+        task: 'postural',
+        hand,
+        displacementCm: hand === 'left' ? 1 : 0.5,
+        dominantFrequency: 5,
+        updrsItem: 2,
+        severityLevel: hand === 'left' ? 4 : 3,
+        ...fields
+    };
+}
+
+// Línea basal de los días 1 a 3 con las dos manos
+function history(recent = []) {
+    const baseline = [1, 2, 3].flatMap(day => [measure(day, 'left'), measure(day, 'right')]);
+    const measurements = [...baseline, ...recent];
+    return { measurements, baselines: computeBaselines(measurements) };
+}
+
+function evaluate(recent, settings = {}, now = NOW) {
+    const { measurements, baselines } = history(recent);
+    return evaluateAlerts(measurements, baselines, { ...ALERT_DEFAULTS, ...settings }, now);
+}
+
+function rules(alerts) {
+    return alerts.map(alert => alert.key).sort();
+}
+
+test('sin cambios respecto a la línea basal no hay alertas', () => {
+    assert.deepEqual(evaluate([measure(9, 'left'), measure(10, 'right')]), []);
+});
+
+test('tendencia: la media de los últimos días sube por encima del umbral', () => {
+    const recent = [8, 9, 10].map(day => measure(day, 'left', { displacementCm: 1.5 }));
+    const alerts = evaluate(recent, { asymmetry: false });
+    assert.deepEqual(rules(alerts), ['trend:postural|left@2026-01-10']);
+
+    const { params } = alerts[0];
+    assert.ok(Math.abs(params.percent - 50) < 1e-9);
+    assert.deepEqual([params.task, params.hand, params.days, params.count], ['postural', 'left', 3, 3]);
+    assert.match(describeAlert(alerts[0]), /50/);
+
+    // Por debajo del umbral, o con la regla desactivada, no se avisa
+    assert.deepEqual(evaluate(recent, { asymmetry: false, trendPercent: 60 }), []);
+    assert.deepEqual(evaluate(recent, { asymmetry: false, trend: false }), []);
+    // Fuera de la ventana de días tampoco
+    assert.deepEqual(evaluate(recent, { asymmetry: false, trendDays: 1 }, new Date(2026, 0, 11, 20).getTime()), []);
+});
+
+test('tendencia: una basal casi nula no dispara con variaciones de ruido', () => {
+    const baseline = [1, 2, 3].map(day => measure(day, 'left', { displacementCm: 0.01, updrsItem: 0 }));
+    const recent = [measure(10, 'left', { displacementCm: 0.05, updrsItem: 0 })];
+    const measurements = [...baseline, ...recent];
+    assert.deepEqual(evaluateAlerts(measurements, computeBaselines(measurements), ALERT_DEFAULTS, NOW), []);
+});
+
+test('frecuencia: solo con temblor visible y fuera de la banda habitual', () => {
+    const shifted = [measure(10, 'left', { dominantFrequency: 7 })];
+    assert.deepEqual(rules(evaluate(shifted)), ['frequency:postural|left@2026-01-10']);
+
+    assert.deepEqual(evaluate([measure(10, 'left', { dominantFrequency: 6 })]), []);
+    assert.deepEqual(evaluate([measure(10, 'left', { dominantFrequency: 7, updrsItem: 0 })]), []);
+});
+
+test('días sin medir: un aviso por hueco, con la fecha de la última medición', () => {
+    const alerts = evaluate([measure(5, 'left'), measure(5, 'right')]);
+    assert.deepEqual(rules(alerts), ['missed:2026-01-05']);
+    assert.equal(alerts[0].params.days, 4);
+
+    // La clave no cambia mientras siga el mismo hueco: el registro no lo repite
+    const later = evaluate([measure(5, 'left'), measure(5, 'right')], {}, new Date(2026, 0, 12, 8).getTime());
+    assert.deepEqual(rules(later), ['missed:2026-01-05']);
+
+    assert.deepEqual(evaluate([measure(8, 'left'), measure(8, 'right')]), []);
+    assert.deepEqual(evaluate([measure(5, 'left'), measure(5, 'right')], { missedDays: 5 }), []);
+});
+
+test('asimetría: cambio brusco de la diferencia entre manos', () => {
+    const recent = [measure(10, 'left', { severityLevel: 7 }), measure(10, 'right', { severityLevel: 3 })];
+    const alerts = evaluate(recent, { trend: false });
+    assert.deepEqual(rules(alerts), ['asymmetry:postural@2026-01-10']);
+    assert.equal(alerts[0].params.difference, 4);
+    assert.equal(alerts[0].params.previous, 1);
+
+    assert.deepEqual(evaluate(recent, { trend: false, asymmetryPoints: 3 }), []);
+});
+
+test('sin línea basal completa solo se vigilan los días sin medir', () => {
+    const measurements = [measure(9, 'left', { displacementCm: 5, dominantFrequency: 9 })];
+    assert.deepEqual(evaluateAlerts(measurements, computeBaselines(measurements), ALERT_DEFAULTS, NOW), []);
+});
+
+test('describeAlert no falla con una tarea o mano desconocida', () => {
+    const alert = { key: 'trend:x', rule: 'trend', timestamp: NOW, params: { task: 'escritura', hand: 'ambas', percent: 50, days: 3 } };
+    const text = describeAlert(alert);
+    assert.match(text, /escritura · ambas/);
+    assert.match(text, /50/);
+});
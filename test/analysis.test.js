@@ -0,0 +1,134 @@
+// analysis.test.js - El análisis recupera frecuencia y amplitud de temblores conocidos.
+// Las señales salen del generador sintético (lib/sources.js) y pasan por el grabador
+// (lib/recorder.js), igual que en la app: con aceleración lineal del sensor y con el
+// filtro de gravedad de los navegadores que no la dan.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ANALYSIS_RATE, calculateTremorMetrics, findDominantFrequency } from '../lib/analysis.js';
+import { SETTLE_DURATION, createRecorder } from '../lib/recorder.js';
+import { SEVERITY_MODELS, calculateSeverity } from '../lib/severity.js';
+import { createSyntheticGenerator } from '../lib/sources.js';
+
+const FREQUENCIES = [4, 5, 6.3, 9]; // Hz
+const AMPLITUDES = [0.3, 1, 3]; // m/s² de pico
+const DURATION = 12000; // ms: acomodo + tarea, como en la app
+const FREQUENCY_TOLERANCE = 0.05; // Hz
+const AMPLITUDE_TOLERANCE = 0.12; // Error relativo de RMS y desplazamiento
+const { updrsThresholdsCm } = SEVERITY_MODELS['updrs-disp-1'];
+
+// Graba una tarea entera con una fuente que entrega todas las muestras de golpe
+function record(options) {
+    const recorder = createRecorder({ settleDuration: 0 });
+    let result = null;
+    recorder.on('completed', detail => { result = detail; });
+    recorder.on('failed', detail => { result = detail; });
+
+    const source = {
+        kind: 'test',
+        finite: true,
+        start(onSample) {
+            const generator = createSyntheticGenerator({ seed: 7, ...options });
+            for (let event = generator.next(); event.timeStamp <= DURATION; event = generator.next()) {
+                onSample(event);
+            }
+        },
+        stop() {}
+    };
+    recorder.start(source, { task: 'postural', hand: 'left', duration: DURATION });
+    recorder.stop();
+    assert.equal(result.reason, undefined, `grabación fallida: ${result.reason}`);
+    return result;
+}
+
+// Métricas sin el acomodo inicial (el filtro de gravedad aún se está ajustando)
+function analyse({ samples, timestamps }) {
+    const start = timestamps[0] + SETTLE_DURATION;
+    const kept = timestamps.map((t, i) => (t >= start ? i : -1)).filter(i => i >= 0);
+    return calculateTremorMetrics(kept.map(i => samples[i]), kept.map(i => timestamps[i]));
+}
+
+// Desplazamiento pico a pico (cm) de una senoide de aceleración
+function expectedDisplacement(frequency, amplitude) {
+    return (2 * amplitude / (2 * Math.PI * frequency) ** 2) * 100;
+}
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual / expected - 1) <= tolerance,
+        `${label}: ${actual.toFixed(4)} frente a ${expected.toFixed(4)} esperado`);
+}
+
+// El ítem UPDRS solo se comprueba lejos de los umbrales: justo en uno, el error de
+// medida admisible puede dar cualquiera de los dos ítems
+function assertUpdrs(metrics, displacement) {
+    if (updrsThresholdsCm.some(limit => Math.abs(displacement / limit - 1) <= AMPLITUDE_TOLERANCE)) return;
+    assert.equal(metrics.updrsItem, calculateSeverity({ displacementCm: displacement }).updrsItem);
+}
+
+for (const linearAvailable of [true, false]) {
+    const path = linearAvailable ? 'aceleración lineal del sensor' : 'filtro de gravedad';
+
+    for (const frequency of FREQUENCIES) {
+        for (const amplitude of AMPLITUDES) {
+            test(`${path}: ${frequency} Hz, ${amplitude} m/s²`, () => {
+                const recording = record({ frequency, amplitude, linearAvailable });
+                assert.equal(recording.linearSource, linearAvailable ? 'sensor' : 'filter');
+
+                const metrics = analyse(recording);
+                const displacement = expectedDisplacement(frequency, amplitude);
+                assert.ok(Math.abs(metrics.dominantFrequency - frequency) <= FREQUENCY_TOLERANCE,
+                    `pico en ${metrics.dominantFrequency} Hz`);
+                assertClose(metrics.amplitudeRMS, amplitude / Math.SQRT2, AMPLITUDE_TOLERANCE, 'RMS');
+                assertClose(metrics.displacementCm, displacement, AMPLITUDE_TOLERANCE, 'desplazamiento');
+                assertUpdrs(metrics, displacement);
+            });
+        }
+    }
+}
+
+// Registros sin aceleración lineal (p. ej. importados en CSV): solo la magnitud, con el
+// temblor a lo largo de la gravedad
+test('solo magnitud: recupera frecuencia y desplazamiento', () => {
+    for (const frequency of FREQUENCIES) {
+        const amplitude = 1;
+        const timestamps = [];
+        const samples = [];
+        for (let t = 0; t < 10000; t += 1000 / 60) {
+            const magnitude = 9.81 + amplitude * Math.sin((2 * Math.PI * frequency * t) / 1000);
+            timestamps.push(t);
+            samples.push({ x: 0, y: 0, z: magnitude, magnitude });
+        }
+
+        const metrics = calculateTremorMetrics(samples, timestamps);
+        assert.ok(Math.abs(metrics.dominantFrequency - frequency) <= FREQUENCY_TOLERANCE,
+            `pico en ${metrics.dominantFrequency} Hz`);
+        assert.equal(metrics.axisMetrics, null);
+        assertClose(metrics.amplitudeRMS, amplitude / Math.SQRT2, AMPLITUDE_TOLERANCE, 'RMS');
+        assertClose(metrics.displacementCm, expectedDisplacement(frequency, amplitude), AMPLITUDE_TOLERANCE, 'desplazamiento');
+    }
+});
+
+test('findDominantFrequency: pico de una senoide pura', () => {
+    for (const frequency of FREQUENCIES) {
+        const signal = Array.from({ length: 10 * ANALYSIS_RATE },
+            (_, i) => Math.sin((2 * Math.PI * frequency * i) / ANALYSIS_RATE));
+        const spectral = findDominantFrequency(signal, ANALYSIS_RATE);
+        assert.ok(Math.abs(spectral.frequency - frequency) <= FREQUENCY_TOLERANCE, `pico en ${spectral.frequency} Hz`);
+        assert.ok(spectral.sharpness > 0.9);
+    }
+});
+
+test('findDominantFrequency: sin datos suficientes no hay pico', () => {
+    assert.equal(findDominantFrequency([0, 1, 0, -1]).frequency, 0);
+});
+
+test('calculateSeverity: ítems UPDRS y puntuación en los anclajes', () => {
+    const cases = [[0.05, 0, 0], [0.1, 1, 0], [0.5, 1, null], [1, 2, 4], [3, 3, 7], [10, 4, 10], [25, 4, 10]];
+    for (const [displacementCm, updrsItem, score] of cases) {
+        const severity = calculateSeverity({ displacementCm });
+        assert.equal(severity.updrsItem, updrsItem, `${displacementCm} cm`);
+        assert.equal(severity.model, 'updrs-disp-1');
+        if (score !== null) assert.ok(Math.abs(severity.score - score) < 1e-9, `${displacementCm} cm → ${severity.score}`);
+    }
+    // La puntuación crece con el desplazamiento
+    assert.ok(calculateSeverity({ displacementCm: 0.5 }).score < calculateSeverity({ displacementCm: 0.8 }).score);
+});
@@ -0,0 +1,113 @@
+// calibration.test.js - Calibración del teléfono en reposo (lib/calibration.js) y resta del
+// ruido de fondo en el análisis (subtractNoise, calculateTremorMetrics)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateTremorMetrics, subtractNoise } from '../lib/analysis.js';
+import { CALIBRATION_STEP, CALIBRATION_VERSION, characterizeSensor, findDeviceProfile, isDeviceProfile } from '../lib/calibration.js';
+import { createRecorder } from '../lib/recorder.js';
+import { createSyntheticGenerator } from '../lib/sources.js';
+
+const NOISE = 0.03; // m/s² por eje, como un acelerómetro de teléfono en reposo
+
+// Graba con el ciclo de la app; 'analyse' es el análisis del final (por defecto, ninguno)
+function record(options, { step = CALIBRATION_STEP, analyse = data => data } = {}) {
+    const recorder = createRecorder({ settleDuration: 0, analyse });
+    let result = null;
+    recorder.on('completed', detail => { result = detail; });
+    recorder.on('failed', detail => { result = detail; });
+
+    recorder.start({
+        kind: 'test',
+        finite: true,
+        start(onSample) {
+            const generator = createSyntheticGenerator({ seed: 5, noise: NOISE, ...options });
+            for (let event = generator.next(); event.timeStamp <= step.duration; event = generator.next()) {
+                onSample(event);
+            }
+        },
+        stop() {}
+    }, step);
+    recorder.stop();
+    return result;
+}
+
+function calibrate(options) {
+    return record({ amplitude: 0, ...options }, {
+        analyse: data => characterizeSensor(data, { userAgent: 'test-phone', now: 1000 })
+    });
+}
+
+test('con el teléfono quieto se obtiene el perfil del sensor', () => {
+    const result = calibrate({ tilt: 20 });
+    assert.equal(result.reason, undefined, `calibración fallida: ${result.reason}`);
+
+    const { profile } = result;
+    assert.equal(profile.version, CALIBRATION_VERSION);
+    assert.equal(profile.userAgent, 'test-phone');
+    assert.equal(profile.calibratedAt, 1000);
+    assert.ok(Math.abs(profile.gravity - 9.81) < 0.05, `gravedad ${profile.gravity}`);
+    assert.ok(Math.abs(profile.sampleRate - 60) < 1, `muestreo ${profile.sampleRate} Hz`);
+    ['x', 'y', 'z'].forEach(axis => {
+        assert.ok(Math.abs(profile.noiseRMS[axis] / NOISE - 1) < 0.15, `ruido ${axis}: ${profile.noiseRMS[axis]}`);
+    });
+    assert.ok(profile.noiseFloor.amplitudeRMS > 0);
+    assert.ok(profile.noiseFloor.displacementCm > 0 && profile.noiseFloor.displacementCm < 0.1);
+});
+
+test('un teléfono que se mueve durante la calibración se rechaza', () => {
+    assert.equal(calibrate({ amplitude: 1, frequency: 5 }).reason, 'moved');
+});
+
+test('un sensor que no da la gravedad se rechaza', () => {
+    const rest = record({ amplitude: 0 });
+    const samples = rest.samples.map(s => ({ ...s, magnitude: Math.hypot(s.lx, s.ly, s.lz) }));
+    assert.deepEqual(characterizeSensor({ ...rest, samples }), { failure: 'no-gravity' });
+});
+
+test('subtractNoise resta en potencia y nunca baja de cero', () => {
+    assert.equal(subtractNoise(5, 3), 4);
+    assert.equal(subtractNoise(2, 3), 0);
+    assert.equal(subtractNoise(2, null), 2);
+    assert.equal(subtractNoise(2, 0), 2);
+});
+
+test('el análisis resta el ruido de fondo de la calibración', () => {
+    const { profile } = calibrate({});
+    const analyse = recording => calculateTremorMetrics(recording.samples, recording.timestamps, { noiseFloor: profile.noiseFloor });
+
+    // En reposo lo medido es solo ruido: la resta lo reduce, en potencia
+    const rest = record({ amplitude: 0, seed: 9 });
+    const raw = calculateTremorMetrics(rest.samples, rest.timestamps);
+    const corrected = analyse(rest);
+    assert.ok(corrected.displacementCm < raw.displacementCm,
+        `${corrected.displacementCm} cm frente a ${raw.displacementCm} cm sin corregir`);
+    assert.equal(corrected.displacementCm, subtractNoise(raw.displacementCm, profile.noiseFloor.displacementCm));
+    assert.equal(corrected.amplitudeRMS, subtractNoise(raw.amplitudeRMS, profile.noiseFloor.amplitudeRMS));
+    assert.equal(corrected.noiseFloorCm, profile.noiseFloor.displacementCm);
+
+    // Con temblor la corrección es pequeña y nunca lo aumenta
+    const step = { task: 'postural', hand: 'left', duration: 10000 };
+    const tremor = record({ amplitude: 1, frequency: 5, seed: 9 }, { step });
+    const uncorrected = calculateTremorMetrics(tremor.samples, tremor.timestamps);
+    const withFloor = analyse(tremor);
+    assert.ok(withFloor.displacementCm <= uncorrected.displacementCm);
+    assert.ok(withFloor.displacementCm > uncorrected.displacementCm * 0.95);
+    assert.equal(withFloor.dominantFrequency, uncorrected.dominantFrequency);
+});
+
+test('findDeviceProfile busca el perfil del user agent', () => {
+    const profiles = { 'test-phone': { version: CALIBRATION_VERSION } };
+    assert.equal(findDeviceProfile(profiles, 'test-phone'), profiles['test-phone']);
+    assert.equal(findDeviceProfile(profiles, 'otro'), null);
+    assert.equal(findDeviceProfile(undefined, 'test-phone'), null);
+});
+
+test('isDeviceProfile solo acepta perfiles con la forma de la calibración', () => {
+    const { profile } = calibrate({});
+    assert.ok(isDeviceProfile(profile));
+    assert.ok(!isDeviceProfile(null));
+    assert.ok(!isDeviceProfile({ ...profile, version: 'otra' }));
+    assert.ok(!isDeviceProfile({ ...profile, calibratedAt: '<img src=x>' }));
+    assert.ok(!isDeviceProfile({ ...profile, noiseFloor: { amplitudeRMS: 0.01, displacementCm: -1 } }));
+    assert.ok(!isDeviceProfile({ ...profile, noiseFloor: { amplitudeRMS: 1e400, displacementCm: 0.01 } }));
+});
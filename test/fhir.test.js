@@ -0,0 +1,134 @@
+// fhir.test.js - El Bundle FHIR exportado es R4 válido y sus referencias se resuelven.
+// fixtures/fhir.schema.json es el esquema JSON oficial de FHIR R4 (4.0.1) publicado por
+// HL7 en http://hl7.org/fhir/R4/fhir.schema.json.zip, recortado a los recursos que
+// exporta la app con tools/trim-fhir-schema.mjs.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import Ajv from 'ajv';
+import draft6 from 'ajv/dist/refs/json-schema-draft-06.json' with { type: 'json' };
+import { ANALYSIS_VERSION, calculateTremorMetrics } from '../lib/analysis.js';
+import { CALIBRATION_STEP, characterizeSensor } from '../lib/calibration.js';
+import { buildFHIRBundle } from '../lib/fhir.js';
+import { createProfile } from '../lib/profiles.js';
+import { assessSignalQuality } from '../lib/quality.js';
+import { createRecorder } from '../lib/recorder.js';
+import { createSyntheticGenerator } from '../lib/sources.js';
+
+const schema = JSON.parse(readFileSync(new URL('./fixtures/fhir.schema.json', import.meta.url), 'utf8'));
+const DURATION = 12000;
+
+// Graba con el generador sintético, igual que test/analysis.test.js
+function record(options, step) {
+    const recorder = createRecorder({ settleDuration: 0 });
+    let result = null;
+    recorder.on('completed', detail => { result = detail; });
+    recorder.on('failed', detail => { result = detail; });
+
+    recorder.start({
+        kind: 'test',
+        finite: true,
+        start(onSample) {
+            const generator = createSyntheticGenerator({ seed: 11, ...options });
+            for (let event = generator.next(); event.timeStamp <= step.duration; event = generator.next()) {
+                onSample(event);
+            }
+        },
+        stop() {}
+    }, step);
+    recorder.stop();
+    return result;
+}
+
+// Medición, toma y perfil como los guarda la app
+function exportFixture() {
+    const { failure, profile: calibration } = characterizeSensor(
+        record({ amplitude: 0 }, { ...CALIBRATION_STEP, duration: DURATION }),
+        { userAgent: 'test', now: Date.UTC(2026, 0, 5, 9, 30) }
+    );
+    assert.equal(failure, undefined, `calibración fallida: ${failure}`);
+
+    const step = { task: 'postural', hand: 'right', duration: DURATION };
+    const recording = record({ frequency: 5, amplitude: 1 }, step);
+    const metrics = calculateTremorMetrics(recording.samples, recording.timestamps, { noiseFloor: calibration.noiseFloor });
+    const quality = assessSignalQuality(recording.samples, recording.timestamps, { task: step.task });
+    const profile = createProfile({ name: 'Ana Pérez', patientId: 'HC-1234' });
+    const measurement = {
+        id: 1,
+        timestamp: Date.UTC(2026, 0, 6, 10),
+        task: step.task,
+        hand: step.hand,
+        profileId: profile.id,
+        ...metrics,
+        qualityScore: quality.score,
+        qualityIssues: quality.issues.map(issue => issue.code),
+        analysisVersion: ANALYSIS_VERSION
+    };
+    const dose = { id: 1, profileId: profile.id, name: 'Levodopa/carbidopa', dose: '100/25 mg', timestamp: Date.UTC(2026, 0, 6, 9) };
+
+    return buildFHIRBundle({
+        profile,
+        measurements: [measurement],
+        doses: [dose],
+        device: { userAgent: 'test', platform: 'Linux', calibration },
+        analysisVersion: ANALYSIS_VERSION
+    });
+}
+
+// Modo estricto: una palabra clave desconocida en el esquema es un error, no se ignora.
+// Solo se permite que el esquema use 'pattern' en números y booleanos (strictTypes),
+// que JSON Schema aplica únicamente a cadenas.
+function compileSchema() {
+    const ajv = new Ajv({ strictTypes: false, allErrors: true });
+    ajv.addMetaSchema(draft6);
+    return ajv.compile(schema);
+}
+
+test('el Bundle cumple el esquema FHIR R4', () => {
+    const validate = compileSchema();
+    const bundle = exportFixture();
+    assert.deepEqual(bundle.entry.map(e => e.resource.resourceType),
+        ['Patient', 'Device', 'Observation', 'MedicationStatement']);
+    assert.ok(validate(bundle), JSON.stringify(validate.errors, null, 2));
+});
+
+test('las referencias subject y device apuntan a entradas del Bundle', () => {
+    const bundle = exportFixture();
+    const fullUrls = new Set(bundle.entry.map(e => e.fullUrl));
+    assert.equal(fullUrls.size, bundle.entry.length);
+
+    let references = 0;
+    bundle.entry.forEach(({ resource }) => {
+        ['subject', 'device'].forEach(field => {
+            if (!resource[field]) return;
+            assert.ok(fullUrls.has(resource[field].reference),
+                `${resource.resourceType}.${field} → ${resource[field].reference}`);
+            references++;
+        });
+    });
+    // Observation.subject, Observation.device y MedicationStatement.subject
+    assert.equal(references, 3);
+});
+
+test('la fecha de calibración del teléfono va como dateTime en una nota del Device', () => {
+    const device = exportFixture().entry[1].resource;
+    assert.deepEqual(device.note.map(note => note.time), [new Date(Date.UTC(2026, 0, 5, 9, 30)).toISOString()]);
+    device.property.forEach(property => {
+        assert.equal(property.valueCode, undefined);
+        assert.ok(property.valueQuantity.every(q => Number.isFinite(q.value)));
+    });
+});
+
+test('Device.property.valueQuantity es una lista de Quantity, como define R4', () => {
+    // En R4 es 0..* Quantity (en R5 pasó a un único valor): un objeto suelto no es válido
+    const items = schema.definitions.Device_Property.properties.valueQuantity;
+    assert.equal(items.type, 'array');
+    assert.equal(items.items.$ref, '#/definitions/Quantity');
+
+    const validate = compileSchema();
+    const bundle = exportFixture();
+    const device = bundle.entry[1].resource;
+    device.property[0].valueQuantity = device.property[0].valueQuantity[0];
+    assert.equal(validate(bundle), false);
+    assert.ok(validate.errors.some(error => error.instancePath.endsWith('/property/0/valueQuantity')));
+});
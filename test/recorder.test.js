@@ -0,0 +1,222 @@
+// recorder.test.js - Máquina de estados del grabador (lib/recorder.js): pausas, reanudación,
+// invalidación y arranques repetidos. El reloj y los temporizadores son simulados
+// (mock.timers), así que cada prueba decide cuándo llegan las muestras.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_PAUSE, SETTLE_DURATION, createRecorder } from '../lib/recorder.js';
+import { createSyntheticGenerator } from '../lib/sources.js';
+
+const STEP = { task: 'postural', hand: 'left', duration: 10000 };
+
+// Fuente continua (como el sensor): entrega muestras solo cuando la prueba avanza el reloj
+function manualSource() {
+    const generator = createSyntheticGenerator({ frequency: 5, amplitude: 1, jitter: 0, seed: 3, startTime: 0 });
+    let next = generator.next();
+    const source = {
+        kind: 'test',
+        finite: false,
+        listening: false,
+        onSample: null,
+        start(onSample) {
+            source.onSample = onSample;
+            source.listening = true;
+        },
+        stop() {
+            source.listening = false;
+        },
+        // Avanza el reloj 'ms' entregando las muestras que tocan mientras se escucha
+        advance(t, ms) {
+            const until = Date.now() + ms;
+            while (next.timeStamp <= until) {
+                t.mock.timers.tick(next.timeStamp - Date.now());
+                if (source.listening) source.onSample(next);
+                next = generator.next();
+            }
+            t.mock.timers.tick(until - Date.now());
+        },
+        // Avanza el reloj sin muestras (el sensor se ha parado)
+        silence(t, ms) {
+            t.mock.timers.tick(ms);
+            while (next.timeStamp <= Date.now()) next = generator.next();
+        }
+    };
+    return source;
+}
+
+// Grabador con registro de estados y de eventos finales
+function setup(t, options) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 0 });
+    const recorder = createRecorder(options);
+    const log = { states: [], completed: null, failed: null, paused: [], resumed: [] };
+    recorder.on('state', ({ state }) => log.states.push(state));
+    recorder.on('completed', detail => { log.completed = detail; });
+    recorder.on('failed', detail => { log.failed = detail; });
+    recorder.on('paused', detail => log.paused.push(detail));
+    recorder.on('resumed', detail => log.resumed.push(detail));
+    return { recorder, log, source: manualSource() };
+}
+
+test('una tarea completa pasa por acomodo, grabación y análisis', t => {
+    const { recorder, log, source } = setup(t);
+    recorder.start(source, STEP);
+    assert.equal(recorder.state, 'calibrating');
+    assert.equal(recorder.isActive, true);
+
+    source.advance(t, SETTLE_DURATION + STEP.duration + 100);
+    assert.deepEqual(log.states, ['calibrating', 'recording', 'analysing', 'done']);
+    assert.equal(recorder.isActive, false);
+    assert.equal(source.listening, false);
+    assert.ok(log.completed.metrics.dominantFrequency > 4.5 && log.completed.metrics.dominantFrequency < 5.5);
+    // Las muestras del acomodo no se guardan
+    assert.ok(log.completed.timestamps[0] >= SETTLE_DURATION);
+    assert.deepEqual(log.completed.interruptions, []);
+});
+
+test('un segundo inicio con la tarea en marcha se ignora', t => {
+    const { recorder, log, source } = setup(t);
+    recorder.start(source, STEP);
+    source.advance(t, 5000);
+
+    const other = manualSource();
+    recorder.start(other, { ...STEP, duration: 1000 });
+    assert.equal(recorder.step, STEP);
+    assert.equal(other.listening, false);
+
+    // La primera tarea termina con su duración, no con la del segundo inicio
+    source.advance(t, 4000);
+    assert.equal(recorder.state, 'recording');
+    source.advance(t, SETTLE_DURATION + STEP.duration);
+    assert.equal(log.states.filter(state => state === 'calibrating').length, 1);
+    assert.ok(log.completed);
+});
+
+test('la pausa deja de escuchar y al reanudar se repite la tarea entera', t => {
+    const { recorder, log, source } = setup(t);
+    recorder.start(source, STEP);
+    source.advance(t, SETTLE_DURATION + 4000);
+    assert.ok(recorder.samples.length > 0);
+
+    recorder.pause('hidden');
+    assert.equal(recorder.state, 'paused');
+    assert.equal(source.listening, false);
+    assert.deepEqual(log.paused.map(p => p.reason), ['hidden']);
+
+    // En pausa no se termina la tarea aunque pase su duración
+    source.advance(t, STEP.duration);
+    assert.equal(recorder.state, 'paused');
+
+    recorder.resume();
+    assert.equal(recorder.state, 'calibrating');
+    assert.equal(recorder.samples.length, 0);
+    assert.equal(log.resumed.length, 1);
+
+    source.advance(t, SETTLE_DURATION + STEP.duration + 100);
+    assert.equal(recorder.state, 'done');
+    assert.deepEqual(log.completed.interruptions.map(i => i.reason), ['hidden']);
+    // La señal guardada es continua: empieza tras el acomodo de la reanudación
+    assert.ok(log.completed.timestamps[0] >= Date.now() - STEP.duration - 200);
+});
+
+test('una pausa demasiado larga da la tarea por perdida', t => {
+    const { recorder, log, source } = setup(t);
+    recorder.start(source, STEP);
+    source.advance(t, SETTLE_DURATION + 1000);
+    recorder.pause('hidden');
+
+    t.mock.timers.tick(MAX_PAUSE);
+    assert.equal(recorder.state, 'failed');
+    assert.equal(log.failed.reason, 'pause-timeout');
+    assert.equal(recorder.failureReason, 'pause-timeout');
+
+    // Reanudar ya no hace nada
+    recorder.resume();
+    assert.equal(recorder.state, 'failed');
+});
+
+test('invalidate termina la tarea con la causa indicada', t => {
+    const { recorder, log, source } = setup(t);
+    recorder.start(source, STEP);
+    source.advance(t, SETTLE_DURATION + 1000);
+
+    recorder.invalidate('wake-lock-lost');
+    assert.equal(recorder.state, 'failed');
+    assert.equal(source.listening, false);
+    assert.equal(log.failed.reason, 'wake-lock-lost');
+
+    // Los temporizadores de la tarea ya no disparan
+    source.advance(t, STEP.duration);
+    assert.deepEqual(log.states, ['calibrating', 'recording', 'failed']);
+});
+
+test('una fuente continua que deja de enviar muestras falla con no-signal', t => {
+    const { recorder, log, source } = setup(t);
+    recorder.start(source, STEP);
+    source.advance(t, SETTLE_DURATION + 1000);
+
+    source.silence(t, 5000);
+    assert.equal(recorder.state, 'failed');
+    assert.equal(log.failed.reason, 'no-signal');
+});
+
+test('parar antes de tener muestras suficientes falla con too-short', t => {
+    const { recorder, log, source } = setup(t);
+    recorder.start(source, STEP);
+    source.advance(t, SETTLE_DURATION + 500);
+
+    recorder.stop();
+    assert.deepEqual(log.states, ['calibrating', 'recording', 'analysing', 'failed']);
+    assert.equal(log.failed.reason, 'too-short');
+    // Tras un fallo se puede empezar otra tarea
+    recorder.start(source, STEP);
+    assert.equal(recorder.state, 'calibrating');
+});
+
+test('requestPermission guarda la causa si se deniega o falla', async t => {
+    const { recorder } = setup(t);
+    t.mock.method(console, 'error', () => {});
+
+    assert.equal(await recorder.requestPermission(async () => true), true);
+    assert.equal(recorder.state, 'idle');
+
+    assert.equal(await recorder.requestPermission(async () => false), false);
+    assert.equal(recorder.state, 'failed');
+    assert.equal(recorder.failureReason, 'permission-denied');
+
+    assert.equal(await recorder.requestPermission(async () => { throw new Error('NotAllowedError'); }), false);
+    assert.equal(recorder.failureReason, 'permission-error');
+});
+
+test('si el análisis lanza una excepción la tarea falla con analysis-error', t => {
+    const { recorder, log, source } = setup(t, { analyse: () => { throw new Error('fallo'); } });
+    t.mock.method(console, 'error', () => {});
+    recorder.start(source, STEP);
+    source.advance(t, SETTLE_DURATION + STEP.duration + 100);
+
+    assert.deepEqual(log.states, ['calibrating', 'recording', 'analysing', 'failed']);
+    assert.equal(log.failed.reason, 'analysis-error');
+    assert.equal(recorder.failureReason, 'analysis-error');
+    assert.equal(console.error.mock.callCount(), 1);
+    // El grabador no queda bloqueado en analysing
+    recorder.start(source, STEP);
+    assert.equal(recorder.state, 'calibrating');
+});
+
+test('el temporizador de una tarea parada a mano no termina la siguiente', t => {
+    const { recorder, log, source } = setup(t);
+    recorder.start(source, STEP);
+    source.advance(t, SETTLE_DURATION + 5000);
+    recorder.stop();
+    assert.equal(recorder.state, 'done');
+
+    // Se empieza otra en el acto: pasado el final previsto de la primera sigue grabando
+    log.states.length = 0;
+    log.completed = null;
+    recorder.start(source, STEP);
+    source.advance(t, STEP.duration - 5000 + 100);
+    assert.equal(recorder.state, 'recording');
+    assert.equal(log.completed, null);
+
+    source.advance(t, SETTLE_DURATION + 5000);
+    assert.deepEqual(log.states, ['calibrating', 'recording', 'analysing', 'done']);
+    assert.ok(log.completed.timestamps[0] >= SETTLE_DURATION * 2 + 5000);
+});
@@ -0,0 +1,141 @@
+// storage.test.js - Recorrido completo del almacenamiento cifrado (lib/storage.js) sobre
+// fake-indexeddb: importación de los datos antiguos, cifrado, bloqueo, copia de seguridad,
+// cambio de código y vuelta a los datos en claro. Las pruebas comparten la base de datos y
+// se ejecutan en orden: cada una parte del estado que deja la anterior.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+
+const LEGACY_STORAGE_KEY = 'parkinson_measurements';
+const SETTINGS_KEY = 'parkinson_settings';
+const PASSCODE = 'secreto1';
+const NEW_PASSCODE = 'nuevo123';
+const BACKUP_PASSCODE = 'copia123';
+
+// localStorage en memoria, con las mediciones del formato anterior a IndexedDB
+const local = new Map([[LEGACY_STORAGE_KEY, JSON.stringify([
+    { id: 1, timestamp: 1000, severityLevel: 4, dominantFrequency: 5.1 },
+    { id: 2, timestamp: 2000, severityLevel: 6, dominantFrequency: 4.8 }
+])]]);
+globalThis.localStorage = {
+    getItem: key => (local.has(key) ? local.get(key) : null),
+    setItem: (key, value) => local.set(key, String(value)),
+    removeItem: key => local.delete(key)
+};
+
+// Se importa después de preparar localStorage: la migración v1 lo lee al abrir la base
+const storage = await import('../lib/storage.js');
+
+// Registros tal como están guardados, sin descifrar
+async function storedRecords(storeName) {
+    const db = await storage.openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(storeName).objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function levels() {
+    return (await storage.getMeasurementsInRange(0, 10000)).map(m => m.severityLevel);
+}
+
+test('importa las mediciones antiguas del localStorage', async () => {
+    assert.deepEqual(await levels(), [4, 6]);
+    assert.equal(local.has(LEGACY_STORAGE_KEY), false);
+
+    await storage.saveDose({ timestamp: 1500, name: 'Levodopa', dose: '100 mg' });
+    await storage.saveMeasurement({ timestamp: 3000, sessionId: 's1', severityLevel: 2 }, { samples: [1, 2, 3], timestamps: [0, 10, 20] });
+    storage.saveSettings({ ...storage.loadSettings(), storeRawSignals: false });
+});
+
+test('al activar el cifrado no queda nada legible en disco', async () => {
+    await storage.enableEncryption(PASSCODE, 5);
+    assert.equal(storage.isEncryptionEnabled(), true);
+    assert.equal(storage.isLocked(), false);
+
+    for (const storeName of ['measurements', 'rawSignals', 'doses']) {
+        const records = await storedRecords(storeName);
+        assert.ok(records.length > 0, storeName);
+        records.forEach(record => assert.ok(record.sealed, `${storeName} sin cifrar`));
+    }
+    assert.equal((await storedRecords('measurements')).some(m => 'severityLevel' in m), false);
+    assert.equal(JSON.stringify(await storedRecords('doses')).includes('Levodopa'), false);
+    assert.deepEqual(Object.keys(JSON.parse(local.get(SETTINGS_KEY))), ['sealed']);
+
+    // Desbloqueado se lee igual que antes
+    assert.deepEqual(await levels(), [4, 6, 2]);
+    assert.equal(storage.loadSettings().storeRawSignals, false);
+});
+
+test('bloqueado no se puede leer nada', async () => {
+    storage.lockStorage();
+    assert.equal(storage.isLocked(), true);
+
+    assert.throws(() => storage.loadSettings(), /bloqueados/);
+    await assert.rejects(storage.getMeasurementsInRange(0, 10000), /bloqueados/);
+    await assert.rejects(storage.getDosesInRange(0, 10000), /bloqueados/);
+    await assert.rejects(storage.getSessionMeasurements('s1'), /bloqueados/);
+});
+
+test('un código incorrecto no desbloquea', async () => {
+    assert.equal(await storage.unlockStorage('incorrecto'), false);
+    assert.equal(storage.isLocked(), true);
+    await assert.rejects(storage.getMeasurementsInRange(0, 10000), /bloqueados/);
+});
+
+test('con el código correcto se desbloquea', async () => {
+    assert.equal(await storage.unlockStorage(PASSCODE), true);
+    assert.equal(storage.isLocked(), false);
+    assert.deepEqual(await levels(), [4, 6, 2]);
+    assert.equal(storage.loadSettings().storeRawSignals, false);
+});
+
+test('la copia de seguridad restaura los datos con su propio código', async () => {
+    const backup = await storage.exportBackup(BACKUP_PASSCODE);
+    assert.equal(backup.includes('Levodopa'), false);
+
+    // Cambios posteriores a la copia: se pierden al restaurar
+    await storage.saveMeasurement({ timestamp: 4000, sessionId: 's2', severityLevel: 9 });
+    assert.deepEqual(await levels(), [4, 6, 2, 9]);
+
+    await assert.rejects(storage.restoreBackup(backup, 'incorrecto'), { code: 'wrong-passcode' });
+    // Un archivo manipulado no puede pedir un cálculo de la clave desmesurado
+    const file = JSON.parse(backup);
+    const tampered = JSON.stringify({ ...file, kdf: { ...file.kdf, iterations: 1e12 } });
+    await assert.rejects(storage.restoreBackup(tampered, BACKUP_PASSCODE), { code: 'unsupported-kdf' });
+    await assert.rejects(storage.restoreBackup('{}', BACKUP_PASSCODE), { code: 'not-backup' });
+    const counts = await storage.restoreBackup(backup, BACKUP_PASSCODE);
+    assert.equal(counts.measurements, 3);
+    assert.equal(counts.doses, 1);
+    assert.deepEqual(await levels(), [4, 6, 2]);
+    assert.deepEqual((await storage.getDosesInRange(0, 10000)).map(d => d.name), ['Levodopa']);
+
+    // Lo restaurado se guarda cifrado con la clave actual
+    (await storedRecords('measurements')).forEach(record => assert.ok(record.sealed));
+});
+
+test('cambiar el código exige el actual y el nuevo abre los mismos datos', async () => {
+    assert.equal(await storage.changePasscode('incorrecto', NEW_PASSCODE), false);
+    assert.equal(await storage.changePasscode(PASSCODE, NEW_PASSCODE), true);
+
+    storage.lockStorage();
+    assert.equal(await storage.unlockStorage(PASSCODE), false);
+    assert.equal(await storage.unlockStorage(NEW_PASSCODE), true);
+    assert.deepEqual(await levels(), [4, 6, 2]);
+    assert.equal((await storage.getSessionMeasurements('s1')).length, 1);
+});
+
+test('al desactivar el cifrado los datos vuelven a quedar en claro', async () => {
+    assert.equal(await storage.disableEncryption(PASSCODE), false);
+    assert.equal(storage.isEncryptionEnabled(), true);
+
+    assert.equal(await storage.disableEncryption(NEW_PASSCODE), true);
+    assert.equal(storage.isEncryptionEnabled(), false);
+    assert.equal(storage.isLocked(), false);
+
+    assert.deepEqual((await storedRecords('measurements')).map(m => m.severityLevel), [4, 6, 2]);
+    assert.deepEqual((await storedRecords('doses')).map(d => d.name), ['Levodopa']);
+    assert.equal(JSON.parse(local.get(SETTINGS_KEY)).storeRawSignals, false);
+    assert.deepEqual((await storage.getRawSignal((await storage.getSessionMeasurements('s1'))[0].id)).samples, [1, 2, 3]);
+});
@@ -0,0 +1,93 @@
+// sync.test.js - Reintentos, clasificación de respuestas y fusión de conflictos de la
+// sincronización (lib/outbox.js, compartido con sw.js, y lib/sync.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyResponse, replayEntries, retryDelay } from '../lib/outbox.js';
+import { mergeConflict } from '../lib/sync.js';
+
+test('classifyResponse: aceptada, conflicto, reintento o rechazo', () => {
+    const cases = [
+        [200, 'accepted'], [201, 'accepted'], [204, 'accepted'],
+        [409, 'conflict'],
+        [408, 'retry'], [429, 'retry'], [500, 'retry'], [503, 'retry'],
+        [400, 'rejected'], [401, 'rejected'], [404, 'rejected'], [302, 'rejected']
+    ];
+    for (const [status, outcome] of cases) {
+        assert.equal(classifyResponse(status), outcome, `HTTP ${status}`);
+    }
+});
+
+test('retryDelay: exponencial, con tope y reparto aleatorio', () => {
+    assert.equal(retryDelay(1, () => 0), 15000);
+    assert.equal(retryDelay(1, () => 1), 30000);
+    assert.equal(retryDelay(2, () => 1), 60000);
+    assert.equal(retryDelay(4, () => 1), 240000);
+    // Tope de una hora
+    assert.equal(retryDelay(30, () => 1), 60 * 60 * 1000);
+    assert.equal(retryDelay(30, () => 0), 30 * 60 * 1000);
+    // Sin intentos previos cuenta como el primero
+    assert.equal(retryDelay(0, () => 1), 30000);
+});
+
+test('mergeConflict: los datos del teléfono mandan y se completan con los del servidor', () => {
+    const local = { displacementCm: 0.8, updrsItem: 1, motorState: null, notes: undefined };
+    const remote = { displacementCm: 0.5, updrsItem: 2, motorState: 'on', reviewedBy: 'Dra. Ruiz' };
+    assert.deepEqual(mergeConflict(local, remote), {
+        displacementCm: 0.8,
+        updrsItem: 1,
+        motorState: 'on',
+        notes: undefined,
+        reviewedBy: 'Dra. Ruiz'
+    });
+    // Sin versión del servidor queda la local
+    assert.deepEqual(mergeConflict(local, null), local);
+    // No modifica el registro local
+    assert.equal(local.motorState, null);
+});
+
+// Cola en memoria con la misma interfaz que usan lib/sync.js y sw.js
+function memoryStore() {
+    return {
+        rescheduled: [],
+        completed: [],
+        reschedule(entry) { this.rescheduled.push(entry); },
+        complete(entry, result) { this.completed.push({ entry, result }); }
+    };
+}
+
+function entry(key) {
+    return { key, kind: 'measurement', localId: Number(key), url: `/m/${key}`, method: 'PUT', headers: {}, body: '{}', attempts: 0 };
+}
+
+function respond(status, body = {}) {
+    return { status, json: () => Promise.resolve(body) };
+}
+
+test('replayEntries: guarda respuestas y reprograma los fallos temporales', async () => {
+    const store = memoryStore();
+    const statuses = { '/m/1': 200, '/m/2': 503, '/m/3': 409 };
+    const now = 1000000;
+    const sent = await replayEntries([entry('1'), entry('2'), entry('3')], store,
+        url => Promise.resolve(respond(statuses[url], { version: 4 })), now);
+
+    assert.equal(sent, 2);
+    assert.deepEqual(store.completed.map(c => [c.result.key, c.result.status]), [['1', 200], ['3', 409]]);
+    assert.deepEqual(store.completed[0].result.body, { version: 4 });
+
+    assert.equal(store.rescheduled.length, 1);
+    const retry = store.rescheduled[0];
+    assert.equal(retry.key, '2');
+    assert.equal(retry.attempts, 1);
+    assert.equal(retry.lastError, 'HTTP 503');
+    assert.ok(retry.nextAttempt >= now + 15000 && retry.nextAttempt <= now + 30000);
+});
+
+test('replayEntries: sin conexión se detiene en la primera petición', async () => {
+    const store = memoryStore();
+    const sent = await replayEntries([entry('1'), entry('2')], store,
+        () => Promise.reject(new Error('Failed to fetch')));
+
+    assert.equal(sent, 0);
+    assert.equal(store.completed.length, 0);
+    assert.deepEqual(store.rescheduled.map(e => [e.key, e.lastError]), [['1', 'Failed to fetch']]);
+});
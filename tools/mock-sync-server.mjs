@@ -0,0 +1,137 @@
+// mock-sync-server.mjs - Servidor de prueba del esquema de sincronización (lib/sync.js)
+// Solo para desarrollo: guarda todo en memoria y no necesita dependencias.
+//
+//   node tools/mock-sync-server.mjs [--port 8787] [--token secreto] [--fail 0.3]
+//
+// --fail responde 503 a esa fracción de los envíos para probar los reintentos.
+// Además del esquema, acepta notas de prueba y deja consultar lo recibido:
+//   POST /patients/{paciente}/notes        { author, text, ref? }
+//   GET  /patients/{paciente}/{measurements|doses}
+import { createServer } from 'node:http';
+
+const options = parseArgs(process.argv.slice(2));
+const records = new Map(); // "paciente/colección/ref" → { version, data }
+const notes = new Map(); // paciente → [{ id, ref, author, text, createdAt }]
+let nextNoteId = 1;
+
+const server = createServer(async (req, res) => {
+    // La app se sirve desde otro origen
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Sync-Schema');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+
+    if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+        send(res, 401, { error: 'Token no válido' });
+        return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const [, root, patient, collection, ref] = url.pathname.split('/').map(decodeURIComponent);
+    if (root !== 'patients' || !patient) {
+        send(res, 404, { error: 'Ruta desconocida' });
+        return;
+    }
+
+    try {
+        if (collection === 'notes') {
+            handleNotes(req, res, patient, url);
+        } else if (['measurements', 'doses'].includes(collection)) {
+            await handleRecord(req, res, patient, collection, ref);
+        } else {
+            send(res, 404, { error: 'Colección desconocida' });
+        }
+    } catch (err) {
+        send(res, 400, { error: err.message });
+    }
+});
+
+async function handleRecord(req, res, patient, collection, ref) {
+    if (req.method === 'GET' && !ref) {
+        const prefix = `${patient}/${collection}/`;
+        const list = [...records.entries()]
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([key, record]) => ({ ref: key.slice(prefix.length), ...record }));
+        send(res, 200, { [collection]: list });
+        return;
+    }
+    if (req.method !== 'PUT' || !ref) {
+        send(res, 405, { error: 'Método no admitido' });
+        return;
+    }
+
+    const body = JSON.parse(await readBody(req));
+    if (Math.random() < options.fail) {
+        send(res, 503, { error: 'Fallo simulado' });
+        return;
+    }
+
+    // Control de versiones optimista: el envío debe partir de la versión actual
+    const key = `${patient}/${collection}/${ref}`;
+    const current = records.get(key);
+    const version = current ? current.version : 0;
+    if (body.baseVersion !== version) {
+        console.log(`409 ${key} (base ${body.baseVersion}, actual ${version})`);
+        send(res, 409, current || { version: 0, data: null });
+        return;
+    }
+
+    records.set(key, { version: version + 1, data: body.data });
+    console.log(`${current ? 200 : 201} ${key} → v${version + 1}`);
+    send(res, current ? 200 : 201, { version: version + 1 });
+}
+
+function handleNotes(req, res, patient, url) {
+    const list = notes.get(patient) || [];
+
+    if (req.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        send(res, 200, { notes: list.filter(note => note.createdAt > since) });
+        return;
+    }
+    if (req.method !== 'POST') {
+        send(res, 405, { error: 'Método no admitido' });
+        return;
+    }
+
+    readBody(req).then(text => {
+        const { author = 'Clínica', text: noteText = '', ref = null } = JSON.parse(text);
+        const note = { id: String(nextNoteId++), ref, author, text: noteText, createdAt: Date.now() };
+        notes.set(patient, [...list, note]);
+        send(res, 201, note);
+    }).catch(err => send(res, 400, { error: err.message }));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function parseArgs(args) {
+    const parsed = { port: 8787, token: '', fail: 0 };
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+        if (name in parsed) {
+            parsed[name] = typeof parsed[name] === 'number' ? Number(args[i + 1]) : args[i + 1];
+        }
+    }
+    return parsed;
+}
+
+server.listen(options.port, () => {
+    console.log(`Servidor de sincronización de prueba en http://localhost:${options.port}`);
+});
@@ -0,0 +1,56 @@
+// trim-fhir-schema.mjs - Recorta el esquema JSON oficial de FHIR R4 a los recursos que
+// exporta la app (lib/fhir.js) para usarlo en test/fhir.test.js.
+//
+//   node tools/trim-fhir-schema.mjs fhir.schema.json > test/fixtures/fhir.schema.json
+//
+// El esquema completo (http://hl7.org/fhir/R4/fhir.schema.json.zip) tiene unas 60 000
+// líneas. Se conservan Bundle y los recursos que van en él, con todas las definiciones
+// a las que llegan sus $ref; ResourceList (el contenido de Bundle.entry.resource) se
+// limita a esos recursos. Se quitan 'id' (identificador draft-04 que Ajv no admite) y
+// 'discriminator' (palabra clave de OpenAPI): lo demás queda tal cual.
+import { readFileSync } from 'node:fs';
+
+const RESOURCES = ['Bundle', 'Patient', 'Device', 'Observation', 'MedicationStatement'];
+
+const [file] = process.argv.slice(2);
+if (!file) {
+    console.error('Uso: node tools/trim-fhir-schema.mjs fhir.schema.json');
+    process.exit(1);
+}
+
+const { id, discriminator, definitions, ...schema } = JSON.parse(readFileSync(file, 'utf8'));
+const resourceRefs = RESOURCES.map(name => ({ $ref: `#/definitions/${name}` }));
+
+// Definiciones alcanzables desde los recursos conservados
+const kept = {};
+const pending = [...RESOURCES];
+while (pending.length > 0) {
+    const name = pending.pop();
+    if (kept[name]) continue;
+    if (!definitions[name]) throw new Error(`Definición no encontrada: ${name}`);
+
+    kept[name] = name === 'ResourceList' ? { oneOf: resourceRefs } : definitions[name];
+    collectRefs(kept[name], pending);
+}
+
+const trimmed = {
+    ...schema,
+    description: `${schema.description} Recortado a ${RESOURCES.join(', ')} con tools/trim-fhir-schema.mjs.`,
+    oneOf: resourceRefs,
+    definitions: Object.fromEntries(Object.keys(definitions).filter(name => kept[name]).map(name => [name, kept[name]]))
+};
+process.stdout.write(`${JSON.stringify(trimmed, null, 2)}\n`);
+
+function collectRefs(node, names) {
+    if (Array.isArray(node)) {
+        node.forEach(item => collectRefs(item, names));
+    } else if (node && typeof node === 'object') {
+        Object.entries(node).forEach(([key, value]) => {
+            if (key === '$ref') {
+                names.push(value.replace('#/definitions/', ''));
+            } else {
+                collectRefs(value, names);
+            }
+        });
+    }
+}